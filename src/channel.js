@@ -119,7 +119,6 @@ Max.Channel.findByTags = function(tags, limit, offset) {
  */
 Max.Channel.findChannels = function(channelName, tags, limit, offset, type) {
     var def = new Max.Deferred();
-    var iqId = Max.Utils.getCleanGUID();
     var channels = [];
     limit = limit || 10;
     offset = offset || 0;
@@ -128,8 +127,8 @@ Max.Channel.findChannels = function(channelName, tags, limit, offset, type) {
     type = type == 'public' ? 'global' : type;
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
 
         var mmxMeta = {
             operator: 'AND',
@@ -157,14 +156,10 @@ Max.Channel.findChannels = function(channelName, tags, limit, offset, type) {
 
         mmxMeta = JSON.stringify(mmxMeta);
 
-        var payload = $iq({from: mCurrentUser.jid, type: 'get', id: iqId})
+        var payload = $iq({from: mCurrentUser.jid, type: 'get'})
             .c('mmx', {xmlns: 'com.magnet:pubsub', command: 'searchTopic', ctype: 'application/json'}, mmxMeta);
 
-        mXMPPConnection.addHandler(function(msg) {
-            var payload, json = x2js.xml2json(msg);
-            json = json || {};
-
-            payload = (json.mmx && json.mmx.__text) ? JSON.parse(json.mmx.__text) : JSON.parse(json.mmx || {});
+        Max.MMXClient.sendIQ(payload).success(function(payload) {
             if (!payload || !payload.results || !payload.results.length) return def.resolve([]);
 
             payload.results = Max.Utils.objToObjAry(payload.results);
@@ -176,9 +171,9 @@ Max.Channel.findChannels = function(channelName, tags, limit, offset, type) {
                 ChannelStore.add(channels);
                 def.resolve(channels);
             });
-        }, null, null, null, iqId,  null);
-
-        mXMPPConnection.send(payload.tree());
+        }).error(function(e) {
+            def.reject(e);
+        });
     }, 0);
 
     return def.promise;
@@ -225,13 +220,13 @@ Max.Channel.create = function(channelObj) {
     var def = new Max.Deferred(), subscriberlist = [];
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
         if (!channelObj.name)
-            return def.reject(Max.Error.INVALID_CHANNEL_NAME);
+            return def.reject(new Max.MaxError(Max.Error.INVALID_CHANNEL_NAME));
         if (channelObj.publishPermissions) channelObj.publishPermission = channelObj.publishPermissions;
         if (channelObj.publishPermission
             && (['anyone', 'owner', 'subscribers'].indexOf(channelObj.publishPermission) == -1))
-            return def.reject(Max.Error.INVALID_PUBLISH_PERMISSIONS);
+            return def.reject(new Max.MaxError(Max.Error.INVALID_PUBLISH_PERMISSIONS));
 
         channelObj.channelName = channelObj.name;
         channelObj.ownerId = mCurrentUser.userId;
@@ -282,15 +277,14 @@ Max.Channel.getAllSubscriptions = function(subscriptionOnly) {
     var msgId = Max.Utils.getCleanGUID();
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
 
         var payload = $iq({to: 'pubsub.mmx', from: mCurrentUser.jid, type: 'get', id: msgId})
             .c('pubsub', {xmlns: 'http://jabber.org/protocol/pubsub'})
             .c('subscriptions');
 
-        mXMPPConnection.addHandler(function(msg) {
-            var json = x2js.xml2json(msg);
+        Max.MMXClient.sendIQ(payload).success(function(payload, json) {
             var channels = [];
 
             if (!json.pubsub || !json.pubsub.subscriptions || !json.pubsub.subscriptions.subscription)
@@ -313,10 +307,9 @@ Max.Channel.getAllSubscriptions = function(subscriptionOnly) {
             }).error(function() {
                 def.reject.apply(def, arguments);
             });
-        }, null, null, null, msgId,  null);
-
-        mXMPPConnection.send(payload.tree());
-
+        }).error(function(e) {
+            def.reject(e);
+        });
     }, 0);
 
     return def.promise;
@@ -338,8 +331,8 @@ Max.Channel.getSummary = function(channels) {
         });
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
 
         var mmxMeta = {
             topicNodes: topicNodes
@@ -350,13 +343,9 @@ Max.Channel.getSummary = function(channels) {
         var payload = $iq({from: mCurrentUser.jid, type: 'get', id: msgId})
             .c('mmx', {xmlns: 'com.magnet:pubsub', command: 'getSummary', ctype: 'application/json'}, mmxMeta);
 
-        mXMPPConnection.addHandler(function(msg) {
-            var json = x2js.xml2json(msg);
-            var payload;
-
-            if (!json || !json.mmx) return def.reject(Max.Error.INVALID_CHANNEL);
-            payload = JSON.parse(json.mmx);
-            if (payload.message) return def.reject(payload.message);
+        Max.MMXClient.sendIQ(payload).success(function(payload) {
+            if (!payload) return def.reject(new Max.MaxError(Max.Error.INVALID_CHANNEL));
+            if (payload.message) return def.reject(Max.XMPPError.fromPayload(payload, msgId));
 
             for (var i=0;i<payload.length;++i) {
               t = new Max.Channel({
@@ -374,10 +363,9 @@ Max.Channel.getSummary = function(channels) {
             }
 
             def.resolve(channels);
-        }, null, null, null, msgId,  null);
-
-        mXMPPConnection.send(payload.tree());
-
+        }).error(function(e) {
+            def.reject(e);
+        });
     }, 0);
 
     return def.promise;
@@ -400,7 +388,7 @@ Max.Channel.findChannelsBySubscribers = function(subscribers) {
         subscriberlist.push(Max.Utils.isObject(subscribers[i]) ? subscribers[i].userId : subscribers[i]);
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
         Max.Request({
             method: 'POST',
             url: '/com.magnet.server/channel/query',
@@ -449,7 +437,7 @@ Max.Channel.getChannelSummary = function(channelOrChannels, subscriberCount, mes
         });
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
 
         Max.Request({
             method: 'POST',
@@ -531,8 +519,8 @@ Max.Channel.getChannel = function(channelName, userId) {
     var msgId = Max.Utils.getCleanGUID();
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
 
         var mmxMeta = {
             userId: userId,
@@ -544,13 +532,11 @@ Max.Channel.getChannel = function(channelName, userId) {
         var payload = $iq({from: mCurrentUser.jid, type: 'get', id: msgId})
             .c('mmx', {xmlns: 'com.magnet:pubsub', command: 'getTopic', ctype: 'application/json'}, mmxMeta);
 
-        mXMPPConnection.addHandler(function(msg) {
-            var json = x2js.xml2json(msg);
-            var payload, channel;
+        Max.MMXClient.sendIQ(payload).success(function(payload) {
+            var channel;
 
-            if (!json || !json.mmx) return def.reject(Max.Error.INVALID_CHANNEL);
-            payload = JSON.parse(json.mmx);
-            if (payload.message) return def.reject(payload.message);
+            if (!payload) return def.reject(new Max.MaxError(Max.Error.INVALID_CHANNEL));
+            if (payload.message) return def.reject(Max.XMPPError.fromPayload(payload, msgId));
 
             channel = new Max.Channel(payload);
 
@@ -558,10 +544,9 @@ Max.Channel.getChannel = function(channelName, userId) {
                 ChannelStore.add(channel);
                 def.resolve(channel);
             });
-        }, null, null, null, msgId,  null);
-
-        mXMPPConnection.send(payload.tree());
-
+        }).error(function(e) {
+            def.reject(e);
+        });
     }, 0);
 
     return def.promise;
@@ -581,8 +566,8 @@ Max.Channel.getChannels = function(channelOrChannels, allSubscribed) {
         channelOrChannels = [channelOrChannels];
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
 
         var mmxMeta = [];
         for (var i=0;i<channelOrChannels.length;++i)
@@ -596,13 +581,12 @@ Max.Channel.getChannels = function(channelOrChannels, allSubscribed) {
         var payload = $iq({from: mCurrentUser.jid, type: 'get', id: msgId})
             .c('mmx', {xmlns: 'com.magnet:pubsub', command: 'getTopics', ctype: 'application/json'}, mmxMeta);
 
-        mXMPPConnection.addHandler(function(msg) {
-            var json = x2js.xml2json(msg);
-            var payload, channels = [];
+        Max.MMXClient.sendIQ(payload).success(function(payload) {
+            var channels = [];
 
-            if (!json || !json.mmx) return def.resolve([]);
+            if (!payload) return def.resolve([]);
 
-            payload = Max.Utils.objToObjAry(JSON.parse(json.mmx));
+            payload = Max.Utils.objToObjAry(payload);
 
             for (var i=0;i<payload.length;++i) {
                 if (allSubscribed) payload[i].isSubscribed = true;
@@ -615,9 +599,9 @@ Max.Channel.getChannels = function(channelOrChannels, allSubscribed) {
                 ChannelStore.add(channels);
                 def.resolve(channels);
             });
-        }, null, null, null, msgId,  null);
-
-        mXMPPConnection.send(payload.tree());
+        }).error(function(e) {
+            def.reject(e);
+        });
     }, 0);
 
     return def.promise;
@@ -632,46 +616,24 @@ Max.Channel.getChannels = function(channelOrChannels, allSubscribed) {
 Max.Channel.prototype.getAllSubscribers = function(limit, offset) {
     var self = this;
     var def = new Max.Deferred();
-    var iqId = Max.Utils.getCleanGUID();
-    var userIds = [];
     limit = limit || 10;
     offset = offset || 0;
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
-
-        var mmxMeta = {
-            userId: self.userId,     // null for global topic, or a user topic under a user ID
-            topicName: self.name,    // without /appID/* or /appID/userID
-            limit: limit,            // -1 for unlimited, or > 0
-            offset: offset           // offset starting from zero
-        };
-
-        mmxMeta = JSON.stringify(mmxMeta);
-
-        var payload = $iq({from: mCurrentUser.jid, type: 'get', id: iqId})
-            .c('mmx', {xmlns: 'com.magnet:pubsub', command: 'getSubscribers', ctype: 'application/json'}, mmxMeta);
-
-        mXMPPConnection.addHandler(function(msg) {
-            var payload, json = x2js.xml2json(msg);
-            payload = (json.mmx && json.mmx.__text) ? JSON.parse(json.mmx.__text) : JSON.parse(json.mmx);
-
-            if (!payload || !payload.subscribers) return def.resolve([]);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
 
-            payload.subscribers = Max.Utils.objToObjAry(payload.subscribers);
-            for (var i=0;i<payload.subscribers.length;++i)
-                userIds.push(payload.subscribers[i].userId);
+        Max.ChannelHelper.getSubscriberIds(self, limit, offset).success(function(userIds) {
+            if (!userIds.length) return def.resolve([]);
 
             Max.User.getUsersByUserIds(userIds).success(function() {
                 def.resolve.apply(def, arguments);
             }).error(function(e) {
                 def.reject(e);
             });
-
-        }, null, null, null, iqId,  null);
-
-        mXMPPConnection.send(payload.tree());
+        }).error(function(e) {
+            def.reject(e);
+        });
     }, 0);
 
     return def.promise;
@@ -691,9 +653,9 @@ Max.Channel.prototype.addSubscribers = function(subscribers) {
         subscribers = [subscribers];
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!self.name) return def.reject(Max.Error.INVALID_CHANNEL);
-        if (!self.isOwner() && !self.isPublic) return def.reject(Max.Error.FORBIDDEN);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!self.name) return def.reject(new Max.MaxError(Max.Error.INVALID_CHANNEL));
+        if (!self.isOwner() && !self.isPublic) return def.reject(new Max.MaxError(Max.Error.FORBIDDEN));
 
         for (var i in subscribers)
             subscriberlist.push(Max.Utils.isObject(subscribers[i]) ? subscribers[i].userId : subscribers[i]);
@@ -706,6 +668,7 @@ Max.Channel.prototype.addSubscribers = function(subscribers) {
                 subscribers: subscriberlist
             }
         }, function() {
+            SubscriberStore.remove(self);
             def.resolve.apply(def, arguments);
         }, function() {
             def.reject.apply(def, arguments);
@@ -729,9 +692,9 @@ Max.Channel.prototype.removeSubscribers = function(subscribers) {
         subscribers = [subscribers];
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!self.name) return def.reject(Max.Error.INVALID_CHANNEL);
-        if (!self.isOwner() && !self.isPublic) return def.reject(Max.Error.FORBIDDEN);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!self.name) return def.reject(new Max.MaxError(Max.Error.INVALID_CHANNEL));
+        if (!self.isOwner() && !self.isPublic) return def.reject(new Max.MaxError(Max.Error.FORBIDDEN));
 
         for (var i in subscribers)
             subscriberlist.push(Max.Utils.isObject(subscribers[i]) ? subscribers[i].userId : subscribers[i]);
@@ -744,6 +707,7 @@ Max.Channel.prototype.removeSubscribers = function(subscribers) {
                 subscribers: subscriberlist
             }
         }, function() {
+            SubscriberStore.remove(self);
             def.resolve.apply(def, arguments);
         }, function() {
             def.reject.apply(def, arguments);
@@ -760,11 +724,10 @@ Max.Channel.prototype.removeSubscribers = function(subscribers) {
 Max.Channel.prototype.subscribe = function() {
     var self = this;
     var def = new Max.Deferred();
-    var iqId = Max.Utils.getCleanGUID();
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
 
         var mmxMeta = {
             userId: self.userId,     // null for global topic, or a user topic under a user ID
@@ -775,21 +738,17 @@ Max.Channel.prototype.subscribe = function() {
 
         mmxMeta = JSON.stringify(mmxMeta);
 
-        var payload = $iq({from: mCurrentUser.jid, type: 'set', id: iqId})
+        var payload = $iq({from: mCurrentUser.jid, type: 'set'})
             .c('mmx', {xmlns: 'com.magnet:pubsub', command: 'subscribe', ctype: 'application/json'}, mmxMeta);
 
-        mXMPPConnection.addHandler(function(msg) {
-            var payload, json = x2js.xml2json(msg);
-
-            if (json.mmx)
-                payload = JSON.parse(json.mmx);
-
+        Max.MMXClient.sendIQ(payload).success(function(payload) {
             self.isSubscribed = true;
             ChannelStore.add(self);
-            def.resolve(payload.subscriptionId);
-        }, null, null, null, iqId,  null);
-
-        mXMPPConnection.send(payload.tree());
+            SubscriberStore.remove(self);
+            def.resolve(payload ? payload.subscriptionId : null);
+        }).error(function(e) {
+            def.reject(e);
+        });
     }, 0);
 
     return def.promise;
@@ -802,11 +761,10 @@ Max.Channel.prototype.subscribe = function() {
 Max.Channel.prototype.unsubscribe = function() {
     var self = this;
     var def = new Max.Deferred();
-    var iqId = Max.Utils.getCleanGUID();
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
 
         var mmxMeta = {
             userId: self.userId,        // null for global topic, or a user topic under a user ID
@@ -816,22 +774,17 @@ Max.Channel.prototype.unsubscribe = function() {
 
         mmxMeta = JSON.stringify(mmxMeta);
 
-        var payload = $iq({from: mCurrentUser.jid, type: 'set', id: iqId})
+        var payload = $iq({from: mCurrentUser.jid, type: 'set'})
             .c('mmx', {xmlns: 'com.magnet:pubsub', command: 'unsubscribe', ctype: 'application/json'}, mmxMeta);
 
-        mXMPPConnection.addHandler(function(msg) {
-            var payload, json = x2js.xml2json(msg);
-
-            if (json.mmx)
-                payload = JSON.parse(json.mmx);
-
+        Max.MMXClient.sendIQ(payload).success(function(payload) {
             self.isSubscribed = false;
             ChannelStore.add(self);
-            def.resolve(payload.message);
-        }, null, null, null, iqId,  null);
-
-        mXMPPConnection.send(payload.tree());
-
+            SubscriberStore.remove(self);
+            def.resolve(payload ? payload.message : null);
+        }).error(function(e) {
+            def.reject(e);
+        });
     }, 0);
 
     return def.promise;
@@ -841,21 +794,26 @@ Max.Channel.prototype.unsubscribe = function() {
  * Publish a message and/or attachments to the channel.
  * @param {Max.Message} mmxMessage A {Max.Message} instance containing message payload.
  * @param {File|File[]|FileList} [attachments] One or more File objects created by an input[type="file"] HTML element.
- * @returns {Max.Promise} A promise object returning "ok" or reason of failure.
+ * @returns {Max.Promise} A promise object returning "ok" or reason of failure. Upload progress of the attachments is
+ * reported to the progress callbacks of the promise, and the upload can be aborted with the cancel method of the
+ * promise until the message is published.
  */
 Max.Channel.prototype.publish = function(mmxMessage, attachments) {
     var self = this;
     var def = new Max.Deferred();
+    var call = Max.Call.create(def);
     var iqId = Max.Utils.getCleanGUID();
     self.msgId = Max.Utils.getCleanGUID()+'c';
     var dt = Max.Utils.dateToISO8601(new Date());
     var typedPayload;
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
+        if (call.state == Max.CallState.CANCELLED) return;
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
 
         function sendMessage(msgMeta) {
+            call.commit();
             if (mmxMessage.contentType && mmxMessage.payload)
                 typedPayload = JSON.stringify(mmxMessage.payload);
 
@@ -886,26 +844,22 @@ Max.Channel.prototype.publish = function(mmxMessage, attachments) {
 
             if (typedPayload) payload.t(typedPayload);
 
-            mXMPPConnection.addHandler(function(msg) {
-                var json = x2js.xml2json(msg);
-
-                if (json.error) {
-                    if (json.error._type == 'auth') json.error._type = Max.Error.FORBIDDEN;
-                    return def.reject(json.error._type, json.error._code);
-                }
-
+            Max.MMXClient.sendIQ(payload).success(function() {
                 def.resolve(self.msgId);
-            }, null, null, null, iqId, null);
-
-            mXMPPConnection.send(payload.tree());
+            }).error(function(e) {
+                def.reject(e);
+            });
         }
 
         if (!attachments) return sendMessage(mmxMessage.messageContent);
 
         new Max.Uploader(attachments, function(e, multipart) {
-            if (e || !multipart) return def.reject(e);
+            if (call.state == Max.CallState.CANCELLED) return;
+            if (e || !multipart) return def.reject(Max.MaxError.wrap(e));
 
-            multipart.channelUpload(self, iqId).success(function(attachments) {
+            call.request = multipart.channelUpload(self, iqId).progress(function(e) {
+                def.notify(e);
+            }).success(function(attachments) {
                 sendMessage(Max.Utils.mergeObj(mmxMessage.messageContent || {}, {
                     _attachments: JSON.stringify(attachments)
                 }));
@@ -930,7 +884,6 @@ Max.Channel.prototype.publish = function(mmxMessage, attachments) {
 Max.Channel.prototype.getMessages = function(startDate, endDate, limit, offset, ascending) {
     var self = this;
     var def = new Max.Deferred();
-    var iqId = Max.Utils.getCleanGUID();
     startDate = Max.Utils.dateToISO8601(startDate);
     endDate = Max.Utils.dateToISO8601(endDate);
     limit = limit || 10;
@@ -938,8 +891,8 @@ Max.Channel.prototype.getMessages = function(startDate, endDate, limit, offset,
     ascending = typeof ascending !== 'boolean' ? true : ascending;
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
 
         var mmxMeta = {
             userId: self.userId,         // null for global topic, or a user topic under a user ID
@@ -956,25 +909,19 @@ Max.Channel.prototype.getMessages = function(startDate, endDate, limit, offset,
 
         mmxMeta = JSON.stringify(mmxMeta);
 
-        var payload = $iq({from: mCurrentUser.jid, type: 'get', id: iqId})
+        var payload = $iq({from: mCurrentUser.jid, type: 'get'})
             .c('mmx', {xmlns: 'com.magnet:pubsub', command: 'fetch', ctype: 'application/json'}, mmxMeta);
 
-        mXMPPConnection.addHandler(function(msg, json) {
-            json = json || x2js.xml2json(msg);
-
-            if (json.mmx) {
-                payload = (json.mmx && json.mmx.__text) ? JSON.parse(json.mmx.__text) : JSON.parse(json.mmx);
-                if (payload) {
-                    payload.items = Max.Utils.objToObjAry(payload.items);
-                    Max.ChannelHelper.formatMessage([], self, payload.items, 0, function(messages) {
-                        def.resolve(messages, payload.totalCount);
-                    });
-                }
-            }
-        }, null, null, null, iqId,  null);
-
-        mXMPPConnection.send(payload.tree());
+        Max.MMXClient.sendIQ(payload).success(function(payload) {
+            if (!payload) return def.resolve([], 0);
 
+            payload.items = Max.Utils.objToObjAry(payload.items);
+            Max.ChannelHelper.formatMessage([], self, payload.items, 0, function(messages) {
+                def.resolve(messages, payload.totalCount);
+            });
+        }).error(function(e) {
+            def.reject(e);
+        });
     }, 0);
 
     return def.promise;
@@ -987,11 +934,10 @@ Max.Channel.prototype.getMessages = function(startDate, endDate, limit, offset,
 Max.Channel.prototype.getTags = function() {
     var self = this;
     var def = new Max.Deferred();
-    var iqId = Max.Utils.getCleanGUID();
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
 
         var mmxMeta = {
             userId: self.userId,
@@ -1000,23 +946,18 @@ Max.Channel.prototype.getTags = function() {
 
         mmxMeta = JSON.stringify(mmxMeta);
 
-        var payload = $iq({from: mCurrentUser.jid, type: 'get', id: iqId})
+        var payload = $iq({from: mCurrentUser.jid, type: 'get'})
             .c('mmx', {xmlns: 'com.magnet:pubsub', command: 'getTags', ctype: 'application/json'}, mmxMeta);
 
-        mXMPPConnection.addHandler(function(msg) {
-            var payload, json = x2js.xml2json(msg);
-
-            if (json.mmx)
-                payload = JSON.parse(json.mmx);
-
+        Max.MMXClient.sendIQ(payload).success(function(payload) {
             if (!payload || !payload.tags) return def.resolve([]);
 
             payload.tags = Max.Utils.objToObjAry(payload.tags);
 
             def.resolve(payload.tags, Max.Utils.ISO8601ToDate(payload.lastModTime));
-        }, null, null, null, iqId,  null);
-
-        mXMPPConnection.send(payload.tree());
+        }).error(function(e) {
+            def.reject(e);
+        });
     }, 0);
 
     return def.promise;
@@ -1030,12 +971,11 @@ Max.Channel.prototype.getTags = function() {
 Max.Channel.prototype.setTags = function(tags) {
     var self = this;
     var def = new Max.Deferred();
-    var iqId = Max.Utils.getCleanGUID();
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
-        if (!tags || !Max.Utils.isArray(tags)) return def.reject(Max.Error.INVALID_TAGS);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
+        if (!tags || !Max.Utils.isArray(tags)) return def.reject(new Max.MaxError(Max.Error.INVALID_TAGS));
 
         var mmxMeta = {
             userId: self.userId,
@@ -1045,19 +985,58 @@ Max.Channel.prototype.setTags = function(tags) {
 
         mmxMeta = JSON.stringify(mmxMeta);
 
-        var payload = $iq({from: mCurrentUser.jid, type: 'set', id: iqId})
+        var payload = $iq({from: mCurrentUser.jid, type: 'set'})
             .c('mmx', {xmlns: 'com.magnet:pubsub', command: 'setTags', ctype: 'application/json'}, mmxMeta);
 
-        mXMPPConnection.addHandler(function(msg) {
-            var payload, json = x2js.xml2json(msg);
-
-            if (json.mmx) payload = JSON.parse(json.mmx);
-            if (payload.code != 200) return def.reject(payload.message);
+        Max.MMXClient.sendIQ(payload).success(function(payload, json) {
+            if (!payload || payload.code != 200) return def.reject(Max.XMPPError.fromPayload(payload || {}, json._id));
 
             def.resolve(payload.message);
-        }, null, null, null, iqId,  null);
+        }).error(function(e) {
+            def.reject(e);
+        });
+    }, 0);
+
+    return def.promise;
+};
 
-        mXMPPConnection.send(payload.tree());
+/**
+ * Notify the subscribers of the channel of the chat state of the current user, such as when the user starts typing.
+ * A chat state is not sent again to the channel within {Max.Config.chatStateInterval} milliseconds. The subscribers
+ * are cached for {Max.Config.subscriberCacheTimeout} milliseconds.
+ * @param {string} state One of the {Max.ChatState} constants.
+ * @returns {Max.Promise} A promise object returning "ok", "throttled" if the chat state was not sent, or reason of
+ * failure.
+ */
+Max.Channel.prototype.sendChatState = function(state) {
+    var self = this, cached;
+    var def = new Max.Deferred();
+    var conversation = 'channel:' + self.channelId;
+
+    function send(userIds) {
+        Max.ChatStateEvent.send(userIds, state, self.channelId);
+        Max.ChatStateEvent.record(conversation, state);
+        def.resolve('ok');
+    }
+
+    setTimeout(function() {
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
+        if (!Max.ChatStateEvent.isValid(state)) return def.reject(new Max.MaxError(Max.Error.INVALID_CHAT_STATE));
+
+        if (Max.ChatStateEvent.isThrottled(conversation, state)) return def.resolve('throttled');
+
+        cached = SubscriberStore.get(self);
+        if (SubscriberStore.isFresh(cached)) return send(cached.userIds);
+
+        Max.ChannelHelper.getSubscriberIds(self, -1, 0).success(function(userIds) {
+            SubscriberStore.set(self, userIds);
+            send(userIds);
+        }).error(function(e) {
+            // subscribers change rarely, so a stale list is better than no chat state
+            if (!cached) return def.reject(e);
+            send(cached.userIds);
+        });
     }, 0);
 
     return def.promise;
@@ -1075,9 +1054,9 @@ Max.Channel.prototype.inviteUsers = function(recipients, comments) {
     var def = new Max.Deferred();
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
-        if (!self.isOwner()) return def.reject(Max.Error.FORBIDDEN);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
+        if (!self.isOwner()) return def.reject(new Max.MaxError(Max.Error.FORBIDDEN));
 
         msg = new Max.Message({
             text: comments,
@@ -1094,8 +1073,8 @@ Max.Channel.prototype.inviteUsers = function(recipients, comments) {
 
         msg.send().success(function() {
             def.resolve.apply(def, arguments);
-        }).error(function() {
-            def.reject.apply(def, arguments);
+        }).error(function(e) {
+            def.reject(Max.MaxError.wrap(e));
         });
     }, 0);
 
@@ -1112,10 +1091,10 @@ Max.Channel.prototype.deleteMessage = function(messageID) {
     var def = new Max.Deferred();
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!self.name) return def.reject(Max.Error.INVALID_CHANNEL);
-        if (!self.isOwner()) return def.reject(Max.Error.FORBIDDEN);
-        if (!messageID) return def.reject(Max.Error.INVALID_MESSAGE_ID);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!self.name) return def.reject(new Max.MaxError(Max.Error.INVALID_CHANNEL));
+        if (!self.isOwner()) return def.reject(new Max.MaxError(Max.Error.FORBIDDEN));
+        if (!messageID) return def.reject(new Max.MaxError(Max.Error.INVALID_MESSAGE_ID));
 
         Max.Request({
             method: 'DELETE',
@@ -1138,11 +1117,10 @@ Max.Channel.prototype.deleteMessage = function(messageID) {
 Max.Channel.prototype.delete = function() {
     var self = this;
     var def = new Max.Deferred();
-    var iqId = Max.Utils.getCleanGUID();
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
 
         var mmxMeta = {
             topicName: self.name,                   // without /appID/* or /appID/userID
@@ -1151,19 +1129,14 @@ Max.Channel.prototype.delete = function() {
 
         mmxMeta = JSON.stringify(mmxMeta);
 
-        var payload = $iq({from: mCurrentUser.jid, type: 'set', id: iqId})
+        var payload = $iq({from: mCurrentUser.jid, type: 'set'})
             .c('mmx', {xmlns: 'com.magnet:pubsub', command: 'deletetopic', ctype: 'application/json'}, mmxMeta);
 
-        mXMPPConnection.addHandler(function(msg) {
-            var payload, json = x2js.xml2json(msg);
-
-            if (json.mmx)
-                payload = JSON.parse(json.mmx);
-
-            def.resolve(payload.message);
-        }, null, null, null, iqId,  null);
-
-        mXMPPConnection.send(payload.tree());
+        Max.MMXClient.sendIQ(payload).success(function(payload) {
+            def.resolve(payload ? payload.message : null);
+        }).error(function(e) {
+            def.reject(e);
+        });
     }, 0);
 
     return def.promise;
@@ -1256,6 +1229,26 @@ Max.Channel.prototype.getNodePath = function() {
     return ('/' + Max.App.appId + '/' + (this.userId ? this.userId : '*') + '/' + (this.name+'')).toLowerCase();
 };
 
+// non-persistent cache of the userIds subscribed to each channel, to send chat states without querying them each time
+var SubscriberStore = {
+    store: {},
+    get: function(channel) {
+        return this.store[ChannelStore.getChannelId(channel)];
+    },
+    set: function(channel, userIds) {
+        this.store[ChannelStore.getChannelId(channel)] = {userIds: userIds, time: new Date().getTime()};
+    },
+    isFresh: function(entry) {
+        return !!entry && new Date().getTime() - entry.time < Max.Config.subscriberCacheTimeout;
+    },
+    remove: function(channel) {
+        delete this.store[ChannelStore.getChannelId(channel)];
+    },
+    clear: function() {
+        this.store = {};
+    }
+};
+
 // non-persistent cache of channel information to improve message receive performance
 var ChannelStore = {
     store: {},
@@ -1281,6 +1274,42 @@ var ChannelStore = {
 };
 
 Max.ChannelHelper = {
+    /**
+     * Get the userIds of the users subscribed to a channel.
+     * @param {Max.Channel} channel The channel.
+     * @param {number} limit The number of userIds to return, or -1 for all.
+     * @param {number} offset The starting index of userIds to return.
+     * @returns {Max.Promise} A promise object returning a list of userIds or reason of failure.
+     */
+    getSubscriberIds: function(channel, limit, offset) {
+        var def = new Max.Deferred(), userIds = [];
+
+        var mmxMeta = {
+            userId: channel.userId,  // null for global topic, or a user topic under a user ID
+            topicName: channel.name, // without /appID/* or /appID/userID
+            limit: limit,            // -1 for unlimited, or > 0
+            offset: offset           // offset starting from zero
+        };
+
+        mmxMeta = JSON.stringify(mmxMeta);
+
+        var payload = $iq({from: mCurrentUser.jid, type: 'get'})
+            .c('mmx', {xmlns: 'com.magnet:pubsub', command: 'getSubscribers', ctype: 'application/json'}, mmxMeta);
+
+        Max.MMXClient.sendIQ(payload).success(function(payload) {
+            if (!payload || !payload.subscribers) return def.resolve(userIds);
+
+            payload.subscribers = Max.Utils.objToObjAry(payload.subscribers);
+            for (var i=0;i<payload.subscribers.length;++i)
+                userIds.push(payload.subscribers[i].userId);
+
+            def.resolve(userIds);
+        }).error(function(e) {
+            def.reject(e);
+        });
+
+        return def.promise;
+    },
     /**
      * Converts an ary of message data into Message object
      */
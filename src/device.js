@@ -87,6 +87,7 @@ Max.Device = {
                 Max.Config.tlsEnabled = data.config['tls-enabled'] === 'true';
                 Max.Config.mmxDomain = data.config['mmx-domain'];
                 Max.Config.mmxPort = parseInt(data.config['mmx-port']);
+                Max.Config.websocketEnabled = data.config['websocket-enabled'] === 'true';
 
                 callback();
             }, function(e) {
@@ -1,5 +1,15 @@
 var x2js = new X2JS();
 var TYPED_PAYLOAD_CONTENT_TYPE = 'object/';
+var RECEIPTS_NS = 'urn:xmpp:receipts';
+var CHAT_MARKERS_NS = 'urn:xmpp:chat-markers:0';
+var CHAT_STATES_NS = 'http://jabber.org/protocol/chatstates';
+var LAST_ACTIVITY_NS = 'jabber:iq:last';
+// chat states last sent to each conversation
+var mChatStates = {};
+// presence status and status text of the current user
+var mPresence = {};
+// presence received from each resource of other users, by userId
+var mPresences = {};
 
 /**
  * @method
@@ -8,6 +18,7 @@ var TYPED_PAYLOAD_CONTENT_TYPE = 'object/';
 Max.start = function() {
     Max.App.receiving = true;
     if (mXMPPConnection) mXMPPConnection.priority = 0;
+    Max.Presence.broadcast();
 };
 
 /**
@@ -17,6 +28,32 @@ Max.start = function() {
 Max.stop = function() {
     Max.App.receiving = false;
     if (mXMPPConnection) mXMPPConnection.priority = -255;
+    Max.Presence.broadcast();
+};
+
+/**
+ * @method
+ * @desc Set the presence status of the current user, which other users receive through their
+ * {Max.EventListener} and {Max.User.getPresence}. The status is kept across reconnects.
+ * @param {string} status One of the {Max.PresenceStatus} constants. {Max.PresenceStatus.OFFLINE} makes the current
+ * user appear offline to other users of the SDK while still receiving messages; it is sent as extended away (xa).
+ * @param {string} [statusText] A custom status message, such as 'In a meeting'.
+ * @returns {Max.Promise} A promise object returning "ok" or reason of failure.
+ */
+Max.setPresence = function(status, statusText) {
+    var def = new Max.Deferred();
+
+    setTimeout(function() {
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
+        if (!Max.Presence.isValid(status)) return def.reject(new Max.MaxError(Max.Error.INVALID_PRESENCE));
+
+        mPresence = {status: status, statusText: statusText || null};
+        Max.Presence.broadcast();
+        def.resolve('ok');
+    }, 0);
+
+    return def.promise;
 };
 
 /**
@@ -25,7 +62,10 @@ Max.stop = function() {
  */
 Max.ListenerType = {
     MESSAGE: 100,
-    INVITATION: 200
+    INVITATION: 200,
+    RECEIPT: 300,
+    CHAT_STATE: 400,
+    PRESENCE: 500
 };
 
 /**
@@ -37,8 +77,20 @@ Max.registerListener = function(listener) {
     Max.unregisterListener(listener);
 
     mListenerStore[listener.id] = mXMPPConnection.addHandler(function(msg) {
+        var json = x2js.xml2json(msg);
+        var receipt = Max.MessageReceipt.fromStanza(json);
+        var chatState = Max.ChatStateEvent.fromStanza(json);
+
+        if (receipt) {
+            listener.receiptHandler(receipt);
+            return true;
+        }
+        if (chatState) {
+            listener.chatStateHandler(chatState);
+            return true;
+        }
 
-        Max.Message.formatEvent(x2js.xml2json(msg), null, function(e, event) {
+        Max.Message.formatEvent(json, null, function(e, event) {
             if (event) {
                 switch (event.mType) {
                     case Max.MessageType.INVITATION: listener.invitationHandler(event); break;
@@ -69,6 +121,21 @@ Max.unregisterListener = function(listenerOrListenerId) {
     delete mListenerStore[listenerOrListenerId];
 };
 
+/**
+ * @method
+ * @desc Send an IQ stanza to the messaging server, such as a custom `com.magnet:pubsub` command, and wait for the
+ * response. MMX JSON payloads and XMPP errors of the response are parsed.
+ * @param {Strophe.Builder|Element} stanza The IQ stanza. An id is generated if the stanza does not have one.
+ * @param {object} [options] Request options.
+ * @param {number} [options.timeout] The number of milliseconds to wait for the response, or 0 to wait indefinitely.
+ * Defaults to {Max.Config.iqTimeout}.
+ * @returns {Max.Promise} A promise object returning the JSON payload of the MMX element of the response (or null),
+ * the response converted to JSON and the response element, or a {Max.XMPPError}.
+ */
+Max.sendIQ = function(stanza, options) {
+    return Max.MMXClient.sendIQ(stanza, options);
+};
+
 /**
  * @method
  * @desc Register a custom message payload type.
@@ -90,13 +157,24 @@ Max.registerPayloadType = function(name, typedPayload) {
  * @param {function} messageHandlerOrObject.message Function to be fired when a {Max.Message} is received.
  * @param {function} [messageHandlerOrObject.invite] Function to be fired when a {Max.Invite} is received.
  * @param {function} [messageHandlerOrObject.inviteResponse] Function to be fired when a {Max.InviteResponse} is received.
+ * @param {function} [messageHandlerOrObject.receipt] Function to be fired when a {Max.MessageReceipt} is received.
+ * @param {function} [messageHandlerOrObject.chatState] Function to be fired when a {Max.ChatStateEvent} is received.
+ * @param {function} [messageHandlerOrObject.presence] Function to be fired when a {Max.Presence} of another user is
+ * received. Only the presence of users subscribed to with {Max.User.subscribePresence} is received.
+ * @param {function} [messageHandlerOrObject.presenceRequest] Function to be fired when a {Max.PresenceRequest} is
+ * received from another user asking to receive the presence of the current user.
  * @param {function} [invitationHandler] Function to be fired when a {Max.Invite} is received.
  * @param {function} [invitationResponseHandler] Function to be fired when a {Max.InviteResponse} is received.
  */
 Max.EventListener = function(id, messageHandlerOrObject, invitationHandler, invitationResponseHandler) {
+    var receiptHandler, chatStateHandler, presenceHandler, presenceRequestHandler;
     this.id = typeof id == 'string' ? id : Max.Utils.getGUID();
 
     if (messageHandlerOrObject) {
+        if (messageHandlerOrObject.receipt) receiptHandler = messageHandlerOrObject.receipt;
+        if (messageHandlerOrObject.chatState) chatStateHandler = messageHandlerOrObject.chatState;
+        if (messageHandlerOrObject.presence) presenceHandler = messageHandlerOrObject.presence;
+        if (messageHandlerOrObject.presenceRequest) presenceRequestHandler = messageHandlerOrObject.presenceRequest;
         if (messageHandlerOrObject.inviteResponse) invitationResponseHandler = messageHandlerOrObject.inviteResponse;
         if (messageHandlerOrObject.invite) invitationHandler = messageHandlerOrObject.invite;
         if (messageHandlerOrObject.message) messageHandlerOrObject = messageHandlerOrObject.message;
@@ -105,6 +183,10 @@ Max.EventListener = function(id, messageHandlerOrObject, invitationHandler, invi
     this.messageHandler = typeof messageHandlerOrObject === 'function' ? messageHandlerOrObject : function() {};
     this.invitationHandler = invitationHandler || function() {};
     this.invitationResponseHandler = invitationResponseHandler || function() {};
+    this.receiptHandler = receiptHandler || function() {};
+    this.chatStateHandler = chatStateHandler || function() {};
+    this.presenceHandler = presenceHandler || function() {};
+    this.presenceRequestHandler = presenceRequestHandler || function() {};
 };
 
 /**
@@ -114,6 +196,22 @@ Max.EventListener = function(id, messageHandlerOrObject, invitationHandler, invi
  */
 Max.MessageListener = Max.EventListener;
 
+/**
+ * @attribute {object} ConnectionState A key-value pair of all states of the connection to the messaging server.
+ * Changes of state are emitted through the 'connection-state' event, with the new state and an object containing
+ * the `previousState`, the `reason` of the change if any, and the connection `attempt` number since the last time
+ * the connection was established.
+ */
+Max.ConnectionState = {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    AUTHENTICATING: 'authenticating',
+    CONNECTED: 'connected',
+    RECONNECTING: 'reconnecting',
+    DISCONNECTED: 'disconnected',
+    FAILED: 'failed'
+};
+
 /**
  * @constructor
  * @memberof Max
@@ -123,74 +221,173 @@ Max.MessageListener = Max.EventListener;
 Max.MMXClient = {
     // event emitter for connection
     connectionEmitter: null,
+    // current state of the connection, one of Max.ConnectionState
+    state: Max.ConnectionState.IDLE,
+    // number of connection attempts since the connection was last established
+    attempt: 0,
+    /**
+     * Get the current state of the connection to the messaging server.
+     * @returns {string} One of the {Max.ConnectionState} constants.
+     */
+    getState: function() {
+        return this.state;
+    },
+    /**
+     * Change the state of the connection and emit the 'connection-state' event.
+     * @param {string} state One of the {Max.ConnectionState} constants.
+     * @param {string} [reason] The reason of the change.
+     */
+    setState: function(state, reason) {
+        var previousState = this.state;
+        if (state === previousState && state !== Max.ConnectionState.RECONNECTING) return;
+        this.state = state;
+        Max.invoke('connection-state', state, {
+            previousState: previousState,
+            reason: reason,
+            attempt: this.attempt
+        });
+    },
+    // set when a WebSocket connection could not be established, so that BOSH is used until the next login
+    websocketFailed: false,
     /**
-     * Connect to MMX server via BOSH http-bind.
+     * Connect to MMX server via WebSocket or BOSH http-bind, depending on {Max.Config.xmppTransport}. If the
+     * WebSocket handshake fails, the connection falls back to BOSH.
      * @param {string} userId The currently logged in user's userId (id).
      * @param {string} accessToken The currently logged in user's access token.
      * @param {boolean} [isReconnect] Set to true if the connect was caused by reconnection.
-     * @returns {Max.Promise} A promise object returning "ok" or reason of failure.
+     * @returns {Max.Promise} A promise object returning "ok" or a {Max.MaxError} describing the failure.
      */
     connect: function(userId, accessToken, isReconnect) {
         var self = this;
         var def = new Max.Deferred();
         var secure = Max.Config.baseUrl.indexOf('https://') != -1;
-        var protocol = (secure ? 'https' : 'http') + '://';
-        var baseHostName = Max.Config.baseUrl.replace('https://', '').replace('http://', '').split('/')[0];
-        var xmppHost = secure ? baseHostName : (Max.Config.mmxHost + ':' + Max.Config.httpBindPort);
         var initEnd = false;
 
-        setTimeout(function() {
-            if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-            if (self.connectionEmitter) return def.reject('already connected');
+        function open(transport) {
+            var abandoned = false, handshake = false;
 
             self.connectionEmitter = {};
             Max.Events.create(self.connectionEmitter);
             self.bindDisconnect();
 
-            mCurrentUser.jid = self.getBaredJid(userId) + '/' + mCurrentDevice.deviceId;
-            mXMPPConnection = new Strophe.Connection(protocol + xmppHost + '/http-bind/', {
+            mXMPPConnection = new Strophe.Connection(self.getServiceUrl(transport), {
                 withCredentials: secure
             });
 
+            if (Max.Config.streamManagement) Max.StreamManagement.attach(mXMPPConnection);
+            Max.PendingResponses.attach(mXMPPConnection);
+
             mXMPPConnection.rawInput = function(data) {
                 if (Max.Config.payloadLogging) Max.Log.fine('RECV: ' + data);
             };
             mXMPPConnection.rawOutput = function(data) {
                 if (Max.Config.payloadLogging) Max.Log.fine('SENT: ' + data);
             };
-            mXMPPConnection.connect(mCurrentUser.jid, accessToken, function(status) {
-                if (self.connectionEmitter) self.connectionEmitter.invoke(status);
+            mXMPPConnection.connect(mCurrentUser.jid, accessToken, function(status, condition) {
+                if (abandoned) return;
+                if (transport == 'websocket' && !handshake
+                    && (status === Strophe.Status.CONNFAIL || status === Strophe.Status.ERROR)) {
+                    Max.Log.info('Max WebSocket connection failed, falling back to BOSH');
+                    abandoned = true;
+                    self.websocketFailed = true;
+                    self.connectionEmitter = null;
+                    return open('bosh');
+                }
+                if (status === Strophe.Status.AUTHENTICATING || status === Strophe.Status.CONNECTED)
+                    handshake = true;
+
+                if (self.connectionEmitter) self.connectionEmitter.invoke(status, condition);
+                if (status === Strophe.Status.AUTHENTICATING && !initEnd)
+                    self.setState(Max.ConnectionState.AUTHENTICATING);
 
                 self.connectionHandler(status, function(e) {
                     if (initEnd) return;
                     initEnd = true;
-                    if (e) return def.reject(e);
+                    if (e) {
+                        if (!isReconnect || e.code == Max.Error.NOT_AUTHORIZED)
+                            self.setState(Max.ConnectionState.FAILED, condition || e.code);
+                        return def.reject(e);
+                    }
 
-                    mXMPPConnection.send($pres());
+                    self.attempt = 0;
+                    self.setState(Max.ConnectionState.CONNECTED);
+                    // connectivity and the session are back, including after a reconnect
+                    Max.RequestQueue.flush();
+                    mXMPPConnection.addHandler(function(msg) {
+                        Max.MessageReceipt.acknowledge(msg);
+                        return true;
+                    }, null, 'message', 'chat', null, null);
+                    mXMPPConnection.addHandler(function(pres) {
+                        Max.Presence.receive(pres);
+                        return true;
+                    }, null, 'presence', null, null, null);
+                    // a resumed session keeps its presence and stream management state
+                    if (condition != 'resumed') {
+                        if (Max.Config.streamManagement) Max.StreamManagement.enable(mXMPPConnection);
+                        // presence of other users is sent again by the server for the new session
+                        mPresences = {};
+                        mXMPPConnection.send(Max.Presence.toStanza());
+                    }
                     if (!isReconnect) Max.invoke('authenticated', 'ok');
                     def.resolve('ok');
                 });
             });
+        }
+
+        setTimeout(function() {
+            if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+            if (self.connectionEmitter) return def.reject(new Max.MaxError(Max.Error.ALREADY_CONNECTED));
+
+            self.attempt = isReconnect ? self.attempt + 1 : 1;
+            self.setState(isReconnect ? Max.ConnectionState.RECONNECTING : Max.ConnectionState.CONNECTING);
+            if (!isReconnect) self.websocketFailed = false;
 
+            mCurrentUser.jid = self.getBaredJid(userId) + '/' + mCurrentDevice.deviceId;
+            open(self.getTransport());
         }, 0);
         return def.promise;
     },
+    /**
+     * Get the transport to use for the next connection.
+     * @returns {string} 'websocket' if configured, or enabled on the server with the 'auto' transport, supported by
+     * the client and not known to fail. Otherwise, 'bosh'.
+     */
+    getTransport: function() {
+        var transport = Max.Config.xmppTransport == 'auto'
+            ? (Max.Config.websocketEnabled ? 'websocket' : 'bosh') : Max.Config.xmppTransport;
+        return (transport == 'websocket' && !this.websocketFailed && typeof WebSocket !== 'undefined')
+            ? 'websocket' : 'bosh';
+    },
+    /**
+     * Get the URL of the XMPP service for the given transport.
+     * @param {string} transport Either 'websocket' or 'bosh'.
+     * @returns {string} The service URL.
+     */
+    getServiceUrl: function(transport) {
+        var secure = Max.Config.baseUrl.indexOf('https://') != -1;
+        var baseHostName = Max.Config.baseUrl.replace('https://', '').replace('http://', '').split('/')[0];
+        var xmppHost = secure ? baseHostName : (Max.Config.mmxHost + ':' + Max.Config.httpBindPort);
+
+        if (transport == 'websocket')
+            return (secure ? 'wss' : 'ws') + '://' + xmppHost + Max.Config.websocketPath;
+        return (secure ? 'https' : 'http') + '://' + xmppHost + '/http-bind/';
+    },
     // handle connection events related to initial connectivity
     connectionHandler: function(status, callback) {
         switch (status) {
             case Strophe.Status.ERROR: {
                 Max.Log.fine('Max connection error');
-                callback('connection error');
+                callback(new Max.MaxError(Max.Error.CONNECTION_ERROR));
                 break;
             }
             case Strophe.Status.CONNFAIL: {
                 Max.Log.fine('Max connection failure');
-                callback('connection failed');
+                callback(new Max.MaxError(Max.Error.CONNECTION_FAILED));
                 break;
             }
             case Strophe.Status.AUTHFAIL: {
                 Max.Log.fine('Max failed authentication');
-                callback('not authorized');
+                callback(new Max.MaxError(Max.Error.NOT_AUTHORIZED));
                 break;
             }
             case Strophe.Status.CONNECTED: {
@@ -204,39 +401,99 @@ Max.MMXClient = {
     bindDisconnect: function(callback, noReconnect) {
         var self = this;
         self.connectionEmitter.unbind(Strophe.Status.DISCONNECTED);
-        self.connectionEmitter.on(Strophe.Status.DISCONNECTED, function() {
+        self.connectionEmitter.on(Strophe.Status.DISCONNECTED, function(condition) {
             Max.Log.info('Max disconnected');
             self.connectionEmitter = null;
             mXMPPConnection = null;
-            var token = Cookie.get('magnet-max-auth-token');
-            if (mCurrentUser && token && !noReconnect) {
-                Max.MMXClient.connect(mCurrentUser.userId, token, true).success(function() {
-                    for (var lid in mListenerHandlerStore) {
-                        Max.registerListener(mListenerHandlerStore[lid]);
-                    }
-                }).error(function() {
-                    Max.User.logout();
-                });
-            }
+            if (self.state !== Max.ConnectionState.FAILED && self.state !== Max.ConnectionState.RECONNECTING)
+                self.setState(Max.ConnectionState.DISCONNECTED, condition);
+            if (!noReconnect) self.reconnect();
             if (typeof callback === typeof Function) return callback();
         });
     },
+    // timer of the next reconnect attempt
+    reconnectTimer: null,
+    // set while reconnection is paused until the browser is back online
+    waitingForNetwork: false,
+    /**
+     * Reconnect to MMX server after the connection was lost. The first attempt is immediate, and the following
+     * attempts are delayed according to {Max.Config.reconnectPolicy}. Reconnection is paused while the browser is
+     * offline. If the server rejects the access token, it is renewed with the refresh token, and the session is only
+     * cleared if the refresh token is rejected as well.
+     */
+    reconnect: function() {
+        var self = this;
+        var policy = Max.Config.reconnectPolicy;
+        var delay;
+
+        function registerListeners() {
+            for (var lid in mListenerHandlerStore) {
+                Max.registerListener(mListenerHandlerStore[lid]);
+            }
+        }
+
+        // the access token expired while the stream was open, so renew it before ending the session
+        function reauthenticate() {
+            if (!Cookie.get('magnet-max-refresh-token')) return Max.User.clearSession(Max.Error.SESSION_EXPIRED);
+
+            Max.User.refreshSession().success(registerListeners).error(function(e) {
+                if (Max.User.isSessionRejected(e)) return Max.User.clearSession(Max.Error.SESSION_EXPIRED);
+                self.reconnect();
+            });
+        }
+
+        function connect() {
+            var token = Cookie.get('magnet-max-auth-token');
+            self.reconnectTimer = null;
+            if (!mCurrentUser || !token || self.connectionEmitter) return;
+
+            self.connect(mCurrentUser.userId, token, true).success(registerListeners).error(function(e) {
+                if (e.code == Max.Error.NOT_AUTHORIZED) return reauthenticate();
+                self.reconnect();
+            });
+        }
+
+        self.cancelReconnect();
+        if (!mCurrentUser || !Cookie.get('magnet-max-auth-token') || self.connectionEmitter) return;
+
+        if (self.attempt >= policy.maxAttempts) {
+            Max.Log.info('Max reconnect attempts exhausted');
+            return self.setState(Max.ConnectionState.FAILED, 'maximum reconnect attempts reached');
+        }
+        if (Max.RequestQueue.isOffline()) {
+            self.waitingForNetwork = true;
+            return self.setState(Max.ConnectionState.DISCONNECTED, 'offline');
+        }
+
+        delay = self.attempt ? Max.Utils.getBackoffDelay(self.attempt, policy.baseDelay, policy.maxDelay, policy.jitter) : 0;
+        if (!delay) return connect();
+        self.reconnectTimer = setTimeout(connect, delay);
+    },
+    /**
+     * Cancel a pending reconnect attempt.
+     */
+    cancelReconnect: function() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.waitingForNetwork = false;
+    },
     /**
      * A wrapper function to register device and connect to MMX server via BOSH http-bind.
      * @param {string} accessToken The currently logged in user's access token.
-     * @returns {Max.Promise} A promise object returning current user and device or reason of failure.
+     * @returns {Max.Promise} A promise object returning current user and device or a {Max.MaxError} describing the
+     * failure.
      */
     registerDeviceAndConnect: function(accessToken) {
         var self = this;
         var def = new Max.Deferred();
         Max.Device.register().success(function() {
-            if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
+            if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
             function connect() {
                 var userId = mCurrentUser.userId;
                 Max.MMXClient.connect(userId, accessToken).success(function() {
                     def.resolve(mCurrentUser, mCurrentDevice);
-                }).error(function() {
-                    def.reject.apply(def, arguments);
+                }).error(function(e) {
+                    def.reject(Max.MaxError.wrap(e));
                 });
             }
             if (!mXMPPConnection) {
@@ -247,8 +504,8 @@ Max.MMXClient = {
                 }, true);
                 Max.MMXClient.disconnect();
             }
-        }).error(function() {
-            def.reject.apply(def, arguments);
+        }).error(function(e, details) {
+            def.reject(Max.MaxError.wrap(e), details);
         });
         return def.promise;
     },
@@ -256,8 +513,88 @@ Max.MMXClient = {
      * Disconnect from MMX server.
      */
     disconnect: function() {
+        this.cancelReconnect();
+        // the server terminates the session when the stream is closed, so it cannot be resumed
+        Max.StreamManagement.id = null;
         if (mXMPPConnection) mXMPPConnection.disconnect();
     },
+    /**
+     * Send an IQ stanza to MMX server and wait for the response. The response handler is removed when the response
+     * is received or the request times out.
+     * @param {Strophe.Builder|Element} stanza The IQ stanza. An id is generated if the stanza does not have one.
+     * @param {object} [options] Request options.
+     * @param {number} [options.timeout] The number of milliseconds to wait for the response, or 0 to wait
+     * indefinitely. Defaults to {Max.Config.iqTimeout}.
+     * @returns {Max.Promise} A promise object returning the JSON payload of the MMX element of the response (or null
+     * if the response does not have one), the response converted to JSON and the response element, or a
+     * {Max.XMPPError} if the server returned an error.
+     */
+    sendIQ: function(stanza, options) {
+        var def = new Max.Deferred(), conn = mXMPPConnection, handler;
+        var elem = stanza && stanza.tree ? stanza.tree() : stanza;
+        var timeout = (options && typeof options.timeout === 'number') ? options.timeout : Max.Config.iqTimeout;
+        var iqId;
+
+        if (!conn || !conn.connected) {
+            def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
+            return def.promise;
+        }
+
+        iqId = elem.getAttribute('id');
+        if (!iqId) {
+            iqId = Max.Utils.getCleanGUID();
+            elem.setAttribute('id', iqId);
+        }
+
+        Max.PendingResponses.add(iqId, function(msg, json) {
+            var payload;
+            try {
+                payload = Max.MMXClient.parsePayload(json.mmx);
+            } catch (e) {
+                return def.reject(new Max.XMPPError(Max.Error.REQUEST_FAILED, {
+                    message: 'invalid response payload',
+                    cause: json.mmx,
+                    stanzaId: iqId
+                }));
+            }
+
+            if (json.error) {
+                def.reject(Max.XMPPError.fromStanza(json.error, iqId));
+            } else if (payload && (json._type == 'error' || parseInt(payload.code, 10) >= 400)) {
+                def.reject(Max.XMPPError.fromPayload(payload, iqId));
+            } else if (json._type == 'error') {
+                def.reject(new Max.XMPPError(Max.Error.REQUEST_FAILED, {cause: json, stanzaId: iqId}));
+            } else {
+                def.resolve(payload, json, msg);
+            }
+        }, timeout, function() {
+            def.reject(new Max.XMPPError(Max.Error.REQUEST_TIMEOUT, {
+                message: 'no response received within ' + timeout + 'ms',
+                stanzaId: iqId
+            }));
+        }, function() {
+            if (handler && conn.deleteHandler) conn.deleteHandler(handler);
+        });
+
+        // a response received on another connection, after a reconnect, is settled by Max.PendingResponses.attach
+        handler = conn.addHandler(function(msg, json) {
+            Max.PendingResponses.settle(iqId, msg, json);
+            return false;
+        }, null, null, null, iqId, null);
+
+        conn.send(elem);
+
+        return def.promise;
+    },
+    /**
+     * Parse the JSON content of an MMX element.
+     * @param {object|string} mmx The MMX element converted to JSON.
+     * @returns {*} The parsed content, or null if the element is empty.
+     */
+    parsePayload: function(mmx) {
+        var text = (mmx && typeof mmx === 'object') ? mmx.__text : mmx;
+        return text ? JSON.parse(text) : null;
+    },
     /**
      * Given a userId (id), return a Bared Jid.
      * @param {string} userId A user's userId (id).
@@ -269,6 +606,312 @@ Max.MMXClient = {
     }
 };
 
+/**
+ * @memberof Max
+ * @namespace PendingResponses
+ * @desc Keeps the callbacks waiting for the response to a sent stanza, keyed by the stanza id. The table outlives any
+ * one connection: a stanza resent after a reconnect or a resumed session is settled by the response received on the
+ * new connection.
+ * @ignore
+ */
+Max.PendingResponses = {
+    waiters: {},
+    /**
+     * Wait for the response to a stanza.
+     * @param {string} id The id of the stanza.
+     * @param {function} callback Function to be fired with the response element and the response converted to JSON.
+     * @param {number} [timeout] The number of milliseconds to wait for the response, or 0 to wait indefinitely.
+     * @param {function} [timeoutCallback] Function to be fired if the response is not received in time.
+     * @param {function} [cleanup] Function to be fired once the response is received or timed out.
+     */
+    add: function(id, callback, timeout, timeoutCallback, cleanup) {
+        var self = this, waiter = {callback: callback, cleanup: cleanup};
+        this.remove(id);
+        this.waiters[id] = waiter;
+        if (timeout) {
+            waiter.timer = setTimeout(function() {
+                if (self.waiters[id] !== waiter) return;
+                self.remove(id);
+                timeoutCallback();
+            }, timeout);
+        }
+    },
+    /**
+     * Stop waiting for the response to a stanza.
+     * @param {string} id The id of the stanza.
+     * @returns {object} The waiter, or null if no response is awaited.
+     */
+    remove: function(id) {
+        var waiter = this.waiters[id];
+        if (!waiter) return null;
+        delete this.waiters[id];
+        clearTimeout(waiter.timer);
+        if (waiter.cleanup) waiter.cleanup();
+        return waiter;
+    },
+    /**
+     * Pass a response to the callback waiting for it.
+     * @param {string} id The id of the stanza the response belongs to.
+     * @param {Element} msg The response element.
+     * @param {object} [json] The response converted to JSON.
+     * @returns {boolean} True if a callback was waiting for the response.
+     */
+    settle: function(id, msg, json) {
+        var waiter = this.remove(id);
+        if (!waiter) return false;
+        waiter.callback(msg, json || x2js.xml2json(msg) || {});
+        return true;
+    },
+    /**
+     * Get the id of the message acknowledged by an MMX endack signal.
+     * @param {object} json A message stanza converted to JSON.
+     * @returns {string} The id of the acknowledged message, or null if the message is not an endack signal.
+     */
+    getAckId: function(json) {
+        var meta;
+        if (!json || !json.mmx || !json.mmx.mmxmeta || json.mmx._xmlns != 'com.magnet:msg:signal') return null;
+        try {
+            meta = JSON.parse(json.mmx.mmxmeta);
+        } catch (e) {
+            return null;
+        }
+        return (meta && meta.endack) ? meta.endack.ackForMsgId : null;
+    },
+    /**
+     * Settle the responses received on a connection.
+     * @param {Strophe.Connection} conn A connection to the messaging server.
+     */
+    attach: function(conn) {
+        var self = this;
+        conn.addHandler(function(msg) {
+            var json = x2js.xml2json(msg), id = null;
+            if (msg.nodeName == 'iq' && (json._type == 'result' || json._type == 'error')) id = json._id;
+            else if (msg.nodeName == 'message') id = self.getAckId(json);
+            if (id) self.settle(id, msg, json);
+            return true;
+        }, null, null, null, null, null);
+    }
+};
+
+/**
+ * @memberof Max
+ * @namespace StreamManagement
+ * @desc Implements XEP-0198 stream management. Stanzas are acknowledged in both directions, and stanzas not yet
+ * acknowledged by the server are kept so that they can be resent after a reconnect. If the server allows it, the
+ * session is resumed instead of bound again, and the server redelivers the stanzas it sent while disconnected.
+ * @ignore
+ */
+Max.StreamManagement = {
+    NS: 'urn:xmpp:sm:3',
+    // id of the stream, set if the server allows the session to be resumed
+    id: null,
+    // full jid bound to the stream
+    jid: null,
+    // set while outbound stanzas are counted and acknowledged
+    enabled: false,
+    // number of stanzas handled since stream management was enabled
+    inbound: 0,
+    // number of sent stanzas acknowledged by the server
+    acked: 0,
+    // sent stanzas not yet acknowledged by the server, in order
+    queue: [],
+    // set if the current connection could be extended with stream management
+    attached: false,
+    // set while an acknowledgement request is scheduled
+    requesting: false,
+    // private members of the Strophe connection which are replaced or used by stream management
+    HOOKS: ['_queueData', '_sasl_auth1_cb', '_addSysHandler', '_changeConnectStatus'],
+    /**
+     * Add stream management to a new connection, before it connects. If the connection does not provide the
+     * members stream management depends on, the connection is left unchanged and reconnects bind a new session.
+     * @param {Strophe.Connection} conn The connection.
+     * @returns {boolean} True if stream management was added.
+     */
+    attach: function(conn) {
+        var self = this;
+        var queueData = conn._queueData;
+        var bind = conn._sasl_auth1_cb;
+
+        // stanzas of the new stream are not counted until the session is resumed or stream management is enabled
+        self.enabled = false;
+        self.attached = self.canAttach(conn);
+        if (!self.attached) {
+            Max.Log.info('Max stream management is not supported by this version of Strophe');
+            self.id = null;
+            return false;
+        }
+
+        conn._queueData = function(elem) {
+            queueData.call(conn, elem);
+            if (!self.enabled || !self.isStanza(elem)) return;
+            self.queue.push(elem);
+            self.request(conn);
+        };
+        // called with the stream features after authentication, replaces resource binding if the session can be resumed
+        conn._sasl_auth1_cb = function(features) {
+            if (!self.id || !self.isSupported(features)) return bind.call(conn, features);
+            self.resume(conn, features, bind);
+            return false;
+        };
+        conn._addSysHandler(function(elem) {
+            if (self.enabled && self.isStanza(elem)) ++self.inbound;
+            return true;
+        }, null, null, null, null);
+        conn._addSysHandler(function() {
+            if (self.enabled) conn.send($build('a', {xmlns: self.NS, h: self.inbound}));
+            return true;
+        }, self.NS, 'r', null, null);
+        conn._addSysHandler(function(elem) {
+            self.acknowledge(parseInt(elem.getAttribute('h'), 10));
+            return true;
+        }, self.NS, 'a', null, null);
+        return true;
+    },
+    /**
+     * Determine whether the connection provides the members stream management depends on.
+     * @param {Strophe.Connection} conn The connection.
+     * @returns {boolean} True if stream management can be added.
+     */
+    canAttach: function(conn) {
+        for (var i = 0; i < this.HOOKS.length; ++i) {
+            if (typeof conn[this.HOOKS[i]] !== 'function') return false;
+        }
+        return true;
+    },
+    /**
+     * Request an acknowledgement from the server once the stanzas sent in the current tick have been queued, so that
+     * a burst of stanzas is acknowledged with a single request.
+     * @param {Strophe.Connection} conn The connection.
+     */
+    request: function(conn) {
+        var self = this;
+        if (self.requesting) return;
+
+        self.requesting = true;
+        setTimeout(function() {
+            self.requesting = false;
+            if (self.enabled && self.queue.length) conn.send($build('r', {xmlns: self.NS}));
+        }, 0);
+    },
+    /**
+     * Enable stream management on a newly bound session, and resend the stanzas which were not acknowledged before
+     * the previous connection was lost.
+     * @param {Strophe.Connection} conn A connected connection.
+     */
+    enable: function(conn) {
+        var self = this;
+        var pending = self.queue;
+
+        self.id = null;
+        self.jid = conn.jid;
+        self.enabled = false;
+        self.inbound = 0;
+        self.acked = 0;
+        self.queue = [];
+
+        if (self.attached && self.isSupported(conn.features)) {
+            conn._addSysHandler(function(elem) {
+                if (elem.nodeName == 'enabled') {
+                    if (elem.getAttribute('resume') == 'true' || elem.getAttribute('resume') == '1')
+                        self.id = elem.getAttribute('id');
+                } else if (elem.nodeName == 'failed') {
+                    Max.Log.info('Max stream management could not be enabled');
+                    self.enabled = false;
+                    self.queue = [];
+                } else {
+                    return true;
+                }
+                return false;
+            }, self.NS, null, null, null);
+            conn.send($build('enable', {xmlns: self.NS, resume: 'true'}));
+            // the server counts stanzas from the enable request on
+            self.enabled = true;
+        }
+
+        self.resend(conn, pending);
+    },
+    /**
+     * Request resumption of the previous session in place of resource binding. If the server cannot resume the
+     * session, a new session is bound.
+     * @param {Strophe.Connection} conn An authenticated connection.
+     * @param {Element} features The stream features.
+     * @param {function} bind The resource binding handler of the connection.
+     */
+    resume: function(conn, features, bind) {
+        var self = this;
+
+        conn.features = features;
+        conn._addSysHandler(function(elem) {
+            if (elem.nodeName == 'resumed') {
+                Max.Log.info('Max session resumed');
+                conn.jid = self.jid;
+                conn.authenticated = true;
+                self.enabled = true;
+                self.acknowledge(parseInt(elem.getAttribute('h'), 10));
+                self.resend(conn, self.queue.splice(0, self.queue.length));
+                conn._changeConnectStatus(Strophe.Status.CONNECTED, 'resumed');
+            } else if (elem.nodeName == 'failed') {
+                Max.Log.info('Max session could not be resumed');
+                self.id = null;
+                bind.call(conn, features);
+            } else {
+                return true;
+            }
+            return false;
+        }, self.NS, null, null, null);
+        conn.send($build('resume', {xmlns: self.NS, h: self.inbound, previd: self.id}));
+    },
+    /**
+     * Remove the stanzas acknowledged by the server from the queue.
+     * @param {number} h The number of stanzas handled by the server.
+     */
+    acknowledge: function(h) {
+        if (isNaN(h) || h <= this.acked) return;
+        this.queue.splice(0, h - this.acked);
+        this.acked = h;
+    },
+    // send the given stanzas in order
+    resend: function(conn, stanzas) {
+        for (var i = 0; i < stanzas.length; ++i) {
+            conn.send(stanzas[i]);
+        }
+    },
+    /**
+     * Determine whether the server supports stream management.
+     * @param {Element} features The stream features.
+     * @returns {boolean} True if supported.
+     */
+    isSupported: function(features) {
+        var elems = features ? features.getElementsByTagName('sm') : [];
+        for (var i = 0; i < elems.length; ++i) {
+            if (elems[i].getAttribute('xmlns') == this.NS) return true;
+        }
+        return false;
+    },
+    // only message, presence and iq elements are counted
+    isStanza: function(elem) {
+        return !!elem && ['message', 'presence', 'iq'].indexOf(elem.nodeName) != -1;
+    },
+    /**
+     * Discard the stream management state, including unacknowledged stanzas.
+     */
+    reset: function() {
+        this.id = null;
+        this.jid = null;
+        this.enabled = false;
+        this.inbound = 0;
+        this.acked = 0;
+        this.queue = [];
+        this.attached = false;
+    }
+};
+
+if (typeof self !== 'undefined' && self.addEventListener) {
+    self.addEventListener('online', function() {
+        if (Max.MMXClient.waitingForNetwork) Max.MMXClient.reconnect();
+    }, false);
+}
+
 /**
  * @attribute {object} ListenerType A key-value pair of all listener types.
  * @ignore
@@ -283,6 +926,539 @@ Max.MessageType = {
     POLL_ANSWER: 'MMXPollAnswer'
 };
 
+/**
+ * @attribute {object} MessageStatus A key-value pair of all statuses of an outgoing message. Changes of status are
+ * emitted through the 'status' event of the message, with the new status and an object containing the
+ * `previousStatus` and the `reason` of the change if any.
+ */
+Max.MessageStatus = {
+    PENDING: 'pending',
+    SENT: 'sent',
+    ACKED: 'acked',
+    FAILED: 'failed',
+    TIMED_OUT: 'timed-out'
+};
+
+/**
+ * @attribute {object} ReceiptType A key-value pair of all types of message receipts.
+ */
+Max.ReceiptType = {
+    DELIVERED: 'delivered',
+    READ: 'read'
+};
+
+/**
+ * @constructor
+ * @class
+ * A {Max.MessageReceipt} is received from the {Max.EventListener} when a message sent by the current user to another
+ * user has been delivered to or read by that user.
+ * @param {string} type One of the {Max.ReceiptType} constants.
+ * @param {string} messageID The messageID of the message.
+ * @param {Max.User} user The user who sent the receipt.
+ * @param {Date} timestamp The date and time the message was delivered or read.
+ * @property {string} type One of the {Max.ReceiptType} constants.
+ * @property {string} messageID The messageID of the message.
+ * @property {Max.User} user The user who sent the receipt.
+ * @property {Date} timestamp The date and time the message was delivered or read.
+ */
+Max.MessageReceipt = function(type, messageID, user, timestamp) {
+    this.type = type;
+    this.messageID = messageID;
+    this.user = user;
+    this.timestamp = timestamp;
+};
+
+/**
+ * Create a receipt from a message stanza.
+ * @param {object} msg A message stanza converted to JSON.
+ * @returns {Max.MessageReceipt} The receipt, or null if the message is not a receipt.
+ * @ignore
+ */
+Max.MessageReceipt.fromStanza = function(msg) {
+    var type, elem;
+
+    if (!msg) return null;
+    if (msg.received && msg.received._xmlns == RECEIPTS_NS) {
+        type = Max.ReceiptType.DELIVERED;
+        elem = msg.received;
+    } else if (msg.displayed && msg.displayed._xmlns == CHAT_MARKERS_NS) {
+        type = Max.ReceiptType.READ;
+        elem = msg.displayed;
+    }
+    if (!type || !elem._id || !msg._from) return null;
+
+    return new Max.MessageReceipt(type, elem._id, new Max.User({
+        userId: msg._from.split('@')[0]
+    }), (msg.delay && msg.delay._stamp) ? Max.Utils.ISO8601ToDate(msg.delay._stamp) : new Date());
+};
+
+/**
+ * Send a delivered receipt for a received message which requests it, if {Max.Config.deliveryReceipts} is enabled.
+ * @param {Element} msg A message stanza.
+ * @ignore
+ */
+Max.MessageReceipt.acknowledge = function(msg) {
+    var json;
+    if (!Max.Config.deliveryReceipts) return;
+
+    json = x2js.xml2json(msg);
+    if (!json._id || !json._from || !json.request || json.request._xmlns != RECEIPTS_NS) return;
+    if (!json.mmx || json.mmx._xmlns != 'com.magnet:msg:payload') return;
+
+    sendReceipt(Max.ReceiptType.DELIVERED, json._id, json._from);
+};
+
+/**
+ * Send a delivered or read receipt for a message.
+ * @param {string} type One of the {Max.ReceiptType} constants.
+ * @param {string} messageID The messageID of the message.
+ * @param {string} to The jid of the message sender.
+ */
+function sendReceipt(type, messageID, to) {
+    var payload = $msg({type: 'chat', from: mCurrentUser.jid, to: to.split('/')[0], id: Max.Utils.getCleanGUID()})
+        .c(type == Max.ReceiptType.READ ? 'displayed' : 'received', {
+            xmlns: type == Max.ReceiptType.READ ? CHAT_MARKERS_NS : RECEIPTS_NS,
+            id: messageID
+        }).up()
+        .c('delay', {xmlns: 'urn:xmpp:delay', stamp: Max.Utils.dateToISO8601(new Date())});
+
+    mXMPPConnection.send(payload.tree());
+}
+
+/**
+ * @attribute {object} ChatState A key-value pair of all chat states, which indicate whether a user is typing in a
+ * conversation.
+ */
+Max.ChatState = {
+    ACTIVE: 'active',
+    COMPOSING: 'composing',
+    PAUSED: 'paused',
+    GONE: 'gone'
+};
+
+/**
+ * @constructor
+ * @class
+ * A {Max.ChatStateEvent} is received from the {Max.EventListener} when the chat state of another user changes in a
+ * conversation with the current user or in a channel, such as when the user starts typing.
+ * @param {string} state One of the {Max.ChatState} constants.
+ * @param {Max.User} user The user whose chat state changed.
+ * @param {string} [channelId] The channelId of the channel.
+ * @property {string} state One of the {Max.ChatState} constants.
+ * @property {Max.User} user The user whose chat state changed.
+ * @property {string} [channelId] The channelId of the channel, if the chat state was sent to a channel.
+ * @property {Date} timestamp The date and time the chat state was received.
+ */
+Max.ChatStateEvent = function(state, user, channelId) {
+    this.state = state;
+    this.user = user;
+    this.channelId = channelId;
+    this.timestamp = new Date();
+};
+
+/**
+ * Create a chat state event from a message stanza.
+ * @param {object} msg A message stanza converted to JSON.
+ * @returns {Max.ChatStateEvent} The event, or null if the message is not a chat state notification.
+ * @ignore
+ */
+Max.ChatStateEvent.fromStanza = function(msg) {
+    var thread;
+    if (!msg || msg.mmx || !msg._from) return null;
+
+    for (var key in Max.ChatState) {
+        if (msg[Max.ChatState[key]] && msg[Max.ChatState[key]]._xmlns == CHAT_STATES_NS) {
+            thread = (msg.thread && typeof msg.thread === 'object') ? msg.thread.__text : msg.thread;
+            return new Max.ChatStateEvent(Max.ChatState[key], new Max.User({
+                userId: msg._from.split('@')[0]
+            }), thread || undefined);
+        }
+    }
+    return null;
+};
+
+/**
+ * Determine whether a chat state should not be sent because the same chat state was sent to the conversation less
+ * than {Max.Config.chatStateInterval} milliseconds ago.
+ * @param {string} conversation An identifier of the conversation.
+ * @param {string} state One of the {Max.ChatState} constants.
+ * @returns {boolean} True if the chat state should not be sent.
+ * @ignore
+ */
+Max.ChatStateEvent.isThrottled = function(conversation, state) {
+    var last = mChatStates[conversation];
+    return !!last && last.state == state && new Date().getTime() - last.time < Max.Config.chatStateInterval;
+};
+
+/**
+ * Record a chat state as sent to the conversation, so that it is throttled. Only call this once the chat state has
+ * been sent, so that a failed attempt can be retried immediately.
+ * @param {string} conversation An identifier of the conversation.
+ * @param {string} state One of the {Max.ChatState} constants.
+ * @ignore
+ */
+Max.ChatStateEvent.record = function(conversation, state) {
+    mChatStates[conversation] = {state: state, time: new Date().getTime()};
+};
+
+/**
+ * Send a chat state notification to each of the given users.
+ * @param {string[]} userIds The userId of each recipient.
+ * @param {string} state One of the {Max.ChatState} constants.
+ * @param {string} [channelId] The channelId of the channel the chat state applies to.
+ * @ignore
+ */
+Max.ChatStateEvent.send = function(userIds, state, channelId) {
+    var payload;
+    for (var i=0;i<userIds.length;++i) {
+        if (userIds[i] == mCurrentUser.userId) continue;
+
+        payload = $msg({type: 'chat', from: mCurrentUser.jid, to: Max.MMXClient.getBaredJid(userIds[i]),
+            id: Max.Utils.getCleanGUID()})
+            .c(state, {xmlns: CHAT_STATES_NS}).up()
+            .c('no-store', {xmlns: 'urn:xmpp:hints'}).up();
+        if (channelId) payload.c('thread', channelId);
+
+        mXMPPConnection.send(payload.tree());
+    }
+};
+
+/**
+ * Determine whether the given value is one of the {Max.ChatState} constants.
+ * @param {string} state A chat state.
+ * @returns {boolean} True if valid.
+ * @ignore
+ */
+Max.ChatStateEvent.isValid = function(state) {
+    for (var key in Max.ChatState) {
+        if (Max.ChatState[key] === state) return true;
+    }
+    return false;
+};
+
+/**
+ * @attribute {object} PresenceStatus A key-value pair of all presence statuses of a user.
+ */
+Max.PresenceStatus = {
+    ONLINE: 'online',
+    AWAY: 'away',
+    DND: 'dnd',
+    OFFLINE: 'offline'
+};
+
+/**
+ * @constructor
+ * @class
+ * A {Max.Presence} describes whether a user is online. It is returned by {Max.User.getPresence} and received from the
+ * {Max.EventListener} when the presence of another user changes.
+ * @param {Max.User} user The user.
+ * @param {string} status One of the {Max.PresenceStatus} constants.
+ * @param {string} [statusText] A custom status message set by the user.
+ * @param {Date} [lastActive] The date and time the user was last active.
+ * @property {Max.User} user The user.
+ * @property {string} status One of the {Max.PresenceStatus} constants.
+ * @property {string} [statusText] A custom status message set by the user.
+ * @property {Date} [lastActive] The date and time the user was last active, if known.
+ */
+Max.Presence = function(user, status, statusText, lastActive) {
+    this.user = user;
+    this.status = status;
+    this.statusText = statusText || null;
+    this.lastActive = lastActive || null;
+};
+
+/**
+ * @constructor
+ * @class
+ * A {Max.PresenceRequest} is received from the {Max.EventListener} when another user requests to receive the presence
+ * of the current user with {Max.User.subscribePresence}, unless {Max.Config.presenceAutoApprove} is enabled. The
+ * presence and last activity of the current user are only shared with the user once the request is accepted.
+ * @param {Max.User} user The user who sent the request.
+ * @property {Max.User} user The user who sent the request.
+ */
+Max.PresenceRequest = function(user) {
+    this.user = user;
+};
+
+/**
+ * Accept or decline the presence subscription request.
+ * @param {boolean} accepted True to accept the request.
+ * @returns {Max.Promise} A promise object returning "ok" or reason of failure.
+ * @ignore
+ */
+Max.PresenceRequest.prototype.respond = function(accepted) {
+    var self = this;
+    var def = new Max.Deferred();
+
+    setTimeout(function() {
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
+
+        mXMPPConnection.send($pres({to: Max.MMXClient.getBaredJid(self.user.userId),
+            type: accepted ? 'subscribed' : 'unsubscribed'}).tree());
+        def.resolve('ok');
+    }, 0);
+
+    return def.promise;
+};
+
+/**
+ * Accept the request, allowing the user to receive the presence of the current user.
+ * @returns {Max.Promise} A promise object returning "ok" or reason of failure.
+ */
+Max.PresenceRequest.prototype.accept = function() {
+    return this.respond(true);
+};
+
+/**
+ * Decline the request.
+ * @returns {Max.Promise} A promise object returning "ok" or reason of failure.
+ */
+Max.PresenceRequest.prototype.decline = function() {
+    return this.respond(false);
+};
+
+/**
+ * Create a presence from a presence stanza.
+ * @param {object} pres A presence stanza converted to JSON.
+ * @returns {Max.Presence} The presence, or null if the stanza is not an availability update.
+ * @ignore
+ */
+Max.Presence.fromStanza = function(pres) {
+    var status = Max.PresenceStatus.ONLINE, show, statusText, lastActive;
+
+    if (!pres || !pres._from || (pres._type && pres._type != 'unavailable')) return null;
+
+    show = (pres.show && typeof pres.show === 'object') ? pres.show.__text : pres.show;
+    statusText = (pres.status && typeof pres.status === 'object') ? pres.status.__text : pres.status;
+
+    // extended away is sent by Max.setPresence to appear offline while still receiving messages
+    if (pres._type == 'unavailable' || show == 'xa') status = Max.PresenceStatus.OFFLINE;
+    else if (show == 'away') status = Max.PresenceStatus.AWAY;
+    else if (show == 'dnd') status = Max.PresenceStatus.DND;
+
+    if (pres.idle && pres.idle._since) lastActive = Max.Utils.ISO8601ToDate(pres.idle._since);
+    else if (pres.delay && pres.delay._stamp) lastActive = Max.Utils.ISO8601ToDate(pres.delay._stamp);
+
+    return new Max.Presence(new Max.User({
+        userId: pres._from.split('@')[0]
+    }), status, statusText, lastActive || new Date());
+};
+
+/**
+ * Record the presence of a resource of another user and notify the registered listeners. The presence passed to the
+ * listeners reflects the most available resource of the user. Presence subscription requests are passed to the
+ * listeners as a {Max.PresenceRequest}, unless {Max.Config.presenceAutoApprove} is enabled.
+ * @param {Element} pres A presence stanza.
+ * @ignore
+ */
+Max.Presence.receive = function(pres) {
+    var json = x2js.xml2json(pres), presence, resources, request;
+    if (!json || !json._from || (mCurrentUser && json._from == mCurrentUser.jid)) return;
+
+    if (json._type == 'subscribe') {
+        if (Max.Config.presenceAutoApprove)
+            return mXMPPConnection.send($pres({to: json._from.split('/')[0], type: 'subscribed'}).tree());
+
+        request = new Max.PresenceRequest(new Max.User({
+            userId: json._from.split('@')[0]
+        }));
+        for (var lid in mListenerHandlerStore) {
+            if (mListenerHandlerStore[lid].presenceRequestHandler)
+                mListenerHandlerStore[lid].presenceRequestHandler(request);
+        }
+        return;
+    }
+
+    presence = Max.Presence.fromStanza(json);
+    if (!presence) return;
+
+    resources = mPresences[presence.user.userId] = mPresences[presence.user.userId] || {};
+    if (json._type == 'unavailable') delete resources[json._from];
+    else resources[json._from] = presence;
+
+    presence = Max.Presence.get(presence.user.userId) || presence;
+    for (var id in mListenerHandlerStore) {
+        if (mListenerHandlerStore[id].presenceHandler) mListenerHandlerStore[id].presenceHandler(presence);
+    }
+};
+
+/**
+ * Get the most available presence received from the resources of a user.
+ * @param {string} userId The userId of the user.
+ * @returns {Max.Presence} The presence, or null if the user has no available resource.
+ * @ignore
+ */
+Max.Presence.get = function(userId) {
+    var order = [Max.PresenceStatus.ONLINE, Max.PresenceStatus.AWAY, Max.PresenceStatus.DND,
+        Max.PresenceStatus.OFFLINE], best = null;
+
+    for (var jid in mPresences[userId]) {
+        if (!best || order.indexOf(mPresences[userId][jid].status) < order.indexOf(best.status))
+            best = mPresences[userId][jid];
+    }
+    return best;
+};
+
+/**
+ * Query the last activity of a user with XEP-0012. The server answers with 0 seconds if the user has an available
+ * resource.
+ * @param {string} userId The userId of the user.
+ * @returns {Max.Promise} A promise object returning a {Max.Presence}, or reason of failure.
+ * @ignore
+ */
+Max.Presence.query = function(userId) {
+    var def = new Max.Deferred();
+    var payload = $iq({type: 'get', to: Max.MMXClient.getBaredJid(userId), id: Max.Utils.getCleanGUID()})
+        .c('query', {xmlns: LAST_ACTIVITY_NS});
+
+    Max.MMXClient.sendIQ(payload).success(function(res, json) {
+        var seconds = (json.query && json.query._seconds) ? parseInt(json.query._seconds, 10) : 0;
+        var statusText = (json.query && json.query.__text) ? json.query.__text : null;
+
+        def.resolve(new Max.Presence(new Max.User({
+            userId: userId
+        }), seconds ? Max.PresenceStatus.OFFLINE : Max.PresenceStatus.ONLINE, statusText,
+            new Date(new Date().getTime() - seconds * 1000)));
+    }).error(function(e) {
+        def.reject(e);
+    });
+
+    return def.promise;
+};
+
+/**
+ * Send a presence subscription request, or cancel it, to each of the given users.
+ * @param {Max.User|Max.User[]|string|string[]} userOrUserIds One or more {Max.User} or userId.
+ * @param {string} type Either 'subscribe' or 'unsubscribe'.
+ * @returns {Max.Promise} A promise object returning "ok" or reason of failure.
+ * @ignore
+ */
+Max.Presence.subscribe = function(userOrUserIds, type) {
+    var def = new Max.Deferred(), userIds = [];
+
+    userOrUserIds = Max.Utils.objToObjAry(userOrUserIds);
+    for (var i=0;i<userOrUserIds.length;++i)
+        userIds.push(formatUser(userOrUserIds[i]).userId);
+
+    setTimeout(function() {
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
+        if (!userIds.length) return def.reject(new Max.MaxError(Max.Error.NO_RECIPIENTS));
+
+        for (var i=0;i<userIds.length;++i) {
+            if (type == 'unsubscribe') delete mPresences[userIds[i]];
+            mXMPPConnection.send($pres({to: Max.MMXClient.getBaredJid(userIds[i]), type: type}).tree());
+        }
+        def.resolve('ok');
+    }, 0);
+
+    return def.promise;
+};
+
+/**
+ * Build the presence stanza of the current user from the status set with {Max.setPresence} and the priority set by
+ * {Max.start} and {Max.stop}.
+ * @returns {Strophe.Builder} The presence stanza.
+ * @ignore
+ */
+Max.Presence.toStanza = function() {
+    var payload = $pres();
+
+    // unavailable presence would stop the server from routing messages to this client
+    if (mPresence.status == Max.PresenceStatus.OFFLINE) payload.c('show', 'xa').up();
+    else if (mPresence.status == Max.PresenceStatus.AWAY || mPresence.status == Max.PresenceStatus.DND)
+        payload.c('show', mPresence.status).up();
+    if (mPresence.statusText) payload.c('status', mPresence.statusText).up();
+    // XMPP priorities range from -128 to 127
+    if (mXMPPConnection && typeof mXMPPConnection.priority === 'number')
+        payload.c('priority', String(Math.max(mXMPPConnection.priority, -128)));
+
+    return payload;
+};
+
+/**
+ * Send the presence of the current user to the server, if connected.
+ * @ignore
+ */
+Max.Presence.broadcast = function() {
+    if (!mXMPPConnection || !mXMPPConnection.connected) return;
+    mXMPPConnection.send(Max.Presence.toStanza().tree());
+};
+
+/**
+ * Remove the presence of the current user and the presence received from other users.
+ * @ignore
+ */
+Max.Presence.reset = function() {
+    mPresence = {};
+    mPresences = {};
+};
+
+/**
+ * Determine whether the given value is one of the {Max.PresenceStatus} constants.
+ * @param {string} status A presence status.
+ * @returns {boolean} True if valid.
+ * @ignore
+ */
+Max.Presence.isValid = function(status) {
+    for (var key in Max.PresenceStatus) {
+        if (Max.PresenceStatus[key] === status) return true;
+    }
+    return false;
+};
+
+/**
+ * @constructor
+ * @class
+ * The DeliveryReport class describes the result of sending a message to each of its recipients.
+ * @param {object[]} recipients The recipients of the message, each containing a userId.
+ * @param {object} [endack] The acknowledgement of the message sent by the server.
+ * @property {string} errorCode The error code reported by the server, or 'NO_ERROR' if the message was delivered to
+ * all recipients.
+ * @property {string[]} delivered The userId of each recipient the message was delivered to.
+ * @property {object[]} failed The recipients the message could not be delivered to, each containing the `userId`, the
+ * `reason` reported by the server, such as 'INVALID_RECEIVER', and the `message` describing the reason, if any.
+ */
+Max.DeliveryReport = function(recipients, endack) {
+    var failedIds = {}, receivers, receiver, userId, i;
+    endack = endack || {};
+
+    this.errorCode = endack.errorCode || 'NO_ERROR';
+    this.delivered = [];
+    this.failed = [];
+
+    receivers = Max.Utils.objToObjAry(endack.badReceivers);
+    for (i=0;i<receivers.length;++i) {
+        receiver = typeof receivers[i] == 'string' ? {userId: receivers[i]} : receivers[i];
+        userId = (receiver.userId || '').split('%')[0];
+        if (!userId || failedIds[userId]) continue;
+        failedIds[userId] = true;
+        this.failed.push({
+            userId: userId,
+            reason: receiver.errorCode || this.errorCode,
+            message: receiver.errorMsg || receiver.message
+        });
+    }
+
+    for (i=0;i<recipients.length;++i) {
+        userId = recipients[i].userId;
+        // an error which does not name the recipients applies to all of them
+        if (this.errorCode != 'NO_ERROR' && !receivers.length)
+            this.failed.push({userId: userId, reason: this.errorCode});
+        else if (!failedIds[userId])
+            this.delivered.push(userId);
+    }
+};
+
+/**
+ * Determine whether the message was delivered to some, but not all recipients.
+ * @returns {boolean} True if the delivery was partial.
+ */
+Max.DeliveryReport.prototype.isPartial = function() {
+    return this.delivered.length > 0 && this.failed.length > 0;
+};
+
 /**
  * @constructor
  * @class
@@ -298,6 +1474,9 @@ Max.MessageType = {
  * @property {Max.Channel} [channel] If the message was sent to a channel, the channel object will be available.
  * @property {Date} timestamp The date and time this message was sent.
  * @property {object[]|Max.User[]} [recipients] An array of recipients, if the message was sent to individual users instead of through a channel.
+ * @property {string} [status] The {Max.MessageStatus} of the message, if it was sent with {Max.Message#send}.
+ * @property {Max.DeliveryReport} [deliveryReport] The delivery result for each recipient, once the message sent with
+ * {Max.Message#send} has been acknowledged by the server.
  */
 Max.Message = function(contents, recipientOrRecipients, attachments, pushConfigName) {
     this.meta = {};
@@ -351,6 +1530,7 @@ Max.Message.formatEvent = function(msg, channel, callback) {
     ) ? msg.event.items.item.mmx : msg.mmx;
 
     if (msg.mmx && msg.mmx._xmlns == 'com.magnet:msg:signal') return callback();
+    if (Max.ChatStateEvent.fromStanza(msg)) return callback();
 
     mType = (msg.mmx && msg.mmx.payload && msg.mmx.payload._mtype) ? msg.mmx.payload._mtype : 'unknown';
 
@@ -495,24 +1675,93 @@ Max.MessageHelper = {
 //}
 
 /**
- * Send the message to a user.
- * @returns {Max.Promise} A promise object returning the messageID or reason of failure.
+ * Bind a handler to an event of the message. The 'status' event is emitted when the {Max.MessageStatus} of an outgoing
+ * message changes.
+ * @param {string} eventId The name of the event, such as 'status'.
+ * @param {function} callback The function to call when the event is emitted.
+ * @returns {Max.Message} The message.
+ */
+Max.Message.prototype.on = function(eventId, callback) {
+    getEmitter(this).on(eventId, callback);
+    return this;
+};
+
+/**
+ * Unbind handlers from an event of the message.
+ * @param {string} [eventId] The name of the event. If not specified, all handlers are unbound.
+ * @param {function} [callback] The handler to unbind. If not specified, all handlers of the event are unbound.
+ * @returns {Max.Message} The message.
+ */
+Max.Message.prototype.off = function(eventId, callback) {
+    getEmitter(this).unbind(eventId, callback);
+    return this;
+};
+
+/**
+ * Change the status of the message and emit the 'status' event.
+ * @param {string} status One of the {Max.MessageStatus} constants.
+ * @param {string} [reason] The reason of the change.
+ * @ignore
+ */
+Max.Message.prototype.setStatus = function(status, reason) {
+    var previousStatus = this.status;
+    this.status = status;
+    getEmitter(this).invoke('status', status, {
+        previousStatus: previousStatus,
+        reason: reason
+    });
+};
+
+/**
+ * Get the event emitter of a message, creating it on first use.
+ */
+function getEmitter(msg) {
+    if (!msg._emitter) {
+        msg._emitter = {};
+        Max.Events.create(msg._emitter);
+    }
+    return msg._emitter;
+}
+
+/**
+ * Send the message to a user. The server acknowledges the message once it has been delivered to its recipients; if
+ * the acknowledgement is not received within {Max.Config.messageAckTimeout}, the message times out. A message which
+ * failed or timed out can be sent again, and keeps its messageID so that the server can discard duplicates.
+ * @returns {Max.Promise} A promise object returning the messageID and a {Max.DeliveryReport}, or reason of failure.
+ * The promise is resolved if the message was delivered to at least one recipient. If it was delivered to none, the
+ * promise is rejected with a {Max.MaxError} with the code {Max.Error.DELIVERY_FAILED}, the error code reported by the
+ * server as `reason` and the {Max.DeliveryReport} as `report`. Upload progress of the attachments is reported to the
+ * progress callbacks of the promise, and the upload can be aborted with the cancel method of the promise until the
+ * message is sent.
  */
 Max.Message.prototype.send = function() {
     var self = this;
     var def = new Max.Deferred();
     var dt = Max.Utils.dateToISO8601(new Date());
-    self.msgId = Max.Utils.getCleanGUID();
+    var retry = self.msgId && (self.status == Max.MessageStatus.FAILED || self.status == Max.MessageStatus.TIMED_OUT);
+    var call = Max.Call.create(def, function(e) {
+        fail(Max.MessageStatus.FAILED, e);
+    });
+
+    if (!retry) self.msgId = Max.Utils.getCleanGUID();
+    self.setStatus(Max.MessageStatus.PENDING);
+
+    function fail(status, e) {
+        self.setStatus(status, e);
+        def.reject.apply(def, [].slice.call(arguments, 1));
+    }
 
     setTimeout(function() {
+        if (call.state == Max.CallState.CANCELLED) return;
         if (!self.recipients.length)
-            return def.reject('no recipients');
+            return fail(Max.MessageStatus.FAILED, new Max.MaxError(Max.Error.NO_RECIPIENTS));
         if (!mCurrentUser)
-            return def.reject(Max.Error.SESSION_EXPIRED);
+            return fail(Max.MessageStatus.FAILED, new Max.MaxError(Max.Error.SESSION_EXPIRED));
         if (!mXMPPConnection || !mXMPPConnection.connected)
-            return def.reject(Max.Error.NOT_CONNECTED);
+            return fail(Max.MessageStatus.FAILED, new Max.MaxError(Max.Error.NOT_CONNECTED));
 
         function sendMessage(msgMeta) {
+            call.commit();
             self.sender = {
                 userId: mCurrentUser.userId,
                 devId: mCurrentDevice.deviceId,
@@ -541,34 +1790,61 @@ Max.Message.prototype.send = function() {
                 .c('request', {xmlns: 'urn:xmpp:receipts'}).up()
                 .c('body', '.');
 
-            mXMPPConnection.addHandler(function(msg) {
-                var json = x2js.xml2json(msg);
-                if (!json.mmx || !json.mmx.mmxmeta || json.mmx._xmlns != 'com.magnet:msg:signal') return true;
-                json = JSON.parse(json.mmx.mmxmeta);
-                if (!json.endack || json.endack.ackForMsgId != self.msgId) return true;
+            var conn = mXMPPConnection, timeout = Max.Config.messageAckTimeout, handler;
 
-                if (json.endack.errorCode == 'NO_ERROR') {
-                    def.resolve(self.msgId);
-                    return false;
+            Max.PendingResponses.add(self.msgId, function(msg, json) {
+                var endack = JSON.parse(json.mmx.mmxmeta).endack, e;
+
+                self.deliveryReport = new Max.DeliveryReport(self.recipients, endack);
+                if (self.deliveryReport.delivered.length) {
+                    self.setStatus(Max.MessageStatus.ACKED, self.deliveryReport.isPartial() ? 'partial delivery' : null);
+                    return def.resolve(self.msgId, self.deliveryReport);
                 }
 
-                def.reject(json.endack.errorCode, json.endack.badReceivers);
+                e = new Max.MaxError(Max.Error.DELIVERY_FAILED, {
+                    message: 'message not delivered: ' + self.deliveryReport.errorCode,
+                    cause: endack,
+                    stanzaId: self.msgId
+                });
+                e.reason = self.deliveryReport.errorCode;
+                e.report = self.deliveryReport;
+                fail(Max.MessageStatus.FAILED, e);
+            }, timeout, function() {
+                fail(Max.MessageStatus.TIMED_OUT, new Max.MaxError(Max.Error.REQUEST_TIMEOUT, {
+                    message: 'message not acknowledged within ' + timeout + 'ms',
+                    stanzaId: self.msgId
+                }));
+            }, function() {
+                if (handler && conn.deleteHandler) conn.deleteHandler(handler);
+            });
+
+            // an endack received on another connection, after a reconnect, is settled by Max.PendingResponses.attach
+            handler = conn.addHandler(function(msg) {
+                var json = x2js.xml2json(msg);
+                if (Max.PendingResponses.getAckId(json) != self.msgId) return true;
+
+                Max.PendingResponses.settle(self.msgId, msg, json);
+                return false;
             }, null, 'message', null, null, null);
 
-            mXMPPConnection.send(payload.tree());
+            conn.send(payload.tree());
+            if (self.status == Max.MessageStatus.PENDING) self.setStatus(Max.MessageStatus.SENT);
         }
 
         if (!self._attachments.length) return sendMessage(self.messageContent);
 
         new Max.Uploader(self._attachments, function(e, multipart) {
-            if (e || !multipart) return def.reject(e);
+            if (call.state == Max.CallState.CANCELLED) return;
+            if (e || !multipart) return fail(Max.MessageStatus.FAILED, Max.MaxError.wrap(e));
 
-            multipart.messageUpload(self, self.msgId).success(function(attachments) {
+            call.request = multipart.messageUpload(self, self.msgId).progress(function(e) {
+                def.notify(e);
+            }).success(function(attachments) {
                 sendMessage(Max.Utils.mergeObj(self.messageContent || {}, {
                     _attachments: JSON.stringify(attachments)
                 }));
             }).error(function(e) {
-                def.reject(e);
+                fail(Max.MessageStatus.FAILED, Max.MaxError.wrap(e));
             });
         });
 
@@ -617,8 +1893,9 @@ Max.Message.prototype.reply = function(contents, replyAll) {
     var def = new Max.Deferred();
 
     setTimeout(function() {
-        if (!contents) return def.reject('invalid reply message content');
-        if (self.sender.userId == mCurrentUser.userId) return def.reject('cannot reply to yourself');
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!contents) return def.reject(new Max.MaxError(Max.Error.INVALID_REPLY_CONTENT));
+        if (self.sender.userId == mCurrentUser.userId) return def.reject(new Max.MaxError(Max.Error.REPLY_TO_SELF));
 
         self.recipients = (replyAll && self.recipients && self.recipients.length) ? self.recipients : [];
         self.recipients.push(formatUser(self.sender));
@@ -642,6 +1919,80 @@ Max.Message.prototype.reply = function(contents, replyAll) {
     return def.promise;
 };
 
+/**
+ * Send a delivered receipt for a received message to its sender. Delivered receipts are sent automatically unless
+ * {Max.Config.deliveryReceipts} is disabled.
+ * @returns {Max.Promise} A promise object returning "ok" or reason of failure.
+ */
+Max.Message.prototype.markDelivered = function() {
+    return this.sendReceipt(Max.ReceiptType.DELIVERED);
+};
+
+/**
+ * Send a read receipt for a received message to its sender.
+ * @returns {Max.Promise} A promise object returning "ok" or reason of failure.
+ */
+Max.Message.prototype.markRead = function() {
+    return this.sendReceipt(Max.ReceiptType.READ);
+};
+
+/**
+ * Send a receipt for a received message to its sender. Receipts are only sent for messages sent to individual users.
+ * @param {string} type One of the {Max.ReceiptType} constants.
+ * @returns {Max.Promise} A promise object returning "ok" or reason of failure.
+ * @ignore
+ */
+Max.Message.prototype.sendReceipt = function(type) {
+    var self = this;
+    var def = new Max.Deferred();
+
+    setTimeout(function() {
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
+        if (!self.receivedMessage || self.channel || !self.messageID || !self.sender)
+            return def.reject(new Max.MaxError(Max.Error.INVALID_MESSAGE_ID, {
+                message: 'receipts can only be sent for messages received from another user'
+            }));
+
+        sendReceipt(type, self.messageID, (self.meta && self.meta.from) || Max.MMXClient.getBaredJid(self.sender.userId));
+        def.resolve('ok');
+    }, 0);
+
+    return def.promise;
+};
+
+/**
+ * Notify one or more users of the chat state of the current user, such as when the user starts typing. A chat state
+ * is not sent again to the same users within {Max.Config.chatStateInterval} milliseconds.
+ * @param {Max.User|Max.User[]|string|string[]} recipientOrRecipients One or more {Max.User} or userId.
+ * @param {string} state One of the {Max.ChatState} constants.
+ * @returns {Max.Promise} A promise object returning "ok", "throttled" if the chat state was not sent, or reason of
+ * failure.
+ */
+Max.Message.sendChatState = function(recipientOrRecipients, state) {
+    var def = new Max.Deferred(), userIds = [], conversation;
+
+    recipientOrRecipients = Max.Utils.objToObjAry(recipientOrRecipients);
+    for (var i=0;i<recipientOrRecipients.length;++i)
+        userIds.push(formatUser(recipientOrRecipients[i]).userId);
+
+    setTimeout(function() {
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
+        if (!Max.ChatStateEvent.isValid(state)) return def.reject(new Max.MaxError(Max.Error.INVALID_CHAT_STATE));
+        if (!userIds.length) return def.reject(new Max.MaxError(Max.Error.NO_RECIPIENTS));
+
+        conversation = userIds.slice().sort().join(',');
+        if (Max.ChatStateEvent.isThrottled(conversation, state)) return def.resolve('throttled');
+
+        Max.ChatStateEvent.send(userIds, state);
+        Max.ChatStateEvent.record(conversation, state);
+        def.resolve('ok');
+    }, 0);
+
+    return def.promise;
+};
+
 /**
  * Reply to all recipients of a received message.
  * @param {object} contents an object containing your custom message body.
@@ -680,10 +2031,11 @@ Max.Invite.prototype.respond = function(accepted, comments) {
     var def = new Max.Deferred();
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
-        if (!self.channel) return def.reject(Max.Error.INVALID_CHANNEL);
-        if (accepted === null || typeof accepted === 'undefined') return def.reject(Max.Error.INVALID_ACCEPTED);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
+        if (!self.channel) return def.reject(new Max.MaxError(Max.Error.INVALID_CHANNEL));
+        if (accepted === null || typeof accepted === 'undefined')
+            return def.reject(new Max.MaxError(Max.Error.INVALID_ACCEPTED));
 
         self.invitationMeta.inviteResponseText = comments;
         self.invitationMeta.inviteIsAccepted = accepted + '';
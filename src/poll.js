@@ -50,8 +50,8 @@ Max.Poll.get = function(pollId) {
     var def = new Max.Deferred(), poll, paths;
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!pollId) return def.reject(Max.Error.INVALID_POLL_ID);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!pollId) return def.reject(new Max.MaxError(Max.Error.INVALID_POLL_ID));
 
         Max.Request({
             method: 'GET',
@@ -84,17 +84,17 @@ Max.Poll.prototype.publish = function(channel) {
 
     setTimeout(function() {
         if (!mCurrentUser)
-            return def.reject(Max.Error.SESSION_EXPIRED);
+            return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
         if (!channel || !channel.getChannelName)
-            return def.reject(Max.Error.INVALID_CHANNEL);
+            return def.reject(new Max.MaxError(Max.Error.INVALID_CHANNEL));
         if (!self.name)
-            return def.reject(Max.Error.INVALID_POLL_NAME);
+            return def.reject(new Max.MaxError(Max.Error.INVALID_POLL_NAME));
         if (!self.question)
-            return def.reject(Max.Error.INVALID_POLL_QUESTION);
+            return def.reject(new Max.MaxError(Max.Error.INVALID_POLL_QUESTION));
         if (!self.options || !self.options.length)
-            return def.reject(Max.Error.INVALID_POLL_OPTIONS);
+            return def.reject(new Max.MaxError(Max.Error.INVALID_POLL_OPTIONS));
         if (self.endDate && self.endDate < new Date())
-            return def.reject(Max.Error.INVALID_END_DATE);
+            return def.reject(new Max.MaxError(Max.Error.INVALID_END_DATE));
 
         survey = Max.PollHelper.pollToSurvey(self, channel);
 
@@ -144,11 +144,11 @@ Max.Poll.prototype.choose = function(pollOptions) {
     pollOptions = pollOptions || [];
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
         if (!self.allowMultiChoice && pollOptions && pollOptions.length && pollOptions.length > 1)
-            return def.reject(Max.Error.TOO_MANY_POLL_OPTIONS);
+            return def.reject(new Max.MaxError(Max.Error.TOO_MANY_POLL_OPTIONS));
         if (self.endDate < new Date())
-            return def.reject(Max.Error.POLL_ENDED);
+            return def.reject(new Max.MaxError(Max.Error.POLL_ENDED));
 
         if (!Max.Utils.isArray(pollOptions))
             pollOptions = [pollOptions];
@@ -199,8 +199,8 @@ Max.Poll.prototype.delete = function() {
     var self = this, def = new Max.Deferred();
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (self.ownerId != mCurrentUser.userId) return def.reject(Max.Error.FORBIDDEN);
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (self.ownerId != mCurrentUser.userId) return def.reject(new Max.MaxError(Max.Error.FORBIDDEN));
 
         Max.Request({
             method: 'DELETE',
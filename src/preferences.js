@@ -62,16 +62,16 @@ Max.UserPreferences = {
      * @ignore
      */
     setUsers: function(users) {
-        var self = this, def = new Max.Deferred(), iqId = Max.Utils.getCleanGUID(), userId, uids = {};
+        var self = this, def = new Max.Deferred(), userId, uids = {};
 
         setTimeout(function() {
-            if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-            if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
+            if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+            if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
 
             if (!Max.Utils.isArray(users))
                 users = [users];
 
-            var payload = $iq({from: mCurrentUser.jid, type: 'set', id: iqId})
+            var payload = $iq({from: mCurrentUser.jid, type: 'set'})
                 .c('query', {xmlns: 'jabber:iq:privacy'})
                 .c('list', {name: DEFAULT_PRIVACY_LIST});
 
@@ -83,23 +83,15 @@ Max.UserPreferences = {
                 payload.c('iq').up().c('message').up().c('presence-in').up().c('presence-out').up().up();
             }
 
-            mXMPPConnection.addHandler(function(msg) {
-                var json = x2js.xml2json(msg);
-
-                if (json.error) {
-                    if (json.error._type == 'auth') json.error._type = Max.Error.FORBIDDEN;
-                    return def.reject(json.error._type, json.error._code);
-                }
-
+            Max.MMXClient.sendIQ(payload).success(function() {
                 self.enablePrivacyList(DEFAULT_PRIVACY_LIST).success(function() {
                     def.resolve('ok');
                 }).error(function(e) {
                     def.reject(e);
                 });
-            }, null, null, null, iqId, null);
-
-            mXMPPConnection.send(payload.tree());
-
+            }).error(function(e) {
+                def.reject(e);
+            });
         }, 0);
 
         return def.promise;
@@ -110,28 +102,17 @@ Max.UserPreferences = {
      * @returns {Max.Promise} A promise object returning a list of {Max.User} or request error.
      */
     getBlockedUsers: function(uidsOnly) {
-        var def = new Max.Deferred(), iqId = Max.Utils.getCleanGUID(), items, uids = [];
+        var def = new Max.Deferred(), items, uids = [];
 
         setTimeout(function() {
-            if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-            if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
+            if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+            if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
 
-            var payload = $iq({from: mCurrentUser.jid, type: 'get', id: iqId})
+            var payload = $iq({from: mCurrentUser.jid, type: 'get'})
                 .c('query', {xmlns: 'jabber:iq:privacy'})
                 .c('list', {name: DEFAULT_PRIVACY_LIST});
 
-            mXMPPConnection.addHandler(function(msg) {
-                var json = x2js.xml2json(msg);
-
-                if (json.error && json.error._code != '404') {
-                    if (json.error._type == 'auth') json.error._type = Max.Error.FORBIDDEN;
-                    return def.reject(json.error._type, json.error._code);
-                }
-
-                if (json.error && json.error._code == '404') {
-                    return def.resolve([]);
-                }
-
+            Max.MMXClient.sendIQ(payload).success(function(payload, json) {
                 if (json.query && json.query.list && json.query.list.item) {
                     items = Max.Utils.objToObjAry(json.query.list.item);
                     for (var i=0;i<items.length;++i) {
@@ -146,10 +127,11 @@ Max.UserPreferences = {
                 }).error(function(e) {
                     def.reject(e);
                 });
-            }, null, null, null, iqId, null);
-
-            mXMPPConnection.send(payload.tree());
-
+            }).error(function(e) {
+                // the privacy list does not exist until a user is blocked
+                if (e.status == 404) return def.resolve([]);
+                def.reject(e);
+            });
         }, 0);
 
         return def.promise;
@@ -161,30 +143,23 @@ Max.UserPreferences = {
      * @ignore
      */
     enablePrivacyList: function(listName) {
-        var def = new Max.Deferred(), iqId = Max.Utils.getCleanGUID();
+        var def = new Max.Deferred();
 
         setTimeout(function() {
-            if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-            if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(Max.Error.NOT_CONNECTED);
-            if (!listName) return def.reject(Max.Error.INVALID_PRIVACY_LIST_NAME);
+            if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+            if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
+            if (!listName) return def.reject(new Max.MaxError(Max.Error.INVALID_PRIVACY_LIST_NAME));
 
-            var payload = $iq({from: mCurrentUser.jid, type: 'set', id: iqId})
+            var payload = $iq({from: mCurrentUser.jid, type: 'set'})
                 .c('query', {xmlns: 'jabber:iq:privacy'})
                 .c('default', {name: listName});
 
-            mXMPPConnection.addHandler(function(msg) {
-                var json = x2js.xml2json(msg);
-
-                if (json.error && json.error._code != '404') {
-                    if (json.error._type == 'auth') json.error._type = Max.Error.FORBIDDEN;
-                    return def.reject(json.error._type, json.error._code);
-                }
-
+            Max.MMXClient.sendIQ(payload).success(function() {
                 def.resolve('ok');
-            }, null, null, null, iqId, null);
-
-            mXMPPConnection.send(payload.tree());
-
+            }).error(function(e) {
+                if (e.status == 404) return def.resolve('ok');
+                def.reject(e);
+            });
         }, 0);
 
         return def.promise;
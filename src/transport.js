@@ -11,58 +11,516 @@ Max.Request = function(request, callback, failback) {
 
     var deferred = new Max.Deferred();
     deferred.promise = new Max.Call();
+    deferred.promise.callId = Max.Utils.getCleanGUID();
 
     var options = {
-        call : deferred.promise
+        call     : deferred.promise,
+        progress : function(e) {
+            deferred.notify(e);
+        }
     };
+    var policy = Max.RetryPolicy.getPolicy(request);
+    var cacheRule = Max.ResponseCache.getRule(request);
+    var customAuth = !!request.headers.Authorization;
+    var retryTimer, cacheEntry, refreshed;
 
-    if (Max.App.hatCredentials && Max.App.hatCredentials.access_token && !request.headers.Authorization)
-        request.headers['Authorization'] = 'Bearer ' + Max.App.hatCredentials.access_token;
+    options.call._onCancel = function() {
+        clearTimeout(retryTimer);
+        var details = {
+            status : 0,
+            info   : {
+                url : request._path
+            }
+        };
+        var e = new Max.RequestError(Max.Error.CANCELLED, {
+            status    : 0,
+            requestId : options.call.callId
+        });
+        if (options.call._queueId) Max.RequestQueue.discard(options.call._queueId);
+        if (failback) failback(e, details);
+        else deferred.reject(e, details);
+    };
 
-    setTimeout(function() {
-        if (!Max.App.initialized && !request.bypassReady)
-            return (failback || function() {})('sdk not ready');
+    function resolveFromCache(details) {
+        details = details || {
+            status : 200,
+            info   : {
+                url : request._path
+            }
+        };
+        details.contentType = details.contentType || cacheEntry.contentType;
+        details.fromCache = true;
+
+        options.call.isResultFromCache = true;
+        options.call.cachedTime = new Date(cacheEntry.cachedTime);
+        options.call.state = Max.CallState.SUCCESS;
+        (callback || function() {})(JSON.parse(cacheEntry.body), details);
+    }
+
+    // waits for the access token refresh shared by all requests, then continues with the new bearer token
+    function waitForSession(next, details) {
+        var initiator = !Max.User.isRefreshingSession();
+        refreshed = true;
+        details = details || {
+            status : 401,
+            info   : {
+                url : request._path
+            }
+        };
+
+        Max.User.refreshSession().success(function() {
+            next();
+        }).error(function(e) {
+            var rejected = Max.User.isSessionRejected(e);
+            if (initiator && rejected) Max.TokenManager.expire();
+            if (options.call.state == Max.CallState.CANCELLED) return;
+            options.call.state = Max.CallState.FAILED;
+            (failback || function() {})(rejected ? new Max.RequestError(Max.Error.SESSION_EXPIRED, {
+                status    : details.status,
+                requestId : options.call.callId
+            }) : Max.MaxError.wrap(e), details);
+        });
+    }
+
+    function send() {
+        if (options.call.state == Max.CallState.CANCELLED) return;
+        ++options.call.attempts;
+        options.call.state = Max.CallState.EXECUTING;
+
+        if (!customAuth) {
+            if (!request.bypassAuth && Max.App.hatCredentials && Max.App.hatCredentials.access_token)
+                request.headers['Authorization'] = 'Bearer ' + Max.App.hatCredentials.access_token;
+            else
+                delete request.headers['Authorization'];
+        }
 
         Max.Transport.request(request.data, request, options, function(result, details) {
+            if (options.call.state == Max.CallState.CANCELLED) return;
             Max.Log.fine(details.status+' '+details.info.url+' ', {
                 contentType : details.contentType,
                 response    : result
             });
 
+            if (cacheRule && cacheEntry && details.status === 304) {
+                Max.ResponseCache.touch(cacheEntry, cacheRule);
+                return resolveFromCache(details);
+            }
+            if (cacheRule) Max.ResponseCache.put(request, result, details, cacheRule);
+
             options.call.state = Max.CallState.SUCCESS;
             (callback || function() {})(result, details);
 
         }, function(e, details) {
+            if (options.call.state == Max.CallState.CANCELLED) return;
             Max.Log.fine(details.status+' '+details.info.url+' ', {
                 contentType : details.contentType,
                 response    : e
             });
 
+            if (cacheRule && cacheEntry && details.status === 304) {
+                Max.ResponseCache.touch(cacheEntry, cacheRule);
+                return resolveFromCache(details);
+            }
+
+            if (!details.intercepted && Max.RetryPolicy.shouldRetry(policy, request, details, options.call.attempts)) {
+                var delay = Max.RetryPolicy.getDelay(policy, options.call.attempts);
+                Max.Log.fine('retrying '+details.info.url+' in '+delay+'ms (attempt '+(options.call.attempts+1)+')');
+                retryTimer = setTimeout(send, delay);
+                return;
+            }
+
+            if (details.status === 0 && !details.intercepted && Max.RequestQueue.isReliable(request))
+                return Max.RequestQueue.enqueue(request, options.call, callback, failback);
+
             // TODO: need to rework the .status === 0 once CORS is full implemented by server
             if (details.status === 401 && !request.isLogin) {
-                if (Cookie.get('magnet-max-refresh-token'))
-                    return Max.User.loginWithRefreshToken(request, callback, function() {
-                        Max.User.clearSession(Max.Error.SESSION_EXPIRED);
-                    });
+                if (!refreshed && (Cookie.get('magnet-max-refresh-token') || Max.User.isRefreshingSession()))
+                    return waitForSession(send, details);
                 else
                     Max.User.clearSession(Max.Error.SESSION_EXPIRED);
             }
 
+            e = Max.RequestError.fromResponse(e, details, options.call.callId);
+
             if (details.status === 403 && !request.isLogin)
                 Max.invoke('not-authorized', e, details);
 
-            if (details.status === 413 || details.status === 0)
-                e = 'maximum filesize exceeded';
-
             options.call.state = Max.CallState.FAILED;
             (failback || function() {})(e, details);
 
         });
+    }
+
+    setTimeout(function() {
+        if (options.call.state == Max.CallState.CANCELLED) return;
+        if (Max.RequestQueue.isReliable(request) && Max.RequestQueue.isOffline())
+            return Max.RequestQueue.enqueue(request, options.call, callback, failback);
+        if (!Max.App.initialized && !request.bypassReady)
+            return (failback || function() {})(new Max.MaxError(Max.Error.NOT_READY));
+        if (!request.isLogin && !customAuth && Max.User.isRefreshingSession())
+            return waitForSession(start);
+
+        start();
     }, 0);
 
+    function start() {
+        if (options.call.state == Max.CallState.CANCELLED) return;
+        if (!cacheRule) return send();
+
+        Max.ResponseCache.get(request, function(entry) {
+            if (options.call.state == Max.CallState.CANCELLED) return;
+            cacheEntry = entry;
+            if (cacheEntry && cacheEntry.expires > new Date().getTime()) return resolveFromCache();
+            if (cacheEntry && cacheEntry.etag) request.headers['If-None-Match'] = cacheEntry.etag;
+            send();
+        });
+    }
+
     return deferred;
 };
 
+/**
+ * A class containing functions to determine whether, and when, a failed {Max.Request} should be attempted again.
+ * @memberof Max
+ * @namespace RetryPolicy
+ * @ignore
+ */
+Max.RetryPolicy = {
+    /**
+     * Get the retry policy of a request by merging the request's `retry` attribute into {Max.Config.retryPolicy}.
+     * @param {object} request Request metadata.
+     * @returns {object} The retry policy to apply to the request.
+     */
+    getPolicy : function(request) {
+        var policy = Max.Utils.mergeObj({}, Max.Config.retryPolicy);
+        if (request.retry === false) policy.maxAttempts = 1;
+        else if (Max.Utils.isObject(request.retry)) Max.Utils.mergeObj(policy, request.retry);
+        return policy;
+    },
+    /**
+     * Determines whether a failed request can be attempted again.
+     * @param {object} policy The retry policy of the request.
+     * @param {object} request Request metadata.
+     * @param {object} details Details of the failed attempt.
+     * @param {number} attempts The number of attempts made so far.
+     * @returns {boolean} True if the request should be attempted again.
+     */
+    shouldRetry : function(policy, request, details, attempts) {
+        if (attempts >= (policy.maxAttempts || 1)) return false;
+        if (!policy.retryOn || policy.retryOn.indexOf(details.status) == -1) return false;
+        return request.idempotent === true || (request.idempotent !== false && !!policy.idempotentMethods
+            && policy.idempotentMethods.indexOf((request.method || 'GET').toUpperCase()) != -1);
+    },
+    /**
+     * Get the delay before the next attempt.
+     * @param {object} policy The retry policy of the request.
+     * @param {number} attempts The number of attempts made so far.
+     * @returns {number} The delay in milliseconds.
+     */
+    getDelay : function(policy, attempts) {
+        return Max.Utils.getBackoffDelay(attempts, policy.baseDelay || 0, policy.maxDelay || 0, policy.jitter);
+    }
+};
+
+/**
+ * A reliable queue of mutating requests. When reliable requests are enabled through {Max.Config.reliableRequests} or
+ * the `reliable` attribute of a request, POST, PUT and DELETE requests made while offline, or which failed with a
+ * network error, are stored in {Max.Storage} and replayed in order once connectivity returns or the messaging server
+ * is connected again. The queue is persisted in localStorage where available, so that requests queued before a page
+ * reload are replayed in the next session of the same user. Elsewhere, such as in Node.js, the queue is kept in memory
+ * and lost when the app exits.
+ * @memberof Max
+ * @namespace RequestQueue
+ * @ignore
+ */
+Max.RequestQueue = {
+    /**
+     * @attribute {string} store Name of the {Max.Storage} table containing queued requests.
+     */
+    store : 'MMSDKRequestQueue',
+    /**
+     * @attribute {object} pending Callbacks of requests queued during this session, keyed by queue record id.
+     */
+    pending : {},
+    /**
+     * @attribute {boolean} flushing Indicates whether the queue is currently being replayed.
+     */
+    flushing : false,
+    seq : 0,
+    /**
+     * Determines whether the request should be queued if it cannot reach the server.
+     * @param {object} request Request metadata.
+     * @returns {boolean} True if the request is a mutating request with reliable mode enabled.
+     */
+    isReliable : function(request) {
+        if (request.isBinary || request.isLogin) return false;
+        if (['POST', 'PUT', 'DELETE', 'PATCH'].indexOf((request.method || 'GET').toUpperCase()) == -1) return false;
+        return request.reliable === true || (request.reliable !== false && Max.Config.reliableRequests === true);
+    },
+    /**
+     * Determines whether the client is known to be offline.
+     * @returns {boolean} True if the browser reports no network connectivity.
+     */
+    isOffline : function() {
+        return typeof navigator !== 'undefined' && navigator.onLine === false;
+    },
+    /**
+     * Store a request in the queue.
+     * @param {object} request Request metadata.
+     * @param {Max.Call} call The call associated with the request.
+     * @param {function} [callback] Fires when the request eventually succeeds.
+     * @param {function} [failback] Fires when the request is replayed and fails.
+     */
+    enqueue : function(request, call, callback, failback) {
+        var self = this, headers = {};
+
+        for (var key in request.headers) {
+            if (request.headers.hasOwnProperty(key) && key != 'Authorization')
+                headers[key] = request.headers[key];
+        }
+
+        call.state = Max.CallState.QUEUED;
+        Max.Storage.create(self.store, {
+            seq         : new Date().getTime() * 1000 + (++self.seq % 1000),
+            userId      : mCurrentUser ? mCurrentUser.userId : null,
+            method      : request.method,
+            url         : request._path || request.url,
+            data        : typeof request.data === 'undefined' ? null : JSON.stringify(request.data),
+            contentType : request.contentType,
+            headers     : JSON.stringify(headers)
+        }, function(record) {
+            Max.Log.fine('request queued: '+request.method+' '+record.url);
+            call._queueId = record.id;
+            self.pending[record.id] = {
+                call     : call,
+                callback : callback,
+                failback : failback
+            };
+        }, function(e) {
+            call.state = Max.CallState.FAILED;
+            (failback || function() {})(e, {
+                status : 0,
+                info   : {
+                    url : request._path
+                }
+            });
+        });
+    },
+    /**
+     * Remove a request from the queue without replaying it.
+     * @param {string} id The queue record id.
+     */
+    discard : function(id) {
+        delete this.pending[id];
+        Max.Storage.remove(this.store, id);
+    },
+    /**
+     * Replay the queued requests of the current user in the order they were queued. Replay stops at the first request
+     * which cannot reach the server, and resumes on the next flush.
+     */
+    flush : function() {
+        var self = this;
+        if (self.flushing || self.isOffline() || !mCurrentUser) return;
+        self.flushing = true;
+
+        Max.Storage.get(self.store, {
+            userId : mCurrentUser.userId
+        }, function(records) {
+            records = (records || []).slice(0).sort(function(a, b) {
+                return a.seq - b.seq;
+            });
+            self.replay(records, 0);
+        }, function() {
+            self.flushing = false;
+        });
+    },
+    /**
+     * Recursively replay a list of queued requests.
+     * @param {object[]} records Queue records sorted in the order they were queued.
+     * @param {number} index The index of the record to replay.
+     */
+    replay : function(records, index) {
+        var self = this, record = records[index];
+        if (!record) {
+            self.flushing = false;
+            return;
+        }
+
+        Max.Request({
+            method      : record.method,
+            url         : record.url,
+            data        : record.data === null ? undefined : JSON.parse(record.data),
+            contentType : record.contentType,
+            headers     : JSON.parse(record.headers || '{}'),
+            reliable    : false
+        }, function(result, details) {
+            self.complete(record, Max.CallState.SUCCESS, 'callback', [result, details]);
+            self.replay(records, ++index);
+        }, function(e, details) {
+            if (details && details.status === 0) {
+                self.flushing = false;
+                return;
+            }
+            self.complete(record, Max.CallState.FAILED, 'failback', [e, details]);
+            self.replay(records, ++index);
+        });
+    },
+    /**
+     * Remove a replayed request from the queue and notify the original caller, if it is still waiting.
+     * @param {object} record The queue record.
+     * @param {string} state The final {Max.CallState} of the call.
+     * @param {string} fn The name of the callback to fire.
+     * @param {array} args Arguments to pass to the callback.
+     */
+    complete : function(record, state, fn, args) {
+        var pending = this.pending[record.id];
+        this.discard(record.id);
+        if (!pending || pending.call.state == Max.CallState.CANCELLED) return;
+        pending.call.state = state;
+        if (pending[fn]) pending[fn].apply(null, args);
+    }
+};
+
+if (Max.Utils.hasFeature('localStorage'))
+    Max.Storage.tableConnectors[Max.RequestQueue.store] = Max.LocalStorageConnector;
+
+Max.Storage.createTableIfNotExist(Max.RequestQueue.store, {
+    seq         : 'INTEGER',
+    userId      : 'TEXT',
+    method      : 'TEXT',
+    url         : 'TEXT',
+    data        : 'TEXT',
+    contentType : 'TEXT',
+    headers     : 'TEXT'
+}, null, false);
+
+// self refers to the window in browsers and to the global scope in web and service workers
+if (typeof self !== 'undefined' && self.addEventListener) {
+    self.addEventListener('online', function() {
+        Max.RequestQueue.flush();
+    }, false);
+}
+
+/**
+ * A cache of GET responses stored in {Max.Storage}. Responses are cached for the URLs matching the rules defined in
+ * {Max.Config.responseCache}. Fresh responses are returned without contacting the server, and expired responses
+ * containing an ETag are revalidated using the If-None-Match header.
+ * @memberof Max
+ * @namespace ResponseCache
+ * @ignore
+ */
+Max.ResponseCache = {
+    /**
+     * @attribute {string} store Name of the {Max.Storage} table containing cached responses.
+     */
+    store : 'MMSDKResponseCache',
+    /**
+     * Get the caching rule which applies to the request.
+     * @param {object} request Request metadata.
+     * @returns {object} An object containing the time to live of the response in milliseconds, or null if the response
+     * should not be cached.
+     */
+    getRule : function(request) {
+        var rules = (Max.Config.responseCache && Max.Config.responseCache.rules) || [];
+        var url = Max.Transport.resolveUrl(request._path || request.url, request.local);
+
+        if ((request.method || 'GET').toUpperCase() != 'GET' || request.cache === false || request.returnType == 'binary')
+            return null;
+        if (Max.Utils.isObject(request.cache) && typeof request.cache.ttl === 'number')
+            return {ttl : request.cache.ttl};
+
+        for (var i=0;i<rules.length;++i) {
+            if ((rules[i].pattern instanceof RegExp && rules[i].pattern.test(url))
+                || (typeof rules[i].pattern === 'string' && url.indexOf(rules[i].pattern) != -1))
+                return {ttl : rules[i].ttl || 0};
+        }
+        return null;
+    },
+    /**
+     * Get the cached response of the request.
+     * @param {object} request Request metadata.
+     * @param {function} callback Fires with the cache record, or undefined if the response has not been cached.
+     */
+    get : function(request, callback) {
+        Max.Storage.get(this.store, this.getKey(request), function(records) {
+            callback(records && records.length ? records[0] : undefined);
+        }, function() {
+            callback();
+        });
+    },
+    /**
+     * Store the response of a successful request.
+     * @param {object} request Request metadata.
+     * @param {*} result The response body.
+     * @param {object} details Details of the response.
+     * @param {object} rule The caching rule which applies to the request.
+     */
+    put : function(request, result, details, rule) {
+        var self = this, key = self.getKey(request), body, now = new Date().getTime();
+        var etag = Max.Transport.getResponseHeader(details, 'ETag');
+
+        if (!rule.ttl && !etag) return;
+        try {
+            body = JSON.stringify(result);
+        } catch(e) {
+            return;
+        }
+        if (typeof body === 'undefined') return;
+
+        Max.Storage.remove(self.store, key, function() {
+            Max.Storage.create(self.store, Max.Utils.mergeObj(key, {
+                body        : body,
+                etag        : etag,
+                contentType : details.contentType,
+                cachedTime  : now,
+                expires     : now + rule.ttl
+            }));
+        });
+    },
+    /**
+     * Extend the lifetime of a cache record after the server confirmed it has not been modified.
+     * @param {object} entry The cache record.
+     * @param {object} rule The caching rule which applies to the request.
+     */
+    touch : function(entry, rule) {
+        var now = new Date().getTime();
+        entry.cachedTime = now;
+        entry.expires = now + rule.ttl;
+        Max.Storage.update(this.store, entry.id, {
+            cachedTime : entry.cachedTime,
+            expires    : entry.expires
+        });
+    },
+    /**
+     * Remove all cached responses.
+     * @param {function} [callback] Fires after the cache is cleared.
+     */
+    clear : function(callback) {
+        Max.Storage.clearTable(this.store, callback, callback);
+    },
+    /**
+     * Get the query identifying the cached response of a request for the current user.
+     * @param {object} request Request metadata.
+     * @returns {object} A {Max.Storage} query.
+     */
+    getKey : function(request) {
+        return {
+            url    : Max.Transport.resolveUrl(request._path || request.url, request.local),
+            userId : mCurrentUser ? mCurrentUser.userId : ''
+        };
+    }
+};
+
+Max.Storage.createTableIfNotExist(Max.ResponseCache.store, {
+    url         : 'TEXT',
+    userId      : 'TEXT',
+    body        : 'TEXT',
+    etag        : 'TEXT',
+    contentType : 'TEXT',
+    cachedTime  : 'INTEGER',
+    expires     : 'INTEGER'
+}, null, false);
+
 /**
  * A class containing transport functions for facilitating requests and responses between a client and a Mobile App Server.
  * @memberof Max
@@ -79,17 +537,148 @@ Max.Transport = {
      * @param {function} [failback] Executes if the request failed.
      */
     request : function(body, metadata, options, callback, failback) {
+        var me = this, meta = {}, key;
         options = options || {};
-        metadata._path = metadata._path || metadata.path;
-        metadata._path = (metadata.local === true || /^(ftp|http|https):/.test(metadata._path) === true) ? metadata._path : Max.Config.baseUrl+metadata._path;
-        if (typeof jQuery !== 'undefined' && metadata.returnType != 'binary' && !metadata.isBinary) {
+        metadata._path = me.resolveUrl(metadata._path || metadata.path, metadata.local);
+
+        // interceptors receive a copy so that a retried request starts again from the original metadata
+        for (key in metadata) {
+            if (metadata.hasOwnProperty(key)) meta[key] = metadata[key];
+        }
+        meta.url = metadata._path;
+        meta.data = body;
+        meta.headers = {};
+        for (key in me.Headers) {
+            if (me.Headers.hasOwnProperty(key)) meta.headers[key] = me.Headers[key];
+        }
+        for (key in metadata.headers) {
+            if (metadata.headers.hasOwnProperty(key)) meta.headers[key] = metadata.headers[key];
+        }
+
+        function fail(e, details) {
+            details = details || {
+                status      : 0,
+                intercepted : true,
+                info        : {
+                    url : metadata._path
+                }
+            };
+            me.runInterceptors('error', e, [details], function(err) {
+                if (typeof failback === typeof Function) failback(err, details);
+            }, function(err) {
+                if (typeof failback === typeof Function) failback(err, details);
+            });
+        }
+
+        me.runInterceptors('request', meta, [], function(meta) {
+            if (options.call && options.call.state == Max.CallState.CANCELLED) return;
+            meta._path = me.resolveUrl(meta.url, meta.local);
+
+            me.dispatch(meta.data, meta, options, function(result, details) {
+                me.runInterceptors('response', result, [details], function(res) {
+                    if (typeof callback === typeof Function) callback(res, details);
+                }, function(e) {
+                    details.intercepted = true;
+                    fail(e, details);
+                });
+            }, fail);
+        }, function(e) {
+            fail(e);
+        });
+    },
+    /**
+     * Determines the best available transport and calls the request.
+     * @param {object} [body] The body of the request.
+     * @param {object} metadata Request metadata.
+     * @param {object} options Request options.
+     * @param {function} [callback] Executes if the request succeeded.
+     * @param {function} [failback] Executes if the request failed.
+     */
+    dispatch : function(body, metadata, options, callback, failback) {
+        if (Max.Utils.isNode) {
+            this.requestNode(body, metadata, options, callback, failback);
+        } else if (typeof jQuery !== 'undefined' && metadata.returnType != 'binary' && !metadata.isBinary) {
             this.requestJQuery(body, metadata, options, callback, failback);
-        } else if (XMLHttpRequest !== 'undefined') {
+        } else if (typeof XMLHttpRequest !== 'undefined') {
             this.requestXHR(body, metadata, options, callback, failback);
+        } else if (typeof fetch === typeof Function) {
+            this.requestFetch(body, metadata, options, callback, failback);
         } else {
             throw('request transport unavailable');
         }
     },
+    /**
+     * @attribute {object[]} interceptors A list of registered interceptors, in order of registration.
+     */
+    interceptors : [],
+    /**
+     * Register an interceptor. Interceptors run in order of registration for every request, regardless of the
+     * transport used. Each handler returns the value passed to the next interceptor, or a {Max.Promise} resolving
+     * to that value. Returning undefined leaves the value unchanged. Throwing an error or rejecting the promise
+     * fails the request.
+     * @param {object} interceptor An object containing the handlers of the interceptor.
+     * @param {function} [interceptor.request] Fires with the request metadata, such as the url, method, headers
+     * and data, before the request is sent.
+     * @param {function} [interceptor.response] Fires with the response body and response details after a
+     * successful request.
+     * @param {function} [interceptor.error] Fires with the error and response details after a failed request.
+     * @returns {string} The id of the interceptor, which can be used to remove the interceptor with
+     * {Max.Transport.eject}.
+     */
+    use : function(interceptor) {
+        interceptor = interceptor || {};
+        interceptor.id = Max.Utils.getGUID();
+        this.interceptors.push(interceptor);
+        return interceptor.id;
+    },
+    /**
+     * Remove an interceptor.
+     * @param {string} id The id of the interceptor returned by {Max.Transport.use}.
+     * @returns {boolean} True if the interceptor was removed.
+     */
+    eject : function(id) {
+        for (var i=0;i<this.interceptors.length;++i) {
+            if (this.interceptors[i].id === id) {
+                this.interceptors.splice(i, 1);
+                return true;
+            }
+        }
+        return false;
+    },
+    /**
+     * Pass a value through the handlers of the given type, in order of registration.
+     * @param {string} type The type of handler: 'request', 'response' or 'error'.
+     * @param {*} value The value passed to the first handler.
+     * @param {array} args Additional arguments passed to every handler.
+     * @param {function} callback Fires with the value returned by the last handler.
+     * @param {function} failback Fires if a handler threw an error or returned a rejected promise.
+     */
+    runInterceptors : function(type, value, args, callback, failback) {
+        var handlers = [];
+        for (var i=0;i<this.interceptors.length;++i) {
+            if (typeof this.interceptors[i][type] === typeof Function)
+                handlers.push(this.interceptors[i][type]);
+        }
+
+        (function next(index, val) {
+            var res;
+            if (index >= handlers.length) return callback(val);
+            try {
+                res = handlers[index].apply(null, [val].concat(args));
+            } catch(e) {
+                return failback(e);
+            }
+            if (res && typeof res.then === typeof Function) {
+                res.then(function(v) {
+                    next(index + 1, typeof v === 'undefined' ? val : v);
+                }, function(e) {
+                    failback(e);
+                });
+            } else {
+                next(index + 1, typeof res === 'undefined' ? val : res);
+            }
+        })(0, value);
+    },
     /**
      * Transport with JQuery over HTTP/SSL protocol with REST. Cross-origin requests from a web browser are currently not supported.
      * @param {object|string|number} [body] The body of the request.
@@ -111,7 +700,7 @@ Max.Transport = {
         options.call.transportHandle = $.ajax({
             type        : metadata.method,
             url         : metadata._path,
-            timeout     : 30000,
+            timeout     : metadata.timeout || 30000,
             dataType    : metadata.dataType,
             contentType : metadata.contentType,
             processData : !metadata.isBinary,
@@ -162,7 +751,7 @@ Max.Transport = {
         };
         options.call.transportHandle = new XMLHttpRequest();
         var xhr = options.call.transportHandle;
-        xhr.timeout = 30000;
+        xhr.timeout = metadata.timeout || 30000;
         if (metadata.returnType == 'binary') xhr.overrideMimeType('text/plain; charset=x-user-defined');
         xhr.onreadystatechange = function() {
             if (xhr.readyState == 4) {
@@ -190,6 +779,14 @@ Max.Transport = {
                 }
             }
         };
+        if (metadata.isBinary && xhr.upload && xhr.upload.addEventListener && options.progress)
+            xhr.upload.addEventListener('progress', function(e) {
+                options.progress(me.createProgressEvent('upload', e.loaded, e.lengthComputable ? e.total : null));
+            });
+        if (metadata.returnType == 'binary' && xhr.addEventListener && options.progress)
+            xhr.addEventListener('progress', function(e) {
+                options.progress(me.createProgressEvent('download', e.loaded, e.lengthComputable ? e.total : null));
+            });
         xhr.ontimeout = function() {
             details.status = 0;
             details.contentType = xhr.getResponseHeader('Content-Type');
@@ -206,6 +803,269 @@ Max.Transport = {
             }
         xhr.send(reqBody);
     },
+    /**
+     * Transport with the Fetch API over HTTP/SSL protocol with REST. Used in environments which do not support
+     * XMLHttpRequest, such as service workers. If the returnType of the request is 'binary', the response body is
+     * streamed into a Uint8Array. If the returnType is 'stream', the ReadableStream of the response is returned as is.
+     * @param {object|string|number} [body] The body of the request.
+     * @param {object} metadata Request metadata.
+     * @param {object} options Request options.
+     * @param {function} [callback] Executes if the request succeeded.
+     * @param {function} [failback] Executes if the request failed.
+     */
+    requestFetch : function(body, metadata, options, callback, failback) {
+        var me = this, timer, done = false;
+        var reqBody = me.parseBody(metadata.contentType, body);
+        var controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        var headers = {
+            'Accept' : me.createAcceptHeader(metadata.dataType)
+        };
+        var details = {
+            body : reqBody,
+            info : {
+                url : metadata._path
+            }
+        };
+
+        function complete(fn, res) {
+            if (done) return;
+            done = true;
+            clearTimeout(timer);
+            if (typeof fn === typeof Function) fn(res, details);
+        }
+
+        if (metadata.contentType)
+            headers['Content-Type'] = metadata.contentType;
+        if (metadata.headers)
+            for(var key in metadata.headers) {
+                headers[key] = metadata.headers[key];
+            }
+
+        // cancelling the call aborts the fetch through the AbortController
+        options.call.transportHandle = controller;
+        timer = setTimeout(function() {
+            details.status = 0;
+            complete(failback, 'request-timeout');
+            if (controller) controller.abort();
+        }, metadata.timeout || 30000);
+
+        fetch(metadata._path, {
+            method  : metadata.method,
+            headers : headers,
+            body    : /^(GET|HEAD)$/i.test(metadata.method) ? undefined : reqBody,
+            signal  : controller ? controller.signal : undefined
+        }).then(function(res) {
+            details.status = res.status;
+            details.contentType = res.headers.get('Content-Type');
+            details.info.xhr = {
+                status     : res.status,
+                statusText : res.statusText
+            };
+            res.headers.forEach(function(val, key) {
+                details.info.xhr[key] = val;
+            });
+
+            return me.readFetchBody(res, metadata.returnType, options.progress).then(function(resBody) {
+                if (me.isSuccess(res.status)) {
+                    if (metadata.returnType == 'binary' || metadata.returnType == 'stream')
+                        resBody = {
+                            mimeType : details.contentType,
+                            val      : resBody
+                        };
+                    complete(callback, resBody);
+                } else {
+                    complete(failback, resBody);
+                }
+            });
+        }).then(null, function(e) {
+            details.status = 0;
+            complete(failback, (e && e.message) || e);
+        });
+    },
+    /**
+     * Read the body of a Fetch API response.
+     * @param {Response} res The Fetch API response.
+     * @param {string} [returnType] The expected return type of the request.
+     * @param {function} [progress] Fires with the progress of a binary download.
+     * @returns {Promise} A promise resolving to the response body.
+     */
+    readFetchBody : function(res, returnType, progress) {
+        var me = this;
+        if (returnType == 'stream') return Promise.resolve(res.body);
+        if (returnType == 'binary') {
+            if (!res.body || typeof res.body.getReader !== typeof Function)
+                return res.arrayBuffer().then(function(buffer) {
+                    return new Uint8Array(buffer);
+                });
+
+            var reader = res.body.getReader(), chunks = [], length = 0;
+            var total = parseInt(res.headers.get('Content-Length'), 10) || null;
+            return (function read() {
+                return reader.read().then(function(chunk) {
+                    if (!chunk.done) {
+                        chunks.push(chunk.value);
+                        length += chunk.value.length;
+                        if (progress) progress(me.createProgressEvent('download', length, total));
+                        return read();
+                    }
+                    var bytes = new Uint8Array(length), offset = 0;
+                    for (var i=0;i<chunks.length;++i) {
+                        bytes.set(chunks[i], offset);
+                        offset += chunks[i].length;
+                    }
+                    return bytes;
+                });
+            })();
+        }
+
+        return res.text().then(function(text) {
+            var contentType = res.headers.get('Content-Type') || '';
+            var resBody = text;
+            if (/xml/i.test(contentType) && typeof DOMParser !== 'undefined') {
+                resBody = (new DOMParser()).parseFromString(text, 'text/xml');
+            } else {
+                try{
+                    resBody = JSON.parse(resBody);
+                    resBody = resBody.result || resBody;
+                }catch(e) {}
+            }
+            return resBody;
+        });
+    },
+    /**
+     * Transport with the Node.js http and https modules over HTTP/SSL protocol with REST.
+     * @param {object|string|number|Buffer} [body] The body of the request.
+     * @param {object} metadata Request metadata.
+     * @param {object} options Request options.
+     * @param {function} [callback] Executes if the request succeeded.
+     * @param {function} [failback] Executes if the request failed.
+     */
+    requestNode : function(body, metadata, options, callback, failback) {
+        var me = this, resBody, done = false;
+        var reqBody = me.parseBody(metadata.contentType, body);
+        var url = require('url').parse(metadata._path);
+        var client = require(url.protocol == 'https:' ? 'https' : 'http');
+        var headers = {
+            'Accept' : me.createAcceptHeader(metadata.dataType)
+        };
+        var details = {
+            body : reqBody,
+            info : {
+                url : metadata._path
+            }
+        };
+
+        function complete(fn, res) {
+            if (done) return;
+            done = true;
+            if (typeof fn === typeof Function) fn(res, details);
+        }
+
+        if (metadata.contentType)
+            headers['Content-Type'] = metadata.contentType;
+        if (metadata.headers)
+            for(var key in metadata.headers) {
+                headers[key] = metadata.headers[key];
+            }
+        if (typeof reqBody !== 'undefined' && reqBody !== null && !Buffer.isBuffer(reqBody))
+            reqBody = Buffer.from(typeof reqBody === 'string' ? reqBody : String(reqBody));
+        if (reqBody)
+            headers['Content-Length'] = reqBody.length;
+
+        var req = client.request({
+            method   : metadata.method,
+            protocol : url.protocol,
+            hostname : url.hostname,
+            port     : url.port,
+            path     : url.path,
+            headers  : headers
+        }, function(res) {
+            var chunks = [], loaded = 0;
+            var total = parseInt(res.headers['content-length'], 10) || null;
+            res.on('data', function(chunk) {
+                chunks.push(chunk);
+                loaded += chunk.length;
+                if (metadata.returnType == 'binary' && options.progress)
+                    options.progress(me.createProgressEvent('download', loaded, total));
+            });
+            res.on('end', function() {
+                var buffer = Buffer.concat(chunks);
+                details.status = res.statusCode;
+                details.contentType = res.headers['content-type'];
+                details.info.xhr = Max.Utils.mergeObj({
+                    status     : res.statusCode,
+                    statusText : res.statusMessage
+                }, res.headers);
+                if (metadata.returnType == 'binary') {
+                    resBody = buffer;
+                } else {
+                    resBody = buffer.toString('utf8');
+                    try{
+                        resBody = JSON.parse(resBody);
+                        resBody = resBody.result || resBody;
+                    }catch(e) {}
+                }
+                if (me.isSuccess(res.statusCode)) {
+                    if (metadata.returnType == 'binary')
+                        resBody = {
+                            mimeType : details.contentType,
+                            val      : resBody
+                        };
+                    complete(callback, resBody);
+                } else {
+                    complete(failback, resBody);
+                }
+            });
+        });
+        req.setTimeout(metadata.timeout || 30000, function() {
+            details.status = 0;
+            complete(failback, 'request-timeout');
+            req.abort();
+        });
+        req.on('error', function(e) {
+            details.status = 0;
+            complete(failback, e.message || e);
+        });
+        options.call.transportHandle = req;
+        req.end(reqBody);
+    },
+    /**
+     * Create an object describing the progress of a transfer.
+     * @param {string} direction The direction of the transfer: 'upload' or 'download'.
+     * @param {number} loaded The number of bytes transferred.
+     * @param {number} [total] The total number of bytes, or null if unknown.
+     * @returns {object} The progress event.
+     */
+    createProgressEvent : function(direction, loaded, total) {
+        return {
+            direction : direction,
+            loaded    : loaded,
+            total     : total || null
+        };
+    },
+    /**
+     * Prepend the configured baseUrl to a relative path.
+     * @param {string} path A relative path or an absolute URL.
+     * @param {boolean} [local] If enabled, the path is returned as is.
+     * @returns {string} The URL of the request.
+     */
+    resolveUrl : function(path, local) {
+        return (local === true || /^(ftp|http|https):/.test(path) === true) ? path : Max.Config.baseUrl+path;
+    },
+    /**
+     * Get a response header regardless of its case.
+     * @param {object} details Details of the response.
+     * @param {string} name Name of the header.
+     * @returns {string} The header value, or null if the header does not exist.
+     */
+    getResponseHeader : function(details, name) {
+        var headers = (details && details.info && details.info.xhr) || {};
+        for (var key in headers) {
+            if (headers.hasOwnProperty(key) && key.toLowerCase() == name.toLowerCase())
+                return headers[key];
+        }
+        return null;
+    },
     /**
      * Determines whether the status code is a success or failure.
      * @param {number} code The HTTP request status code.
@@ -245,6 +1105,9 @@ Max.Transport = {
         return str;
     }
 };
+/**
+ * @attribute {object} Headers Default headers added to every request, unless the request sets a header of the same name.
+ */
 Max.Transport.Headers = {};
 
 /**
@@ -330,8 +1193,69 @@ Max.Call = function() {
      * @type {object}
      */
     this.details;
+    /**
+     * The number of times the request has been attempted, including retries.
+     * @type {number}
+     */
+    this.attempts = 0;
     this.state = Max.CallState.INIT;
     Max.Promise.apply(this, arguments);
 };
 Max.Call.prototype = new Max.Promise();
 Max.Call.prototype.constructor = Max.Call;
+
+/**
+ * Cancel the call. The underlying request is aborted, the call moves to the {Max.CallState.CANCELLED} state, and the
+ * promise is rejected with {Max.Error.CANCELLED}.
+ * @returns {boolean} True if the call was cancelled, or false if the call had already completed.
+ */
+Max.Call.prototype.cancel = function() {
+    if (this.state == Max.CallState.SUCCESS || this.state == Max.CallState.FAILED
+        || this.state == Max.CallState.CANCELLED) return false;
+
+    this.state = Max.CallState.CANCELLED;
+    if (this.transportHandle && typeof this.transportHandle.abort === typeof Function)
+        this.transportHandle.abort();
+    if (this._onCancel) this._onCancel();
+    return true;
+};
+
+/**
+ * Create the call of an operation that runs a request before completing, such as sending a message after uploading
+ * its attachments. Cancelling the call cancels the request assigned to its request property and rejects the
+ * operation with {Max.Error.CANCELLED}. The operation can no longer be cancelled once it calls the commit method of
+ * the call.
+ * @param {Max.Deferred} def The deferred of the operation. Its promise is replaced by the call.
+ * @param {function} [failback] Executes with the error instead of rejecting the deferred if the call is cancelled.
+ * @returns {Max.Call} The call to return from the operation.
+ * @ignore
+ */
+Max.Call.create = function(def, failback) {
+    var call = new Max.Call();
+    call.callId = Max.Utils.getCleanGUID();
+    call.state = Max.CallState.EXECUTING;
+
+    call.cancel = function() {
+        if (call.status !== 'pending' || call.committed) return false;
+        return Max.Call.prototype.cancel.call(call);
+    };
+    call.commit = function() {
+        call.committed = true;
+    };
+    call._onCancel = function() {
+        var e = new Max.MaxError(Max.Error.CANCELLED, {
+            requestId : call.callId
+        });
+        if (call.request) call.request.cancel();
+        if (failback) failback(e);
+        else def.reject(e);
+    };
+    call.success(function() {
+        call.state = Max.CallState.SUCCESS;
+    }).error(function() {
+        if (call.state != Max.CallState.CANCELLED) call.state = Max.CallState.FAILED;
+    });
+
+    def.promise = call;
+    return call;
+};
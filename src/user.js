@@ -104,8 +104,8 @@ Max.User.login = function(userName, password, rememberMe) {
     userObj.remember_me = (rememberMe === true || rememberMe === false) ? rememberMe : false;
 
     setTimeout(function() {
-        if (!userObj.username) return def.reject('invalid username');
-        if (!userObj.password) return def.reject('invalid password');
+        if (!userObj.username) return def.reject(new Max.MaxError(Max.Error.INVALID_USERNAME));
+        if (!userObj.password) return def.reject(new Max.MaxError(Max.Error.INVALID_PASSWORD));
 
         Max.Request({
             method: 'POST',
@@ -121,21 +121,29 @@ Max.User.login = function(userName, password, rememberMe) {
 
             Max.App.hatCredentials = data;
             mCurrentUser = new Max.User(data.user);
-            Cookie.create('magnet-max-auth-token', data.access_token, 2);
 
             if (data.refresh_token)
                 Cookie.create('magnet-max-refresh-token', data.refresh_token, 365);
 
+            Max.TokenManager.track(data);
+
             Max.MMXClient.registerDeviceAndConnect(data.access_token)
                 .success(function() {
                     def.resolve.apply(def, arguments);
                 })
-                .error(function() {
-                    def.reject.apply(def, arguments);
+                .error(function(e, details) {
+                    def.reject(Max.MaxError.wrap(e), details);
                 });
 
         }, function(e, details) {
-            def.reject(details.status == 401 ? 'incorrect credentials' : e, details);
+            if (details.status == 401)
+                e = new Max.RequestError(Max.Error.INVALID_CREDENTIALS, {
+                    message   : 'incorrect credentials',
+                    status    : 401,
+                    cause     : e.cause,
+                    requestId : e.requestId
+                });
+            def.reject(e, details);
         });
     }, 0);
 
@@ -153,18 +161,50 @@ Max.User.loginWithRefreshToken = function(request, callback, failback) {
     var def = new Max.Deferred();
     var token = Cookie.get('magnet-max-refresh-token');
 
-    Cookie.remove('magnet-max-auth-token');
-    delete Max.App.hatCredentials;
     request = Max.Utils.mergeObj(request, { isLogin: true });
 
     if (request && request.headers && request.headers.Authorization)
         delete request.headers.Authorization;
 
+    Max.User.refreshSession().success(function() {
+        if (request.url) return Max.Request(request, callback, failback);
+        if (callback) callback();
+        def.resolve.apply(def, arguments);
+    }).error(function() {
+        if (failback) failback(new Max.MaxError(token ? Max.Error.SESSION_EXPIRED : Max.Error.INVALID_CREDENTIALS));
+        def.reject.apply(def, arguments);
+    });
+
+    return def.promise;
+};
+
+/**
+ * Obtain a new access token using the refresh token. Only one refresh runs at a time; calls made while a refresh is
+ * in progress share its result. The current access token is kept until the new one arrives, and is only discarded
+ * if the server rejects the refresh token.
+ * @returns {Max.Promise} A promise object returning the current user and request details or reason of failure.
+ * @ignore
+ */
+Max.User.refreshSession = function() {
+    if (mSessionRefresh) return mSessionRefresh;
+
+    var def = new Max.Deferred();
+    var token = Cookie.get('magnet-max-refresh-token');
+
+    mSessionRefresh = def.promise;
+
+    function resolve() {
+        mSessionRefresh = null;
+        def.resolve.apply(def, arguments);
+    }
+
+    function reject() {
+        mSessionRefresh = null;
+        def.reject.apply(def, arguments);
+    }
+
     setTimeout(function() {
-        if (!token) {
-          failback(Max.Error.INVALID_CREDENTIALS);
-          return def.reject(Max.Error.SESSION_EXPIRED);
-        }
+        if (!token) return reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
 
         Max.Request({
             method: 'POST',
@@ -177,41 +217,69 @@ Max.User.loginWithRefreshToken = function(request, callback, failback) {
                 scope: 'user'
             },
             bypassReady: true,
+            bypassAuth: true,
             isLogin: true
         }, function(data, details) {
+            var jid = mCurrentUser && mCurrentUser.jid;
 
             Max.App.hatCredentials = data;
             mCurrentUser = new Max.User(data.user);
-            Cookie.create('magnet-max-auth-token', data.access_token, 2);
+            // the MMX stream stays authenticated, so keep the bound jid
+            if (mXMPPConnection && jid) mCurrentUser.jid = jid;
+
+            if (data.refresh_token)
+                Cookie.create('magnet-max-refresh-token', data.refresh_token, 365);
+
+            Max.TokenManager.track(data);
 
             Max.Log.fine('login with refresh token');
+            Max.invoke('token-refreshed', Max.TokenManager.expiresAt ? new Date(Max.TokenManager.expiresAt) : null);
 
-            if (mXMPPConnection) {
-                if (request.url) return Max.Request(request, callback, failback);
-                if (callback) callback();
-                return def.resolve.apply(def, [mCurrentUser, details]);
-            }
+            if (mXMPPConnection) return resolve(mCurrentUser, details);
 
             Max.MMXClient.registerDeviceAndConnect(data.access_token)
-                .success(function() {
-                    if (request.url) return Max.Request(request, callback, failback);
-                    if (callback) callback();
-                    def.resolve.apply(def, arguments);
-                })
-                .error(function() {
-                    if (failback) failback(Max.Error.SESSION_EXPIRED);
-                    def.reject.apply(def, arguments);
+                .success(resolve)
+                .error(function(e, details) {
+                    reject(Max.MaxError.wrap(e), details);
                 });
 
         }, function(e, details) {
-            if (failback) failback(Max.Error.SESSION_EXPIRED);
-            def.reject((details && details.status == 401) ? Max.Error.INVALID_CREDENTIALS : e, details);
+            if (details && (details.status == 400 || details.status == 401)) {
+                Cookie.remove('magnet-max-auth-token');
+                delete Max.App.hatCredentials;
+                e = new Max.RequestError(Max.Error.INVALID_CREDENTIALS, {
+                    status    : details.status,
+                    cause     : e.cause,
+                    requestId : e.requestId
+                });
+            }
+            reject(e, details);
         });
     }, 0);
 
     return def.promise;
 };
 
+/**
+ * Determines whether an access token refresh failed because the session cannot be renewed, as opposed to a
+ * failure which may succeed if attempted again, such as a network error.
+ * @param {Max.MaxError} e The error returned by {Max.User.refreshSession}.
+ * @returns {boolean} True if the refresh token is missing or was rejected by the server.
+ * @ignore
+ */
+Max.User.isSessionRejected = function(e) {
+    return e == Max.Error.INVALID_CREDENTIALS || e == Max.Error.SESSION_EXPIRED;
+};
+
+/**
+ * Determines whether an access token refresh is in progress.
+ * @returns {boolean} True if the access token is being refreshed.
+ * @ignore
+ */
+Max.User.isRefreshingSession = function() {
+    return !!mSessionRefresh;
+};
+
 /**
  * Attempts to login with an access token.
  * @param {function} callback fires upon completion.
@@ -219,11 +287,12 @@ Max.User.loginWithRefreshToken = function(request, callback, failback) {
  */
 Max.User.loginWithAccessToken = function(callback) {
     var token = Cookie.get('magnet-max-auth-token');
-    if (!token) return callback(Max.Error.INVALID_CREDENTIALS);
+    if (!token) return callback(new Max.MaxError(Max.Error.INVALID_CREDENTIALS));
 
     Max.App.hatCredentials = {
         access_token: token
     };
+    Max.TokenManager.restore();
 
     Max.User.getUserInfo().success(function(user) {
         mCurrentUser = new Max.User(user);
@@ -235,7 +304,7 @@ Max.User.loginWithAccessToken = function(callback) {
                 callback();
             })
             .error(function(e) {
-                callback(e);
+                callback(Max.MaxError.wrap(e));
             });
 
     }).error(function(e) {
@@ -302,6 +371,94 @@ Max.User.getUsersByUserIds = function(userIds) {
     return def.promise;
 };
 
+/**
+ * Get the presence of the given users, including whether they are online and when they were last active. The
+ * messaging server only shares the presence of users who approved a request sent with {Max.User.subscribePresence};
+ * for other users, the promise is rejected with {Max.Error.FORBIDDEN}.
+ * @param {Max.User|Max.User[]|string|string[]} userOrUserIds One or more {Max.User} or userId.
+ * @returns {Max.Promise} A promise object returning a list of {Max.Presence} in the order of the given users, or
+ * reason of failure.
+ */
+Max.User.getPresence = function(userOrUserIds) {
+    var def = new Max.Deferred(), userIds = [], presences = [], pending;
+
+    userOrUserIds = Max.Utils.objToObjAry(userOrUserIds);
+    for (var i=0;i<userOrUserIds.length;++i)
+        userIds.push(typeof userOrUserIds[i] === 'string' ? userOrUserIds[i] : userOrUserIds[i].userId);
+
+    setTimeout(function() {
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!mXMPPConnection || !mXMPPConnection.connected) return def.reject(new Max.MaxError(Max.Error.NOT_CONNECTED));
+        if (!userIds.length) return def.resolve(presences);
+
+        pending = userIds.length;
+        function done(index, presence) {
+            presences[index] = presence;
+            if (--pending === 0) def.resolve(presences);
+        }
+
+        for (var i=0;i<userIds.length;++i) {
+            (function(index) {
+                var presence = Max.Presence.get(userIds[index]);
+                // presence already received from the user is more accurate than its last activity
+                if (presence) return done(index, presence);
+
+                Max.Presence.query(userIds[index]).success(function(presence) {
+                    done(index, presence);
+                }).error(function(e) {
+                    if (pending <= 0) return;
+                    // the user has never been online
+                    if (e.cause && e.cause.hasOwnProperty('item-not-found')) {
+                        return done(index, new Max.Presence(new Max.User({
+                            userId: userIds[index]
+                        }), Max.PresenceStatus.OFFLINE));
+                    }
+                    pending = 0;
+                    def.reject(e);
+                });
+            })(i);
+        }
+    }, 0);
+
+    return def.promise;
+};
+
+/**
+ * Request to receive the presence of the given users. Each user receives a {Max.PresenceRequest} to accept or decline,
+ * unless the user enabled {Max.Config.presenceAutoApprove}. Once a user accepts, changes of presence of the user are
+ * received through the {Max.EventListener} and returned by {Max.User.getPresence}.
+ * @param {Max.User|Max.User[]|string|string[]} userOrUserIds One or more {Max.User} or userId.
+ * @returns {Max.Promise} A promise object returning "ok" or reason of failure.
+ */
+Max.User.subscribePresence = function(userOrUserIds) {
+    return Max.Presence.subscribe(userOrUserIds, 'subscribe');
+};
+
+/**
+ * Stop receiving the presence of the given users.
+ * @param {Max.User|Max.User[]|string|string[]} userOrUserIds One or more {Max.User} or userId.
+ * @returns {Max.Promise} A promise object returning "ok" or reason of failure.
+ */
+Max.User.unsubscribePresence = function(userOrUserIds) {
+    return Max.Presence.subscribe(userOrUserIds, 'unsubscribe');
+};
+
+/**
+ * Get the presence of this user, including whether the user is online and when the user was last active.
+ * @returns {Max.Promise} A promise object returning a {Max.Presence} or reason of failure.
+ */
+Max.User.prototype.getPresence = function() {
+    var def = new Max.Deferred();
+
+    Max.User.getPresence(this.userId).success(function(presences) {
+        def.resolve(presences[0]);
+    }).error(function() {
+        def.reject.apply(def, arguments);
+    });
+
+    return def.promise;
+};
+
 /**
  * Search for users with an advanced search query.
  * @param {string|object} [query] An object containing the user property and the search value as a key-value pair. Alternatively, you can pass an ElasticSearch query string as described at {@link https://www.elastic.co/guide/en/elasticsearch/reference/current/search-uri-request.html|URI Search}.
@@ -460,11 +617,16 @@ Max.User.logout = function() {
 Max.User.clearSession = function(reason) {
     mCurrentUser = null;
     Max.App.hatCredentials = null;
+    Max.TokenManager.reset();
     Cookie.remove('magnet-max-auth-token');
     Cookie.remove('magnet-max-refresh-token');
     mListenerHandlerStore = {};
     Max.MMXClient.disconnect();
+    Max.StreamManagement.reset();
+    Max.Presence.reset();
     ChannelStore.clear();
+    SubscriberStore.clear();
+    Max.ResponseCache.clear();
     Max.invoke('not-authenticated', reason);
 };
 
@@ -490,20 +652,27 @@ Max.User.prototype.getAvatarUrl = function() {
 /**
  * Upload profile picture for the current user.
  * @param {File} picture A File object created by an input[type="file"] HTML element.
- * @returns {string} User profile download URL
+ * @returns {string} User profile download URL. Upload progress of the picture is reported to the progress callbacks
+ * of the returned promise, and the upload can be aborted with the cancel method of the promise.
  */
 Max.User.setAvatar = function(picture) {
     var self = this, userObj;
     var def = new Max.Deferred();
+    var call = Max.Call.create(def);
 
     setTimeout(function() {
-        if (!mCurrentUser) return def.reject(Max.Error.SESSION_EXPIRED);
-        if (!picture) return def.reject(Max.Error.INVALID_PICTURE);
+        if (call.state == Max.CallState.CANCELLED) return;
+        if (!mCurrentUser) return def.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+        if (!picture) return def.reject(new Max.MaxError(Max.Error.INVALID_PICTURE));
 
         new Max.Uploader(picture, function(e, multipart) {
-            if (e || !multipart) return def.reject(e);
+            if (call.state == Max.CallState.CANCELLED) return;
+            if (e || !multipart) return def.reject(Max.MaxError.wrap(e));
 
-            multipart.avatarUpload(mCurrentUser.userId).success(function() {
+            call.request = multipart.avatarUpload(mCurrentUser.userId).progress(function(e) {
+                def.notify(e);
+            }).success(function() {
+                call.commit();
                 if (mCurrentUser.extras && mCurrentUser.extras.hasAvatar)
                     return def.resolve(self.getAvatarUrl());
 
@@ -555,3 +724,120 @@ Max.User.deleteAvatar = function() {
     });
     return def.promise;
 };
+
+/**
+ * Tracks the expiry of the access token. If a refresh token is available, the access token is renewed shortly
+ * before it expires, as configured by {Max.Config.tokenRefreshAhead}. Otherwise, the session is cleared once the
+ * access token expires.
+ * @memberof Max
+ * @namespace TokenManager
+ * @ignore
+ */
+Max.TokenManager = {
+    /**
+     * @attribute {number} expiresAt Time at which the access token expires, in milliseconds since the epoch.
+     */
+    expiresAt : null,
+    // renewal timer
+    timer : null,
+    // number of consecutive renewals which failed and will be attempted again
+    attempt : 0,
+    /**
+     * Store the access token of a token response and schedule its renewal.
+     * @param {object} data A token response containing the access_token and, if available, its lifetime in
+     * seconds as expires_in.
+     */
+    track : function(data) {
+        var ttl = data.expires_in ? data.expires_in * 1000 : null;
+
+        this.attempt = 0;
+        this.expiresAt = ttl ? new Date().getTime() + ttl : null;
+        Cookie.create('magnet-max-auth-token', data.access_token, ttl ? ttl / 86400000 : 2);
+        if (ttl)
+            Cookie.create('magnet-max-auth-token-expiry', this.expiresAt, ttl / 86400000);
+        else
+            Cookie.remove('magnet-max-auth-token-expiry');
+
+        this.schedule();
+    },
+    /**
+     * Schedule the renewal of an access token restored from the cookie.
+     */
+    restore : function() {
+        var expiresAt = parseInt(Cookie.get('magnet-max-auth-token-expiry'), 10);
+        this.expiresAt = isNaN(expiresAt) ? null : expiresAt;
+        this.schedule();
+    },
+    /**
+     * Schedule the renewal of the access token, or the end of the session if the token cannot be renewed.
+     */
+    schedule : function() {
+        var self = this, target;
+
+        clearTimeout(self.timer);
+        self.timer = null;
+        if (!self.expiresAt) return;
+
+        target = Cookie.get('magnet-max-refresh-token')
+            ? self.expiresAt - (Max.Config.tokenRefreshAhead || 0) : self.expiresAt;
+
+        // setTimeout cannot wait longer than 2^31-1 milliseconds
+        self.timer = setTimeout(function() {
+            if (new Date().getTime() < target) return self.schedule();
+            self.renew();
+        }, Math.min(Math.max(target - new Date().getTime(), 0), 2147483647));
+    },
+    /**
+     * Renew the access token using the refresh token. The authenticated MMX stream is kept open; the renewed access
+     * token is only used once the MMX connection has to reconnect. The session ends if the refresh token is missing
+     * or rejected; other failures are attempted again until the access token expires.
+     */
+    renew : function() {
+        var self = this;
+
+        if (!Cookie.get('magnet-max-refresh-token')) return self.expire();
+
+        Max.User.refreshSession().error(function(e) {
+            if (Max.User.isSessionRejected(e)) return self.expire();
+            self.retry();
+        });
+    },
+    /**
+     * Attempt the renewal again after a delay computed from {Max.Config.retryPolicy}, or end the session when the
+     * access token expires if that comes first.
+     */
+    retry : function() {
+        var self = this, policy = Max.Config.retryPolicy;
+        var delay = Max.Utils.getBackoffDelay(++self.attempt, policy.baseDelay, policy.maxDelay, policy.jitter);
+        var remaining = self.expiresAt ? self.expiresAt - new Date().getTime() : Infinity;
+
+        Max.Log.fine('access token renewal failed, retrying in '+delay+'ms (attempt '+(self.attempt+1)+')');
+        clearTimeout(self.timer);
+        if (remaining <= delay) {
+            self.timer = setTimeout(function() {
+                self.expire();
+            }, Math.max(remaining, 0));
+            return;
+        }
+        self.timer = setTimeout(function() {
+            self.renew();
+        }, delay);
+    },
+    /**
+     * End the session after the access token expired.
+     */
+    expire : function() {
+        Max.Log.info('access token expired');
+        Max.invoke('token-expired');
+        Max.User.clearSession(Max.Error.SESSION_EXPIRED);
+    },
+    /**
+     * Stop tracking the access token.
+     */
+    reset : function() {
+        clearTimeout(this.timer);
+        this.attempt = 0;
+        this.expiresAt = null;
+        Cookie.remove('magnet-max-auth-token-expiry');
+    }
+};
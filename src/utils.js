@@ -54,6 +54,58 @@ Max.Config = {
      * @property {string} httpBindPort http-bind port.
      */
     httpBindPort           : 7070,
+    /**
+     * @property {string} xmppTransport The transport used to connect to the messaging server. ['auto', 'bosh',
+     * 'websocket'] With 'auto', WebSocket is used if enabled on the server. If a WebSocket connection cannot be
+     * established, the SDK falls back to BOSH.
+     */
+    xmppTransport          : 'auto',
+    /**
+     * @property {boolean} websocketEnabled Whether the messaging server accepts WebSocket connections. Set from the
+     * server configuration when the device is registered.
+     */
+    websocketEnabled       : false,
+    /**
+     * @property {string} websocketPath Path of the XMPP WebSocket endpoint on the http-bind host.
+     */
+    websocketPath          : '/ws/',
+    /**
+     * @property {boolean} streamManagement Enable XEP-0198 stream management when supported by the messaging server,
+     * so that stanzas are acknowledged and the session can be resumed without losing messages after a reconnect.
+     */
+    streamManagement       : true,
+    /**
+     * @property {number} iqTimeout The number of milliseconds to wait for the response to an IQ stanza sent to the
+     * messaging server before failing with {Max.Error.REQUEST_TIMEOUT}.
+     */
+    iqTimeout              : 30000,
+    /**
+     * @property {number} messageAckTimeout The number of milliseconds to wait for the server to acknowledge a message
+     * sent with {Max.Message#send}, or 0 to wait indefinitely.
+     */
+    messageAckTimeout      : 30000,
+    /**
+     * @property {boolean} deliveryReceipts Automatically send a delivered receipt to the sender of each message received
+     * from another user. Disable to send them manually with {Max.Message#markDelivered}.
+     */
+    deliveryReceipts       : true,
+    /**
+     * @property {number} chatStateInterval The minimum number of milliseconds between two identical chat states sent
+     * to the same conversation, such as while the current user keeps typing.
+     */
+    chatStateInterval      : 5000,
+    /**
+     * @property {number} subscriberCacheTimeout The number of milliseconds the subscribers of a channel are cached to
+     * send chat states to the channel.
+     */
+    subscriberCacheTimeout : 60000,
+    /**
+     * @property {boolean} presenceAutoApprove Opt in to automatically allow any other user who requests it with
+     * {Max.User.subscribePresence} to receive the presence and last activity of the current user. By default, each
+     * request is passed as a {Max.PresenceRequest} to the presenceRequest handler of the {Max.EventListener}, so that
+     * the app can accept or decline it.
+     */
+    presenceAutoApprove    : false,
     /**
      * @property {string} mmxHost mmxHost.
      */
@@ -65,7 +117,65 @@ Max.Config = {
     /**
      * @property {string} tlsEnabled Determines whether TLS security enabled.
      */
-    tlsEnabled             : false
+    tlsEnabled             : false,
+    /**
+     * @property {object} retryPolicy The default retry policy used by {Max.Request}. It can be overridden per request
+     * by passing a partial policy as the `retry` attribute of the request, or disabled with `retry: false`.
+     * @property {number} retryPolicy.maxAttempts The maximum number of attempts, including the first one.
+     * @property {number} retryPolicy.baseDelay The delay in milliseconds before the first retry. The delay doubles on each retry.
+     * @property {number} retryPolicy.maxDelay The upper bound in milliseconds of the delay between attempts.
+     * @property {boolean} retryPolicy.jitter Randomize the delay to avoid many clients retrying at the same time.
+     * @property {number[]} retryPolicy.retryOn HTTP status codes which can be retried. A status of 0 indicates a network error or timeout.
+     * @property {string[]} retryPolicy.idempotentMethods HTTP methods which are safe to replay. Requests using other methods
+     * are only retried if the request sets `idempotent: true`.
+     */
+    retryPolicy            : {
+        maxAttempts       : 3,
+        baseDelay         : 500,
+        maxDelay          : 10000,
+        jitter            : true,
+        retryOn           : [0, 408, 429, 500, 502, 503, 504],
+        idempotentMethods : ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE']
+    },
+    /**
+     * @property {object} reconnectPolicy Reconnection to the messaging server after the connection was lost. The first
+     * attempt is immediate, and the delay before each following attempt grows exponentially.
+     * @property {number} reconnectPolicy.maxAttempts The maximum number of consecutive attempts.
+     * @property {number} reconnectPolicy.baseDelay The delay in milliseconds before the second attempt.
+     * @property {number} reconnectPolicy.maxDelay The upper bound in milliseconds of the delay between attempts.
+     * @property {boolean} reconnectPolicy.jitter Randomize the delay to avoid many clients reconnecting at the same time.
+     */
+    reconnectPolicy        : {
+        maxAttempts : 10,
+        baseDelay   : 1000,
+        maxDelay    : 60000,
+        jitter      : true
+    },
+    /**
+     * @property {boolean} reliableRequests Queue POST, PUT and DELETE requests made while offline, or which failed with
+     * a network error, and replay them in order once connectivity or the session returns. The queue survives a page
+     * reload in browsers supporting localStorage. Can be overridden per request with the request's `reliable`
+     * attribute.
+     */
+    reliableRequests       : false,
+    /**
+     * @property {object} responseCache Caching of GET responses in {Max.Storage}. Only responses of URLs matching one of
+     * the rules are cached. For example, {rules: [{pattern: /\/user\/users\/ids/, ttl: 60000}]} caches user profiles
+     * for one minute. Expired responses containing an ETag are revalidated with the server. Can be overridden per
+     * request with the request's `cache` attribute.
+     * @property {object[]} responseCache.rules A list of rules, each containing a `pattern` (a RegExp or a string
+     * contained in the URL) and a `ttl` (the time to live of the response in milliseconds).
+     */
+    responseCache          : {
+        rules : []
+    },
+    /**
+     * @property {number} tokenRefreshAhead Number of milliseconds before the access token expires at which it is
+     * renewed using the refresh token. Only applies if the user logged in with rememberMe enabled. A renewal which
+     * failed with a network or server error is attempted again with the backoff of {Max.Config.retryPolicy} until
+     * the access token expires.
+     */
+    tokenRefreshAhead      : 60000
 };
 
 /**
@@ -632,44 +742,60 @@ Max.Utils = {
     objToObjAry: function(objOrAry) {
         if (!objOrAry) return [];
         return this.isArray(objOrAry) ? objOrAry : [objOrAry];
+    },
+    /**
+     * Calculate an exponential backoff delay.
+     * @param {number} attempt The number of attempts made so far, starting at 1.
+     * @param {number} baseDelay The delay in milliseconds after the first attempt.
+     * @param {number} maxDelay The upper bound of the delay in milliseconds.
+     * @param {boolean} [jitter] If enabled, a random delay between half and all of the computed backoff is returned.
+     * @returns {number} The delay in milliseconds.
+     */
+    getBackoffDelay: function(attempt, baseDelay, maxDelay, jitter) {
+        var delay = Math.min(maxDelay, baseDelay * Math.pow(2, Math.max(attempt, 1) - 1));
+        return jitter ? Math.round(delay / 2 + Math.random() * delay / 2) : delay;
     }
 };
 
 /**
  * @class An implementation of the Promise API. A Promise object manages state and facilitates a callback after all the associated asynchronous actions of a Deferred object have completed. Multiple promises can be chained with the 'then' function.
+ * Chaining follows the Promises/A+ specification, so a Promise can be awaited or mixed with native promises.
  * @constructor
  */
 Max.Promise = function() {
     this.successes = [];
     this.failures = [];
     this.completions = [];
+    this.progresses = [];
 };
 
 Max.Promise.prototype = {
     successes   : null,
     failures    : null,
     completions : null,
+    progresses  : null,
     status      : 'pending',
     args        : null,
     _isPromise  : true,
     /**
-     * Stores success and error callbacks, and calls them if the Promise status is 'resolved' or 'rejected'.
+     * Stores success and error callbacks, and calls them if the Promise status is 'resolved' or 'rejected'. The
+     * returned Promise is resolved with the return value of the callback, or rejected with the exception it throws.
+     * If the callback returns a promise or thenable, the returned Promise adopts its state. If the matching callback
+     * is not set, the returned Promise settles the same way as this Promise.
      * @param success A callback that is fired upon a 'resolved' status.
      * @param error A callback that is fired upon a 'rejected' status.
      * @returns {Max.Promise} A promise object.
      */
     then : function(success, error) {
         var defer = new Max.Deferred();
-        if (success)
-            this.successes.push({
-                fn    : success,
-                defer : defer
-            });
-        if (error)
-            this.failures.push({
-                fn    : error,
-                defer : defer
-            });
+        this.successes.push({
+            fn    : success,
+            defer : defer
+        });
+        this.failures.push({
+            fn    : error,
+            defer : defer
+        });
         if (this.status === 'resolved')
             this.exec({
                 fn    : success,
@@ -682,6 +808,51 @@ Max.Promise.prototype = {
             }, this.args);
         return defer.promise;
     },
+    /**
+     * Stores a callback that is fired if the Promise is rejected. Equivalent to then(null, error).
+     * @param {function} error The error callback to be stored.
+     * @returns {Max.Promise} A promise object.
+     */
+    catch : function(error) {
+        return this.then(null, error);
+    },
+    /**
+     * Stores a callback which is fired without arguments when the Promise is resolved or rejected. The returned
+     * Promise settles the same way as this Promise once the callback has completed, unless the callback throws or
+     * returns a rejected promise.
+     * @param {function} callback A callback that is fired upon completion.
+     * @returns {Max.Promise} A promise object.
+     */
+    finally : function(callback) {
+        var defer = new Max.Deferred();
+
+        function run(done) {
+            var res, next = new Max.Deferred();
+            if (typeof callback !== 'function') return done();
+            try {
+                res = callback();
+            } catch (e) {
+                return defer.reject(e);
+            }
+            next.adopt(res);
+            next.promise.then(done, function() {
+                defer.reject.apply(defer, arguments);
+            });
+        }
+
+        this.then(function() {
+            var args = arguments;
+            run(function() {
+                defer.resolve.apply(defer, args);
+            });
+        }, function() {
+            var args = arguments;
+            run(function() {
+                defer.reject.apply(defer, args);
+            });
+        });
+        return defer.promise;
+    },
     /**
      * Stores a single callback and calls it regardless of whether Promise status is 'resolved' or 'rejected'.
      * @param callback A callback that is fired upon completion.
@@ -707,16 +878,13 @@ Max.Promise.prototype = {
      * @returns {Max.Promise}
      */
     success : function(success) {
-        var defer = new Max.Deferred();
         if (success)
             this.successes.push({
-                fn    : success,
-                defer : defer
+                fn : success
             });
         if (this.status === 'resolved')
             this.exec({
-                fn    : success,
-                defer : defer
+                fn : success
             }, this.args);
         return this;
     },
@@ -726,33 +894,53 @@ Max.Promise.prototype = {
      * @returns {Max.Promise} A promise object.
      */
     error : function(error) {
-        var defer = new Max.Deferred();
         if (error)
             this.failures.push({
-                fn    : error,
-                defer : defer
+                fn : error
             });
         if (this.status === 'rejected')
             this.exec({
-                fn    : error,
-                defer : defer
+                fn : error
             }, this.args);
         return this;
     },
     /**
-     * Call and resolve a callback. If the result is a Promise object, bind a
-     * new set of callbacks to the Promise object to continue the chain.
+     * Stores a callback that is fired each time the Deferred object reports progress, until the Promise is resolved
+     * or rejected.
+     * @param {function} progress A progress callback. For requests, it receives an object containing the number of
+     * bytes `loaded`, the `total` number of bytes if known, and the `direction` of the transfer: 'upload' or 'download'.
+     * @returns {Max.Promise} A promise object.
+     */
+    progress : function(progress) {
+        if (progress) this.progresses.push(progress);
+        return this;
+    },
+    /**
+     * Asynchronously call a callback and settle the Deferred object chained to it with the result. Callbacks
+     * registered through success or error have no chained Deferred object, so their exceptions are not caught.
      * @param {object} obj An object containing the callback function and a Deferred object.
      * @param {*} args Arguments associated with this Promise.
      */
     exec : function(obj, args) {
+        var status = this.status;
         setTimeout(function() {
-            var res = obj.fn.apply(null, args);
-            if (Max.Utils.isObject(res) && res._isPromise)
-                obj.defer.bind(res);
+            var res, defer = obj.defer;
+            if (!defer) return obj.fn.apply(null, args);
+            if (typeof obj.fn !== 'function')
+                return status === 'resolved' ? defer.resolve.apply(defer, args) : defer.reject.apply(defer, args);
+            try {
+                res = obj.fn.apply(null, args);
+            } catch (e) {
+                return defer.reject(e);
+            }
+            defer.adopt(res);
         }, 0);
     }
 };
+
+if (typeof Symbol !== 'undefined' && Symbol.toStringTag)
+    Max.Promise.prototype[Symbol.toStringTag] = 'Promise';
+
 /**
  * @class A Deferred object handles execution of resolve and reject methods, which trigger the success or error callbacks.
  * @constructor
@@ -763,28 +951,39 @@ Max.Deferred = function() {
 Max.Deferred.prototype = {
     promise : null,
     /**
-     * Resolve the Deferred object.
+     * Resolve the Deferred object. Has no effect if the Promise is already resolved or rejected.
      */
     resolve : function() {
         var i, promise = this.promise;
+        if (promise.status !== 'pending') return;
         promise.args = arguments;
         promise.status = 'resolved';
         for(i=0;i<promise.successes.length;++i)
-            promise.exec(promise.successes[i], promise.args)
+            promise.exec(promise.successes[i], promise.args);
         for(i=0;i<promise.completions.length;++i)
-            promise.exec(promise.completions[i], promise.args)
+            promise.exec(promise.completions[i], promise.args);
     },
     /**
-     * Reject the Deferred object.
+     * Reject the Deferred object. Has no effect if the Promise is already resolved or rejected.
      */
     reject : function() {
         var i, promise = this.promise;
+        if (promise.status !== 'pending') return;
         promise.args = arguments;
         promise.status = 'rejected';
         for(i=0;i<promise.failures.length;++i)
-            promise.exec(promise.failures[i], promise.args)
+            promise.exec(promise.failures[i], promise.args);
         for(i=0;i<promise.completions.length;++i)
-            promise.exec(promise.completions[i], promise.args)
+            promise.exec(promise.completions[i], promise.args);
+    },
+    /**
+     * Report progress to the progress callbacks of a pending Promise.
+     */
+    notify : function() {
+        var promise = this.promise;
+        if (promise.status !== 'pending') return;
+        for(var i=0;i<promise.progresses.length;++i)
+            promise.progresses[i].apply(null, arguments);
     },
     /**
      * Bind a new set of callbacks to be fired upon completion of the Promise.
@@ -795,28 +994,374 @@ Max.Deferred.prototype = {
             me.resolve.apply(me, arguments);
         }, function() {
             me.reject.apply(me, arguments);
-        })
+        });
+    },
+    /**
+     * Resolve the Deferred object with a value according to the Promises/A+ resolution procedure. If the value is a
+     * {Max.Promise}, a native Promise or any other thenable, the Deferred object adopts its state.
+     * @param {*} value The value to resolve with.
+     */
+    adopt : function(value) {
+        var me = this, called = false, then;
+        if (value === me.promise)
+            return me.reject(new TypeError('a promise cannot be resolved with itself'));
+        if (value && value._isPromise)
+            return me.bind(value);
+        if (value !== null && (typeof value === 'object' || typeof value === 'function')) {
+            try {
+                then = value.then;
+            } catch (e) {
+                return me.reject(e);
+            }
+            if (typeof then === 'function') {
+                try {
+                    then.call(value, function(res) {
+                        if (called) return;
+                        called = true;
+                        me.adopt(res);
+                    }, function(e) {
+                        if (called) return;
+                        called = true;
+                        me.reject(e);
+                    });
+                } catch (e) {
+                    if (!called) {
+                        called = true;
+                        me.reject(e);
+                    }
+                }
+                return;
+            }
+        }
+        me.resolve(value);
+    }
+};
+/**
+ * Create a promise which adopts the state of a value. If the value is not a promise or thenable, the promise is
+ * resolved with the value.
+ * @param {*} value A {Max.Promise}, native Promise, thenable or any other value.
+ * @returns {Max.Promise} A promise object.
+ */
+Max.Deferred.when = function(value) {
+    var deferred = new Max.Deferred();
+    deferred.adopt(value);
+    return deferred.promise;
+};
+
+/**
+ * Wait for each of the given promises or values, and call back with its index in the input array.
+ * @param {Array} promises An array of promises or values.
+ * @param {function} success A callback fired with the index and the first argument of each resolved promise.
+ * @param {function} error A callback fired with the index and the arguments of each rejected promise.
+ * @ignore
+ */
+function eachPromise(promises, success, error) {
+    for (var i=0;i<promises.length;++i) {
+        (function(index) {
+            Max.Deferred.when(promises[index]).then(function(value) {
+                success(index, value);
+            }, function() {
+                error.apply(null, [index].concat(Array.prototype.slice.call(arguments)));
+            });
+        })(i);
+    }
+}
+
+/**
+ * Wait for all of the given promises to be resolved. The returned promise is resolved with an array containing the
+ * first argument each promise was resolved with, in the same order as the input. It is rejected as soon as any of
+ * the promises is rejected, with the arguments of that rejection.
+ *
+ * For backwards compatibility, functions returning promises can also be passed as separate arguments. In that case,
+ * all of the functions are executed and the returned promise is always resolved with an array of success arguments
+ * and an array of error arguments, in order of completion.
+ * @param {Array} promises An array of promises or values.
+ * @returns {Max.Promise} A promise object.
+ */
+Max.Deferred.all = function(promises) {
+    var deferred = new Max.Deferred();
+    var successes = [], failures = [], ctr = 0, total;
+
+    if (!Max.Utils.isArray(promises)) {
+        total = arguments.length;
+        for(var i=0;i<total;++i) {
+            arguments[i].call(null).then(function() {
+                successes.push(arguments);
+                if (++ctr == total) deferred.resolve(successes, failures);
+            }, function() {
+                failures.push(arguments);
+                if (++ctr == total) deferred.resolve(successes, failures);
+            });
+        }
+        return deferred.promise;
+    }
+
+    total = promises.length;
+    if (!total) deferred.resolve(successes);
+
+    eachPromise(promises, function(index, value) {
+        successes[index] = value;
+        if (++ctr == total) deferred.resolve(successes);
+    }, function(index) {
+        deferred.reject.apply(deferred, Array.prototype.slice.call(arguments, 1));
+    });
+
+    return deferred.promise;
+};
+
+/**
+ * Wait for all of the given promises to be resolved or rejected. The returned promise is resolved with an array of
+ * objects in the same order as the input. Each object contains a `status` of 'fulfilled' and the `value` the promise
+ * was resolved with, or a `status` of 'rejected' and the `reason` the promise was rejected with.
+ * @param {Array} promises An array of promises or values.
+ * @returns {Max.Promise} A promise object.
+ */
+Max.Deferred.allSettled = function(promises) {
+    var deferred = new Max.Deferred();
+    var results = [], ctr = 0, total = promises.length;
+
+    if (!total) deferred.resolve(results);
+
+    eachPromise(promises, function(index, value) {
+        results[index] = {status: 'fulfilled', value: value};
+        if (++ctr == total) deferred.resolve(results);
+    }, function(index, reason) {
+        results[index] = {status: 'rejected', reason: reason};
+        if (++ctr == total) deferred.resolve(results);
+    });
+
+    return deferred.promise;
+};
+
+/**
+ * Settle the returned promise the same way as the first of the given promises to be resolved or rejected. If the
+ * array is empty, the returned promise is never settled.
+ * @param {Array} promises An array of promises or values.
+ * @returns {Max.Promise} A promise object.
+ */
+Max.Deferred.race = function(promises) {
+    var deferred = new Max.Deferred();
+
+    for (var i=0;i<promises.length;++i)
+        deferred.bind(Max.Deferred.when(promises[i]));
+
+    return deferred.promise;
+};
+
+/**
+ * Resolve the returned promise with the arguments of the first of the given promises to be resolved. If all of
+ * the promises are rejected, the returned promise is rejected with a {Max.MaxError} whose `errors` property
+ * contains the rejection reasons in the same order as the input.
+ * @param {Array} promises An array of promises or values.
+ * @returns {Max.Promise} A promise object.
+ */
+Max.Deferred.any = function(promises) {
+    var deferred = new Max.Deferred();
+    var errors = [], ctr = 0, total = promises.length;
+
+    function rejectAll() {
+        var e = new Max.MaxError(Max.Error.ALL_REJECTED, {
+            cause : errors
+        });
+        e.errors = errors;
+        deferred.reject(e);
+    }
+
+    if (!total) rejectAll();
+
+    for (var i=0;i<total;++i) {
+        (function(index) {
+            Max.Deferred.when(promises[index]).then(function() {
+                deferred.resolve.apply(deferred, arguments);
+            }, function(e) {
+                errors[index] = e;
+                if (++ctr == total) rejectAll();
+            });
+        })(i);
     }
+
+    return deferred.promise;
 };
+
 /**
- * Asynchronously execute the specified promises. On completion, return an array of success and error arguments in a 'then' function.
- * @param {Max.Promise} promises An object containing the specified promises.
+ * Call an asynchronous function for each item of an array, with at most `concurrency` calls pending at a time.
+ * The returned promise is resolved with an array of results in the same order as the input. It is rejected as soon
+ * as any of the calls fails, in which case no further calls are started.
+ * @param {Array} items An array of items.
+ * @param {function} fn A function called with an item and its index, returning a promise or a value.
+ * @param {number} [concurrency] The maximum number of pending calls. Defaults to no limit.
+ * @returns {Max.Promise} A promise object.
  */
-Max.Deferred.all = function() {
+Max.Deferred.map = function(items, fn, concurrency) {
     var deferred = new Max.Deferred();
-    var successes = [], failures = [], ctr = 0, total = arguments.length;
-    for(var i=0;i<total;++i) {
-        arguments[i].call(null).then(function() {
-            successes.push(arguments);
-            if (++ctr == total) deferred.resolve(successes, failures);
+    var results = [], next = 0, ctr = 0, total = items.length, failed = false;
+
+    function run() {
+        var index = next++, call = new Max.Deferred();
+        try {
+            call.adopt(fn(items[index], index));
+        } catch (e) {
+            call.reject(e);
+        }
+        call.promise.then(function(value) {
+            if (failed) return;
+            results[index] = value;
+            if (++ctr == total) return deferred.resolve(results);
+            if (next < total) run();
         }, function() {
-            failures.push(arguments);
-            if (++ctr == total) deferred.resolve(successes, failures);
+            if (failed) return;
+            failed = true;
+            deferred.reject.apply(deferred, arguments);
         });
     }
+
+    if (!total) deferred.resolve(results);
+
+    concurrency = concurrency > 0 ? Math.min(concurrency, total) : total;
+    for (var i=0;i<concurrency;++i)
+        run();
+
     return deferred.promise;
 };
 
+/**
+ * @constructor
+ * @class
+ * The Paginator class walks through the results of an API which accepts a limit and an offset, such as
+ * {Max.Channel.findChannels}, {Max.Channel#getMessages}, {Max.Channel#getAllSubscribers} or {Max.User.search}.
+ * A Paginator can also be iterated item by item with `for await`.
+ * @param {function} fetch A function called with a limit and an offset, returning a promise which is resolved with
+ * an array of results and, optionally, the total number of results. Without a total, paging ends at the first empty
+ * page, since the server may return fewer results than requested.
+ * @param {object} [options] Options for the paginator.
+ * @param {number} [options.pageSize] The number of results to request per page. Defaults to 10.
+ * @param {number} [options.offset] The starting index of results. Defaults to 0.
+ * @param {boolean} [options.prefetch] If enabled, the following page is requested as soon as a page is returned.
+ * @property {boolean} hasMore Indicates whether more results may be available.
+ * @property {number} totalCount The total number of results, if returned by the API. Otherwise, null.
+ * @property {number} offset The starting index of the next page to request.
+ */
+Max.Paginator = function(fetch, options) {
+    options = options || {};
+    this.fetch = fetch;
+    this.pageSize = options.pageSize || 10;
+    this.offset = options.offset || 0;
+    this.prefetch = options.prefetch === true;
+    this.hasMore = true;
+    this.totalCount = null;
+    this.pending = null;
+    this.last = null;
+};
+
+Max.Paginator.prototype = {
+    /**
+     * Get the next page of results. Once all results are returned, the promise is resolved with an empty array.
+     * Calls made before the previous page is returned are queued, so that each call returns the following page.
+     * @returns {Max.Promise} A promise object returning an array of results or reason of failure.
+     */
+    next : function() {
+        var self = this, def = new Max.Deferred();
+        var previous = self.last;
+
+        function getPage() {
+            var page = self.pending || self.request();
+            self.pending = null;
+
+            page.success(function(results) {
+                if (self.prefetch && self.hasMore) self.pending = self.request();
+                def.resolve(results);
+            }).error(function() {
+                def.reject.apply(def, arguments);
+            });
+        }
+
+        self.last = def.promise;
+        // the offset of a page is only known once the previous page is returned
+        if (previous) previous.then(getPage, getPage);
+        else getPage();
+
+        return def.promise;
+    },
+    /**
+     * Get all of the remaining results.
+     * @param {object} [options] Options for the request.
+     * @param {number} [options.max] The maximum number of results to return.
+     * @returns {Max.Promise} A promise object returning an array of results or reason of failure.
+     */
+    toArray : function(options) {
+        var self = this, def = new Max.Deferred(), results = [];
+        var max = (options && options.max > 0) ? options.max : Infinity;
+
+        function getPage() {
+            if (!self.hasMore || results.length >= max) return def.resolve(results.slice(0, max));
+
+            self.next().success(function(page) {
+                results = results.concat(page);
+                getPage();
+            }).error(function() {
+                def.reject.apply(def, arguments);
+            });
+        }
+        getPage();
+
+        return def.promise;
+    },
+    /**
+     * Request the page at the current offset and advance the offset.
+     * @returns {Max.Promise} A promise object returning an array of results or reason of failure.
+     * @ignore
+     */
+    request : function() {
+        var self = this, def = new Max.Deferred(), offset = self.offset;
+
+        if (!self.hasMore) {
+            def.resolve([]);
+            return def.promise;
+        }
+
+        self.offset += self.pageSize;
+
+        Max.Deferred.when(self.fetch(self.pageSize, offset)).then(function(results, totalCount) {
+            results = results || [];
+            // a short page does not end the results, the server may cap the page size
+            self.offset = offset + results.length;
+            if (typeof totalCount === 'number') self.totalCount = totalCount;
+            if (!results.length || (self.totalCount !== null && self.offset >= self.totalCount))
+                self.hasMore = false;
+            def.resolve(results);
+        }, function() {
+            self.offset = offset;
+            self.pending = null;
+            def.reject.apply(def, arguments);
+        });
+
+        return def.promise;
+    }
+};
+
+/**
+ * Get an async iterator which returns the results one at a time.
+ * @returns {object} An async iterator.
+ * @ignore
+ */
+Max.Paginator.prototype.iterator = function() {
+    var self = this, buffer = [];
+    return {
+        next : function() {
+            if (buffer.length) return Max.Deferred.when({value: buffer.shift(), done: false});
+            if (!self.hasMore) return Max.Deferred.when({value: undefined, done: true});
+
+            return self.next().then(function(results) {
+                buffer = results.slice();
+                return buffer.length ? {value: buffer.shift(), done: false} : {value: undefined, done: true};
+            });
+        }
+    };
+};
+
+if (typeof Symbol !== 'undefined' && Symbol.asyncIterator)
+    Max.Paginator.prototype[Symbol.asyncIterator] = Max.Paginator.prototype.iterator;
+
 /**
  * A class for extending an object with an event.
  * @memberof Max
@@ -825,46 +1370,124 @@ Max.Deferred.all = function() {
  */
 Max.Events = {
     /**
-     * Extends an existing object to handle events.
+     * Extends an existing object to handle events. Handlers are called in the order they were bound, and a handler
+     * which throws does not prevent the other handlers from being called; the error is logged with {Max.Log}.
+     * An event name can be followed by a namespace, such as 'authenticated.myapp', so that all handlers of the
+     * namespace can be unbound at once with unbind('.myapp'). An event name containing '*', such as '*' or 'token-*',
+     * matches any event with the same pattern; these handlers receive the name of the event as their first argument.
      * @param {object} me An instance of a Max Controller.
      * @returns {boolean} Indicates whether the event handlers were created.
      */
     create : function(me) {
-        if (!me._events && !me.invoke && !me.on && !me.unbind) {
+        var seq = 0;
+        if (!me._events && !me.invoke && !me.on && !me.once && !me.unbind && !me.off) {
             me._events = {};
-            me.on = function(eventId, callback) {
-                if (typeof eventId == 'number') eventId = eventId.toString();
-                me._events[eventId] = me._events[eventId] || [];
-                me._events[eventId].push(callback);
+            me.on = function(eventId, callback, once) {
+                var ev = Max.Events.parse(eventId);
+                me._events[ev.name] = me._events[ev.name] || [];
+                me._events[ev.name].push({
+                    fn        : callback,
+                    namespace : ev.namespace,
+                    once      : once === true,
+                    seq       : ++seq
+                });
+            };
+            me.once = function(eventId, callback) {
+                me.on(eventId, callback, true);
             };
             me.invoke = function(events) {
-                if (typeof events === typeof []) {
-                    for(var i=events.length;i--;) {
-                        if (typeof events[i] == 'number') events[i] = events[i].toString();
-                        if (me._events[events[i]]) {
-                            for(var j=me._events[events[i]].length;j--;) {
-                                me._events[events[i]][j].apply(this, [].slice.call(arguments, 1));
-                            }
+                var args = [].slice.call(arguments, 1), handlers, name, list;
+                if (!Max.Utils.isArray(events)) events = [events];
+                for (var i=0;i<events.length;++i) {
+                    name = Max.Events.parse(events[i]).name;
+                    handlers = Max.Events.getHandlers(me, name);
+                    for (var j=0;j<handlers.length;++j) {
+                        if (handlers[j].entry.once) {
+                            list = me._events[handlers[j].key] || [];
+                            if (list.indexOf(handlers[j].entry) != -1) list.splice(list.indexOf(handlers[j].entry), 1);
+                            if (!list.length) delete me._events[handlers[j].key];
                         }
-                    }
-                } else {
-                    if (typeof events == 'number') events = events.toString();
-                    if (me._events[events]) {
-                        for(var k=me._events[events].length;k--;) {
-                            me._events[events][k].apply(this, [].slice.call(arguments, 1));
+                        try {
+                            handlers[j].entry.fn.apply(this, handlers[j].key.indexOf('*') != -1 ? [name].concat(args) : args);
+                        } catch (e) {
+                            Max.Log.severe('error in handler of event "' + name + '": ' + ((e && e.message) || e));
                         }
                     }
                 }
             };
-            me.unbind = function(eventId) {
-                if (typeof eventId == 'number') eventId = eventId.toString();
-                if (me._events[eventId]) delete me._events[eventId];
-                if (!eventId) me._events = {};
+            me.unbind = function(eventId, callback) {
+                var ev = Max.Events.parse(eventId), handlers;
+                if (!ev.name && !ev.namespace && !callback) {
+                    me._events = {};
+                    return;
+                }
+                for (var key in me._events) {
+                    if (!me._events.hasOwnProperty(key) || (ev.name && key !== ev.name)) continue;
+                    handlers = [];
+                    for (var i=0;i<me._events[key].length;++i) {
+                        if ((ev.namespace && me._events[key][i].namespace !== ev.namespace)
+                            || (callback && me._events[key][i].fn !== callback))
+                            handlers.push(me._events[key][i]);
+                    }
+                    if (handlers.length) me._events[key] = handlers;
+                    else delete me._events[key];
+                }
             };
+            me.off = me.unbind;
             return true;
         } else {
             return false;
         }
+    },
+    /**
+     * Split an event id into an event name and a namespace.
+     * @param {string|number} eventId An event name, optionally followed by a dot and a namespace.
+     * @returns {object} An object containing the event `name` and `namespace`.
+     * @ignore
+     */
+    parse : function(eventId) {
+        var index;
+        eventId = (eventId === null || typeof eventId === 'undefined') ? '' : eventId.toString();
+        index = eventId.indexOf('.');
+        return {
+            name      : index == -1 ? eventId : eventId.substr(0, index),
+            namespace : index == -1 ? null : eventId.substr(index + 1)
+        };
+    },
+    /**
+     * Get the handlers bound to an event, including wildcard handlers, in the order they were bound.
+     * @param {object} me An object extended with {Max.Events}.
+     * @param {string} name The name of the event.
+     * @returns {object[]} A list of objects containing the handler `entry` and the `key` it was bound with.
+     * @ignore
+     */
+    getHandlers : function(me, name) {
+        var handlers = [];
+        for (var key in me._events) {
+            if (!me._events.hasOwnProperty(key)) continue;
+            if (key !== name && (key.indexOf('*') == -1 || !Max.Events.matches(key, name))) continue;
+            for (var i=0;i<me._events[key].length;++i)
+                handlers.push({
+                    entry : me._events[key][i],
+                    key   : key
+                });
+        }
+        return handlers.sort(function(a, b) {
+            return a.entry.seq - b.entry.seq;
+        });
+    },
+    /**
+     * Determine whether an event name matches a wildcard pattern.
+     * @param {string} pattern An event name in which '*' matches any sequence of characters.
+     * @param {string} name The name of the event.
+     * @returns {boolean} True if the name matches the pattern.
+     * @ignore
+     */
+    matches : function(pattern, name) {
+        var parts = pattern.split('*');
+        for (var i=0;i<parts.length;++i)
+            parts[i] = parts[i].replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+        return new RegExp('^' + parts.join('.*') + '$').test(name);
     }
 };
 
@@ -1262,13 +1885,26 @@ Max.Storage = {
      * @attribute {object} connector The data connector to be used.
      */
     connector : Max.MemoryStoreConnector,
+    /**
+     * @attribute {object} tableConnectors Data connectors used instead of the default connector for specific tables,
+     * keyed by table name.
+     */
+    tableConnectors : {},
+    /**
+     * Get the data connector of a table.
+     * @param {string} table The table in the database.
+     * @returns {object} The data connector.
+     */
+    getConnector : function(table) {
+        return this.tableConnectors[table] || this.connector;
+    },
     /**
      * Create an object.
      * @param {string} table The table in the database.
      * @param {*} kvp An object containing values to set on the object.
      */
     create : function(table, kvp, callback, failback) {
-        this.connector.create(table, kvp, function(record) {
+        this.getConnector(table).create(table, kvp, function(record) {
             if (typeof callback === typeof Function)
                 callback(record);
         }, function(e) {
@@ -1283,7 +1919,7 @@ Max.Storage = {
      * @param {*} kvp An object containing values to set on the object.
      */
     update : function(table, id, kvp, callback, failback) {
-        this.connector.update(table, id, kvp, function(record) {
+        this.getConnector(table).update(table, id, kvp, function(record) {
             if (typeof callback === typeof Function)
                 callback(record);
         }, function(e) {
@@ -1297,7 +1933,7 @@ Max.Storage = {
      * @param {string|object} input An ID or a query object containing the required matches.
      */
     get : function(table, input, callback, failback) {
-        this.connector.get(table, input, function(records) {
+        this.getConnector(table).get(table, input, function(records) {
             if (typeof callback === typeof Function)
                 callback(records);
         }, function(e) {
@@ -1311,7 +1947,7 @@ Max.Storage = {
      * @param {*} id The unique identifier of the object to remove.
      */
     remove : function(table, input, callback, failback) {
-        this.connector.remove(table, input, function() {
+        this.getConnector(table).remove(table, input, function() {
             if (typeof callback === typeof Function)
                 callback();
         }, function(e) {
@@ -1324,7 +1960,7 @@ Max.Storage = {
      * @param {string} table The table in the database.
      */
     clearTable : function(table, callback, failback) {
-        this.connector.clearTable(table, function() {
+        this.getConnector(table).clearTable(table, function() {
             if (typeof callback === typeof Function)
                 callback();
         }, function(e) {
@@ -1340,7 +1976,7 @@ Max.Storage = {
      * @param {boolean} [clearTable] If enabled, the table will be cleared.
      */
     createTableIfNotExist : function(table, schema, kvps, clearTable, callback, failback) {
-        this.connector.createTableIfNotExist(table, schema, kvps, clearTable, function() {
+        this.getConnector(table).createTableIfNotExist(table, schema, kvps, clearTable, function() {
             if (typeof callback === typeof Function)
                 callback();
         }, function(e) {
@@ -1620,9 +2256,19 @@ Max.Error = {
     FORBIDDEN: 'forbidden',
     SESSION_EXPIRED: 'session expired',
     NOT_CONNECTED: 'not connected',
+    ALREADY_CONNECTED: 'already connected',
+    NOT_AUTHORIZED: 'not authorized',
+    CONNECTION_ERROR: 'connection error',
+    CONNECTION_FAILED: 'connection failed',
     INVALID_CREDENTIALS: 'invalid credentials',
     INVALID_CHANNEL: 'invalid channel',
     INVALID_MESSAGE_ID: 'invalid messageID',
+    INVALID_CHAT_STATE: 'invalid chat state',
+    NO_RECIPIENTS: 'no recipients',
+    DELIVERY_FAILED: 'message not delivered',
+    INVALID_REPLY_CONTENT: 'invalid reply message content',
+    REPLY_TO_SELF: 'cannot reply to yourself',
+    INVALID_PRESENCE: 'invalid presence status',
     INVALID_TAGS: 'invalid tags',
     INVALID_CHANNEL_NAME: 'channel name required',
     INVALID_PUBLISH_PERMISSIONS: 'publishPermissions must be in ["anyone", "owner", "subscribers"]',
@@ -1635,12 +2281,236 @@ Max.Error = {
     POLL_ENDED: 'poll has ended',
     INVALID_END_DATE: 'invalid end date',
     INVALID_PRIVACY_LIST_NAME: 'invalid privacy list name',
-    INVALID_PICTURE: 'invalid picture'
+    INVALID_PICTURE: 'invalid picture',
+    INVALID_USERNAME: 'invalid username',
+    INVALID_PASSWORD: 'invalid password',
+    CANCELLED: 'request cancelled',
+    NOT_READY: 'sdk not ready',
+    BAD_REQUEST: 'bad request',
+    NOT_FOUND: 'not found',
+    CONFLICT: 'conflict',
+    PAYLOAD_TOO_LARGE: 'maximum filesize exceeded',
+    TOO_MANY_REQUESTS: 'too many requests',
+    SERVER_ERROR: 'server error',
+    NETWORK_ERROR: 'network error',
+    REQUEST_TIMEOUT: 'request timeout',
+    REQUEST_FAILED: 'request failed',
+    ALL_REJECTED: 'all promises were rejected'
+};
+
+/**
+ * @constructor
+ * @class
+ * The MaxError class describes the reason of a failure. Promises returned by the SDK are rejected with a
+ * {Max.MaxError}, or with one of its subclasses: {Max.RequestError} for HTTP requests and {Max.XMPPError} for
+ * XMPP stanzas. An error is equal (==) to its code, so it can be compared with the {Max.Error} constants.
+ * @param {string} code A stable identifier of the error, one of the {Max.Error} constants.
+ * @param {object} [info] Additional information about the error.
+ * @param {string} [info.message] A description of the error. Defaults to the code.
+ * @param {number} [info.status] The HTTP status code, or the XMPP error code.
+ * @param {boolean} [info.retriable] Indicates whether the operation may succeed if attempted again.
+ * @param {*} [info.cause] The underlying error, response body or error stanza.
+ * @param {string} [info.requestId] The id of the HTTP request which failed.
+ * @param {string} [info.stanzaId] The id of the XMPP stanza which failed.
+ * @property {string} code A stable identifier of the error, one of the {Max.Error} constants.
+ * @property {string} message A description of the error.
+ * @property {number} [status] The HTTP status code, or the XMPP error code.
+ * @property {boolean} retriable Indicates whether the operation may succeed if attempted again.
+ * @property {*} [cause] The underlying error, response body or error stanza.
+ * @property {string} [requestId] The id of the HTTP request which failed.
+ * @property {string} [stanzaId] The id of the XMPP stanza which failed.
+ */
+Max.MaxError = function(code, info) {
+    info = info || {};
+    this.name = 'MaxError';
+    this.code = code;
+    this.message = info.message || code;
+    this.status = info.status;
+    this.retriable = typeof info.retriable === 'boolean'
+        ? info.retriable : Max.MaxError.RETRIABLE.indexOf(code) != -1;
+    this.cause = info.cause;
+    this.requestId = info.requestId;
+    this.stanzaId = info.stanzaId;
+    this.stack = (new Error(this.message)).stack;
+};
+Max.MaxError.prototype = Object.create(Error.prototype);
+Max.MaxError.prototype.constructor = Max.MaxError;
+
+/**
+ * Get the code of the error.
+ * @returns {string} The code of the error.
+ */
+Max.MaxError.prototype.toString = function() {
+    return this.code;
+};
+
+/**
+ * @attribute {string[]} RETRIABLE Codes of errors which are retriable by default.
+ * @ignore
+ */
+Max.MaxError.RETRIABLE = [
+    Max.Error.NOT_CONNECTED,
+    Max.Error.CONNECTION_ERROR,
+    Max.Error.CONNECTION_FAILED,
+    Max.Error.NETWORK_ERROR,
+    Max.Error.REQUEST_TIMEOUT,
+    Max.Error.TOO_MANY_REQUESTS
+];
+
+/**
+ * Convert an error of any type to a {Max.MaxError}.
+ * @param {*} e An error object, or a string describing the error.
+ * @returns {Max.MaxError} The error, if it already is a {Max.MaxError}. Otherwise, an error whose code is the
+ * input string, or {Max.Error.REQUEST_FAILED} caused by the input.
+ * @ignore
+ */
+Max.MaxError.wrap = function(e) {
+    if (e instanceof Max.MaxError) return e;
+    if (typeof e === 'string' && e) return new Max.MaxError(e);
+    return new Max.MaxError(Max.Error.REQUEST_FAILED, {
+        message : (e && e.message) || Max.Error.REQUEST_FAILED,
+        cause   : e
+    });
+};
+
+/**
+ * Get the error code corresponding to an HTTP status code.
+ * @param {number} status An HTTP status code.
+ * @returns {string} One of the {Max.Error} constants.
+ * @ignore
+ */
+Max.MaxError.getCodeForStatus = function(status) {
+    switch(status) {
+        case 400 : return Max.Error.BAD_REQUEST;
+        case 401 : return Max.Error.SESSION_EXPIRED;
+        case 403 : return Max.Error.FORBIDDEN;
+        case 404 : return Max.Error.NOT_FOUND;
+        case 408 : return Max.Error.REQUEST_TIMEOUT;
+        case 409 : return Max.Error.CONFLICT;
+        case 413 : return Max.Error.PAYLOAD_TOO_LARGE;
+        case 429 : return Max.Error.TOO_MANY_REQUESTS;
+    }
+    return status >= 500 ? Max.Error.SERVER_ERROR : Max.Error.REQUEST_FAILED;
+};
+
+/**
+ * @constructor
+ * @class
+ * The RequestError class describes the failure of an HTTP request.
+ * @augments Max.MaxError
+ * @param {string} code A stable identifier of the error, one of the {Max.Error} constants.
+ * @param {object} [info] Additional information about the error. See {Max.MaxError}.
+ */
+Max.RequestError = function(code, info) {
+    Max.MaxError.call(this, code, info);
+    this.name = 'RequestError';
+};
+Max.RequestError.prototype = Object.create(Max.MaxError.prototype);
+Max.RequestError.prototype.constructor = Max.RequestError;
+
+/**
+ * Create an error from a failed HTTP response.
+ * @param {*} body The response body, or the reason of failure reported by the transport.
+ * @param {object} [details] Details of the response.
+ * @param {string} [requestId] The id of the request, used if the response does not contain an X-Request-Id header.
+ * @returns {Max.RequestError} The error.
+ * @ignore
+ */
+Max.RequestError.fromResponse = function(body, details, requestId) {
+    var status, code, message;
+    if (body instanceof Max.MaxError) return body;
+
+    details = details || {};
+    status = details.status;
+    requestId = Max.Transport.getResponseHeader(details, 'X-Request-Id') || requestId;
+
+    if (details.intercepted)
+        code = Max.Error.REQUEST_FAILED;
+    else if (status === 0)
+        code = body === 'request-timeout' ? Max.Error.REQUEST_TIMEOUT : Max.Error.NETWORK_ERROR;
+    else
+        code = Max.MaxError.getCodeForStatus(status);
+
+    if (body && typeof body.message === 'string')
+        message = body.message;
+    else if (typeof body === 'string' && body && body.length < 256)
+        message = body;
+
+    return new Max.RequestError(code, {
+        message   : message,
+        status    : status,
+        retriable : !details.intercepted && (status === 0 || (Max.Config.retryPolicy.retryOn || []).indexOf(status) != -1),
+        cause     : body,
+        requestId : requestId
+    });
+};
+
+/**
+ * @constructor
+ * @class
+ * The XMPPError class describes an error returned by the messaging server in response to an XMPP stanza.
+ * @augments Max.MaxError
+ * @param {string} code A stable identifier of the error, one of the {Max.Error} constants.
+ * @param {object} [info] Additional information about the error. See {Max.MaxError}.
+ */
+Max.XMPPError = function(code, info) {
+    Max.MaxError.call(this, code, info);
+    this.name = 'XMPPError';
+};
+Max.XMPPError.prototype = Object.create(Max.MaxError.prototype);
+Max.XMPPError.prototype.constructor = Max.XMPPError;
+
+/**
+ * Create an error from the error element of an XMPP stanza.
+ * @param {object} error The error element of the stanza converted to JSON, containing a `_type`, a `_code` and
+ * the defined condition, such as `item-not-found`.
+ * @param {string} [stanzaId] The id of the stanza.
+ * @returns {Max.XMPPError} The error.
+ * @ignore
+ */
+Max.XMPPError.fromStanza = function(error, stanzaId) {
+    var status = parseInt(error._code, 10) || undefined;
+    var code = status ? Max.MaxError.getCodeForStatus(status) : Max.Error.REQUEST_FAILED;
+    var condition;
+
+    if (error._type == 'auth') code = Max.Error.FORBIDDEN;
+    for (var key in error) {
+        if (error.hasOwnProperty(key) && key.charAt(0) != '_' && key != 'text') {
+            condition = key;
+            break;
+        }
+    }
+
+    return new Max.XMPPError(code, {
+        message   : (typeof error.text === 'string' && error.text) || condition,
+        status    : status,
+        retriable : error._type == 'wait',
+        cause     : error,
+        stanzaId  : stanzaId
+    });
+};
+
+/**
+ * Create an error from an MMX payload reporting a failure.
+ * @param {object} payload The payload, containing a `code` and a `message`.
+ * @param {string} [stanzaId] The id of the stanza.
+ * @returns {Max.XMPPError} The error.
+ * @ignore
+ */
+Max.XMPPError.fromPayload = function(payload, stanzaId) {
+    var status = parseInt(payload.code, 10) || undefined;
+    return new Max.XMPPError(status ? Max.MaxError.getCodeForStatus(status) : Max.Error.REQUEST_FAILED, {
+        message  : payload.message,
+        status   : status,
+        cause    : payload,
+        stanzaId : stanzaId
+    });
 };
 
 var mCurrentDevice = null;
 var mCurrentUser = null;
 var mXMPPConnection = null;
+var mSessionRefresh = null;
 var MMS_DEVICE_ID = '1111-2222-3333-4444';
 var mListenerStore = {};
 var mListenerHandlerStore = {};
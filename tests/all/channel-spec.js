@@ -254,7 +254,7 @@ describe('Channel create', function() {
             Max.Request.restore();
             done();
         }).error(function(e) {
-            expect(e).toContain('publishPermissions must be');
+            expect(e.code).toEqual(Max.Error.INVALID_PUBLISH_PERMISSIONS);
             Max.Request.restore();
             done();
         });
@@ -272,7 +272,7 @@ describe('Channel create', function() {
             Max.Request.restore();
             done();
         }).error(function(e) {
-            expect(e).toContain('channel name required');
+            expect(e.code).toEqual(Max.Error.INVALID_CHANNEL_NAME);
             Max.Request.restore();
             done();
         });
@@ -899,7 +899,7 @@ describe('Channel addSubscribers', function() {
             Max.Request.restore();
             done();
         }).error(function(e) {
-            expect(e).toEqual('forbidden');
+            expect(e.code).toEqual('forbidden');
             Max.Request.restore();
             done();
         });
@@ -990,7 +990,7 @@ describe('Channel removeSubscribers', function() {
             Max.Request.restore();
             done();
         }).error(function(e) {
-            expect(e).toEqual('forbidden');
+            expect(e.code).toEqual('forbidden');
             Max.Request.restore();
             done();
         });
@@ -1054,6 +1054,32 @@ describe('Channel subscribe', function() {
         });
     });
 
+    it('should fail if the server returns an error', function(done) {
+        var connStub = {
+            addHandler: function(cb) {
+                var xmlStr = "<error code='404' type='cancel'><item-not-found xmlns='urn:ietf:params:xml:ns:xmpp-stanzas'/></error>";
+                var xml = Max.Utils.getValidXML(xmlStr);
+                cb(xml);
+            },
+            send: sendSpy,
+            connected: true
+        };
+        var channel = new Max.Channel({
+            "userId": "402881295313de27015315659c71000a",
+            "topicName": testChannelName,
+            "privateChannel": false
+        });
+        Max.setConnection(connStub);
+        channel.subscribe().success(function() {
+            expect('failed-test').toEqual(false);
+            done();
+        }).error(function(e) {
+            expect(e.code).toEqual(Max.Error.NOT_FOUND);
+            expect(channel.isSubscribed).not.toEqual(true);
+            done();
+        });
+    });
+
 });
 
 describe('Channel unsubscribe', function() {
@@ -1289,9 +1315,10 @@ describe('Channel publish', function() {
         channel.publish(msg).success(function(msgId) {
             expect(msgId).toEqual('failed-test');
             done();
-        }).error(function(err, code) {
-            expect(err).toEqual('wait');
-            expect(code).toEqual('500');
+        }).error(function(err) {
+            expect(err.code).toEqual(Max.Error.SERVER_ERROR);
+            expect(err.status).toEqual(500);
+            expect(err.retriable).toEqual(true);
             done();
         });
     });
@@ -1764,7 +1791,7 @@ describe('Channel setTags', function() {
             expect(message).toEqual('failed-test');
             done();
         }).error(function(e) {
-            expect(e).toEqual('invalid tags');
+            expect(e.code).toEqual('invalid tags');
             done();
         });
     });
@@ -1807,6 +1834,131 @@ describe('Channel setTags', function() {
 
 });
 
+describe('Channel sendChatState', function() {
+    var sendSpy;
+
+    beforeEach(function() {
+        sendSpy = sinon.spy();
+        Max.setUser({
+            userId: 'test-user-id-1',
+            jid: 'test-user-id-1%test-app-id@mmx/test-device-id-1'
+        });
+        Max.setConnection({
+            send: sendSpy,
+            connected: true
+        });
+    });
+    afterEach(function() {
+        Max.setUser(null);
+        Max.setConnection(null);
+    });
+
+    it('should send a chat state to the subscribers of the channel', function(done) {
+        var channel = new Max.Channel({
+            topicName: 'chat-state-channel',
+            privateChannel: false
+        });
+        var subscribersStub = sinon.stub(Max.ChannelHelper, 'getSubscriberIds', function() {
+            var d = new Max.Deferred();
+            setTimeout(function() {
+                d.resolve(['test-user-id-1', 'test-user-id-2']);
+            }, 0);
+            return d.promise;
+        });
+        channel.sendChatState(Max.ChatState.COMPOSING).success(function(res) {
+            var elem = sendSpy.args[0][0];
+            expect(res).toEqual('ok');
+            expect(sendSpy.calledOnce).toEqual(true);
+            expect(elem.getAttribute('to')).toEqual(Max.MMXClient.getBaredJid('test-user-id-2'));
+            expect(elem.getElementsByTagName('composing').length).toEqual(1);
+            expect(elem.getElementsByTagName('thread')[0].textContent).toEqual(channel.channelId);
+
+            channel.sendChatState(Max.ChatState.COMPOSING).success(function(res) {
+                expect(res).toEqual('throttled');
+
+                channel.sendChatState(Max.ChatState.PAUSED).success(function(res) {
+                    expect(res).toEqual('ok');
+                    expect(sendSpy.calledTwice).toEqual(true);
+                    expect(subscribersStub.calledOnce).toEqual(true);
+                    Max.ChannelHelper.getSubscriberIds.restore();
+                    done();
+                });
+            });
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            Max.ChannelHelper.getSubscriberIds.restore();
+            done();
+        });
+    });
+
+    it('should use the cached subscribers if they cannot be refreshed', function(done) {
+        var cacheTimeout = Max.Config.subscriberCacheTimeout;
+        var channel = new Max.Channel({
+            topicName: 'chat-state-channel-2',
+            privateChannel: false
+        });
+        var calls = 0;
+        sinon.stub(Max.ChannelHelper, 'getSubscriberIds', function() {
+            var d = new Max.Deferred();
+            setTimeout(function() {
+                if (calls++) return d.reject(new Max.MaxError(Max.Error.REQUEST_TIMEOUT));
+                d.resolve(['test-user-id-2']);
+            }, 0);
+            return d.promise;
+        });
+        Max.Config.subscriberCacheTimeout = 0;
+        channel.sendChatState(Max.ChatState.COMPOSING).success(function() {
+            channel.sendChatState(Max.ChatState.PAUSED).success(function(res) {
+                expect(res).toEqual('ok');
+                expect(calls).toEqual(2);
+                expect(sendSpy.calledTwice).toEqual(true);
+                expect(sendSpy.args[1][0].getAttribute('to')).toEqual(Max.MMXClient.getBaredJid('test-user-id-2'));
+                Max.Config.subscriberCacheTimeout = cacheTimeout;
+                Max.ChannelHelper.getSubscriberIds.restore();
+                done();
+            });
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            Max.Config.subscriberCacheTimeout = cacheTimeout;
+            Max.ChannelHelper.getSubscriberIds.restore();
+            done();
+        });
+    });
+
+    it('should send a chat state retried after the subscribers could not be fetched', function(done) {
+        var channel = new Max.Channel({
+            topicName: 'chat-state-channel-3',
+            privateChannel: false
+        });
+        var calls = 0;
+        sinon.stub(Max.ChannelHelper, 'getSubscriberIds', function() {
+            var d = new Max.Deferred();
+            setTimeout(function() {
+                if (!calls++) return d.reject(new Max.MaxError(Max.Error.REQUEST_TIMEOUT));
+                d.resolve(['test-user-id-2']);
+            }, 0);
+            return d.promise;
+        });
+        channel.sendChatState(Max.ChatState.COMPOSING).success(function(res) {
+            expect(res).toEqual('failed-test');
+            Max.ChannelHelper.getSubscriberIds.restore();
+            done();
+        }).error(function(e) {
+            expect(e.code).toEqual(Max.Error.REQUEST_TIMEOUT);
+            expect(sendSpy.called).toEqual(false);
+            channel.sendChatState(Max.ChatState.COMPOSING).success(function(res) {
+                expect(res).toEqual('ok');
+                expect(calls).toEqual(2);
+                expect(sendSpy.calledOnce).toEqual(true);
+                expect(sendSpy.args[0][0].getElementsByTagName('composing').length).toEqual(1);
+                Max.ChannelHelper.getSubscriberIds.restore();
+                done();
+            });
+        });
+    });
+
+});
+
 describe('Channel inviteUsers', function() {
     var sendSpy;
     var testUserId = '4028812953356a8901533b0617650002';
@@ -1906,7 +2058,7 @@ describe('Channel deleteMessage', function() {
         channel.deleteMessage().success(function(msg) {
             expect(msg).toEqual('failed-test');
         }).error(function(e) {
-            expect(e).toEqual('invalid messageID');
+            expect(e.code).toEqual('invalid messageID');
             done();
         });
     });
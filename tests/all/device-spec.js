@@ -201,6 +201,37 @@ describe('Device checkInWithDevice', function() {
         });
     });
 
+    it('should pick up WebSocket support from the server config', function(done) {
+        var collectDeviceInfo = sinon.stub(Max.Device, 'collectDeviceInfo');
+        collectDeviceInfo.callsArgWith(0, null, {
+            "deviceId": testDeviceId
+        });
+        var requestStub = sinon.stub(Max, 'Request', function(res, cb) {
+            cb({
+                "applicationToken": {
+                    "mmx_app_id": "j8cil1dmjt8",
+                    "access_token": "test-cat-token"
+                },
+                "config": {
+                    "mms-application-endpoint": Max.Config.baseUrl,
+                    "mmx-host": Max.Config.mmxHost,
+                    "mmx-port": "5222",
+                    "mmx-domain": "mmx",
+                    "websocket-enabled": "true"
+                }
+            });
+        });
+        Max.Config.xmppTransport = 'bosh';
+        Max.Device.checkInWithDevice(function() {
+            expect(Max.Config.websocketEnabled).toEqual(true);
+            expect(Max.Config.xmppTransport).toEqual('bosh');
+            Max.Config.websocketEnabled = false;
+            Max.Config.xmppTransport = 'auto';
+            Max.Request.restore();
+            done();
+        });
+    });
+
     xit('should check-in a device and create session', function(done) {
         var deviceId = 'test-device-id';
         Max.Cookie.create('magnet-max-device-id', deviceId, 1);
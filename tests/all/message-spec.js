@@ -204,6 +204,26 @@ describe('MMXClient connect', function() {
         });
     });
 
+    it('should replay the request queue once connected', function(done){
+        var connectStub = sinon.stub(Strophe.Connection.prototype, 'connect');
+        connectStub.callsArgWith(2, 5);
+        var sendStub = sinon.stub(Strophe.Connection.prototype, 'send');
+        var flushStub = sinon.stub(Max.RequestQueue, 'flush');
+        Max.MMXClient.connect('test-user-id', 'test-access-token').success(function() {
+            expect(flushStub.calledOnce).toEqual(true);
+            Strophe.Connection.prototype.connect.restore();
+            Strophe.Connection.prototype.send.restore();
+            Max.RequestQueue.flush.restore();
+            done();
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            Strophe.Connection.prototype.connect.restore();
+            Strophe.Connection.prototype.send.restore();
+            Max.RequestQueue.flush.restore();
+            done();
+        });
+    });
+
     it('should fail connecting a client', function(done){
         var connectStub = sinon.stub(Strophe.Connection.prototype, 'connect');
         connectStub.callsArgWith(2, 4);
@@ -216,7 +236,7 @@ describe('MMXClient connect', function() {
             Strophe.Connection.prototype.send.restore();
             done();
         }).error(function(e) {
-            expect(e).toEqual('not authorized');
+            expect(e.code).toEqual(Max.Error.NOT_AUTHORIZED);
             expect(Max.getCurrentUser().connected).toBeFalsy();
             expect(sendSpy.calledOnce).toEqual(false);
             Strophe.Connection.prototype.connect.restore();
@@ -225,6 +245,20 @@ describe('MMXClient connect', function() {
         });
     });
 
+    it('should fail connecting a client which is already connected', function(done){
+        Max.MMXClient.connectionEmitter = {};
+        Max.MMXClient.connect('test-user-id', 'test-access-token').success(function(res) {
+            expect(res).toEqual('failed-test');
+            Max.MMXClient.connectionEmitter = null;
+            done();
+        }).error(function(e) {
+            expect(e instanceof Max.MaxError).toEqual(true);
+            expect(e.code).toEqual(Max.Error.ALREADY_CONNECTED);
+            Max.MMXClient.connectionEmitter = null;
+            done();
+        });
+    });
+
     it('should disconnect a client', function(done){
         var connectStub = sinon.stub(Strophe.Connection.prototype, 'connect');
         connectStub.callsArgWith(2, 6);
@@ -344,21 +378,21 @@ describe('MMXClient connectionHandler', function() {
 
     it('should fire error callback', function (done) {
         Max.MMXClient.connectionHandler(0, function(status) {
-            expect(status).toEqual('connection error');
+            expect(status.code).toEqual(Max.Error.CONNECTION_ERROR);
             done();
         });
     });
 
     it('should fire connection failed callback', function (done) {
         Max.MMXClient.connectionHandler(2, function(status) {
-            expect(status).toEqual('connection failed');
+            expect(status.code).toEqual(Max.Error.CONNECTION_FAILED);
             done();
         });
     });
 
     it('should fire not authorized callback', function (done) {
         Max.MMXClient.connectionHandler(4, function(status) {
-            expect(status).toEqual('not authorized');
+            expect(status.code).toEqual(Max.Error.NOT_AUTHORIZED);
             done();
         });
     });
@@ -381,6 +415,7 @@ describe('MMXClient bindDisconnect', function() {
             return d.promise;
         });
         Max.setUser({});
+        Max.MMXClient.attempt = 0;
         Max.MMXClient.connectionEmitter = {};
         Max.Events.create(Max.MMXClient.connectionEmitter);
         Max.MMXClient.bindDisconnect(function() {
@@ -408,204 +443,841 @@ describe('MMXClient bindDisconnect', function() {
 
 });
 
-describe('MMXClient getBaredJid', function() {
+describe('MMXClient connection state', function() {
+    var states;
 
-    it('should return a bared Jid', function (done) {
-        Max.App.appId = 'test-app-id';
-        Max.Config.mmxDomain = 'mmx';
-        var uid = 'test-user-id';
-        expect(Max.MMXClient.getBaredJid(uid)).toEqual('test-user-id%test-app-id@mmx');
-        done();
+    beforeEach(function() {
+        states = [];
+        Max.setUser({
+            userId: 'test-user-id'
+        });
+        Max.setDevice({});
+        Max.setConnection(null);
+        Max.MMXClient.connectionEmitter = null;
+        Max.MMXClient.state = Max.ConnectionState.IDLE;
+        Max.on('connection-state', function(state, info) {
+            states.push([state, info.reason, info.attempt]);
+        });
     });
 
-});
-
-describe('Message', function() {
+    afterEach(function() {
+        Max.unbind('connection-state');
+        Max.setUser(null);
+        Max.setDevice(null);
+        Max.setConnection(null);
+        Max.MMXClient.connectionEmitter = null;
+        Max.MMXClient.state = Max.ConnectionState.IDLE;
+    });
 
-    it('should instantiate a new Message object', function (done) {
-        var testUserId = 'test-user-id-1';
-        var messageContent = 'test-message';
-        Max.setUser({
-            userId: testUserId
+    it('should emit state changes until connected', function(done) {
+        var connectStub = sinon.stub(Strophe.Connection.prototype, 'connect', function(jid, token, cb) {
+            cb(Strophe.Status.CONNECTING);
+            cb(Strophe.Status.AUTHENTICATING);
+            cb(Strophe.Status.CONNECTED);
+        });
+        var sendStub = sinon.stub(Strophe.Connection.prototype, 'send');
+        expect(Max.MMXClient.getState()).toEqual(Max.ConnectionState.IDLE);
+        Max.MMXClient.connect('test-user-id', 'test-access-token').success(function() {
+            expect(states).toEqual([
+                [Max.ConnectionState.CONNECTING, undefined, 1],
+                [Max.ConnectionState.AUTHENTICATING, undefined, 1],
+                [Max.ConnectionState.CONNECTED, undefined, 0]
+            ]);
+            expect(Max.MMXClient.getState()).toEqual(Max.ConnectionState.CONNECTED);
+            Strophe.Connection.prototype.connect.restore();
+            Strophe.Connection.prototype.send.restore();
+            done();
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            Strophe.Connection.prototype.connect.restore();
+            Strophe.Connection.prototype.send.restore();
+            done();
         });
-        var content = {
-            my: messageContent
-        };
-        var recipients = [{
-            userName: 'userName1',
-            userId: testUserId
-        }, {
-            userName: 'userName2',
-            userId: 'test-user-id-2'
-        }];
-        var msg = new Max.Message(content, recipients);
-        expect(msg.recipients.length).toEqual(2);
-        expect(msg.recipients[0].userId).toEqual(testUserId);
-        expect(msg.messageContent.my).toEqual(messageContent);
-        done();
     });
 
-    it('should instantiate a new Message object with single recipient', function (done) {
-        var testUserId = 'test-user-id-1';
-        var messageContent = 'test-message';
-        Max.setUser({
-            userId: testUserId
+    it('should fail with the reason of the failure', function(done) {
+        var connectStub = sinon.stub(Strophe.Connection.prototype, 'connect', function(jid, token, cb) {
+            cb(Strophe.Status.AUTHFAIL, 'not-authorized');
+            cb(Strophe.Status.DISCONNECTED);
         });
-        var content = {
-            my: messageContent
-        };
-        var recipient = {
-            userName: 'userName1',
-            userId: testUserId
-        };
-        var msg = new Max.Message(content, recipient);
-        expect(msg.recipients.length).toEqual(1);
-        expect(msg.recipients[0].userId).toEqual(testUserId);
-        expect(msg.messageContent.my).toEqual(messageContent);
-        done();
+        Max.MMXClient.connect('test-user-id', 'test-access-token').success(function(res) {
+            expect(res).toEqual('failed-test');
+            Strophe.Connection.prototype.connect.restore();
+            done();
+        }).error(function(e) {
+            expect(e.code).toEqual(Max.Error.NOT_AUTHORIZED);
+            expect(states).toEqual([
+                [Max.ConnectionState.CONNECTING, undefined, 1],
+                [Max.ConnectionState.FAILED, 'not-authorized', 1]
+            ]);
+            expect(Max.MMXClient.getState()).toEqual(Max.ConnectionState.FAILED);
+            Strophe.Connection.prototype.connect.restore();
+            done();
+        });
+    });
+
+    it('should emit disconnected and reconnecting when the connection drops', function(done) {
+        Max.Cookie.create('magnet-max-auth-token', '1111', 1);
+        var connectStub = sinon.stub(Strophe.Connection.prototype, 'connect');
+        Max.MMXClient.state = Max.ConnectionState.CONNECTED;
+        Max.MMXClient.attempt = 0;
+        Max.MMXClient.connectionEmitter = {};
+        Max.Events.create(Max.MMXClient.connectionEmitter);
+        Max.MMXClient.bindDisconnect();
+        Max.MMXClient.connectionEmitter.invoke(Strophe.Status.DISCONNECTED, 'remote-stream-error');
+        setTimeout(function() {
+            expect(states).toEqual([
+                [Max.ConnectionState.DISCONNECTED, 'remote-stream-error', 0],
+                [Max.ConnectionState.RECONNECTING, undefined, 1]
+            ]);
+            expect(connectStub.calledOnce).toEqual(true);
+            Strophe.Connection.prototype.connect.restore();
+            Max.Cookie.remove('magnet-max-auth-token');
+            done();
+        }, 5);
     });
 
 });
 
-describe('Message formatEvent', function() {
+describe('MMXClient reconnect', function() {
+    var policy = Max.Config.reconnectPolicy;
 
-    it('should parse an incoming message', function (done) {
-        Max.App.hatCredentials = {
-            access_token: 'test-access-token'
-        };
-        var fromUid = '402881295313de0d015315c820bc0004';
-        var attachmentMeta = {
-            _attachments: [{"mimeType":"text/plain","senderId":"test-id","attachmentId":"test-attachment-id"}]
-        };
-        var channelName = '1456521126999';
-        var channelOwnerUid = '402881295313de0d015315c820bc0004';
-        var msgText = {
-            "event": {
-                "items": {
-                    "item": {
-                        "mmx": {
-                            "mmxmeta": "{\"From\":{\"userId\":\""+fromUid+"\",\"devId\":\"js-680a5326-ffbb-42e5-82a1-b81122fbfb8a\",\"displayName\":\"web@magnet.com\"}}",
-                            "meta": JSON.stringify(attachmentMeta),
-                            "payload": {
-                                "_mtype": "unknown",
-                                "_stamp": "2016-03-02T04:54:50Z",
-                                "_chunk": "0/0/0"
-                            },
-                            "_xmlns": "com.magnet:msg:payload"
-                        },
-                        "_id": "3b22786f64a241d3c322fdc24bda98db"
-                    },
-                    "_node": "/gmbil1ewswo/" + channelOwnerUid + "/" + channelName
-                },
-                "_xmlns": "http://jabber.org/protocol/pubsub#event"
-            },
-            "headers": {
-                "header": {
-                    "_name": "SubID",
-                    "__text": "1NMwX0i5PB46C5rMdJ7SmHgR5KeQiN0ycJnu4cHC"
-                },
-                "_xmlns": "http://jabber.org/protocol/shim"
-            },
-            "_xmlns": "jabber:client",
-            "_from": "pubsub.mmx",
-            "_to": "402881295313de0d015315c820bc0004%gmbil1ewswo@mmx",
-            "_id": "/gmbil1ewswo/402881295313de0d015315c820bc0004/1456521126999__402881295313de0d015315c820bc0004%gmbil1ewswo@mmx__53yFQ"
-        };
-        var getChannelStub = sinon.stub(Max.Channel, 'getChannel', function() {
-            var d = new Max.Deferred();
+    // mimic MMXClient.connect, which counts the attempts, with the given results
+    function stubConnect(results) {
+        return sinon.stub(Max.MMXClient, 'connect', function() {
+            var d = new Max.Deferred(), res = results.shift();
+            ++Max.MMXClient.attempt;
             setTimeout(function() {
-                d.resolve(new Max.Channel({
-                    "isCollection": false,
-                    "description": "",
-                    "isPersistent": true,
-                    "maxItems": -1,
-                    "maxPayloadSize": 2097152,
-                    "creationDate": "2016-02-26T21:27:23.014Z",
-                    "modificationDate": "2016-02-26T21:27:23.015Z",
-                    "publisherType": "subscribers",
-                    "creator": channelOwnerUid,
-                    "subscriptionEnabled": true,
-                    "topicName": channelName,
-                    "privateChannel": true
-                }));
+                if (res) d.reject(new Max.MaxError(res));
+                else d.resolve('ok');
             }, 0);
             return d.promise;
         });
-        Max.Message.formatEvent(msgText, null, function(e, msg) {
-            expect(msg.receivedMessage).toEqual(true);
-            expect(msg.sender.userId).toEqual(fromUid);
-            expect(msg.attachments).not.toBeUndefined();
-            expect(msg.channel).not.toBeUndefined();
-            expect(msg.channel.name).toEqual(channelName);
-            expect(msg.channel.userId).toEqual(channelOwnerUid);
-            expect(msg.channel.isPublic).toEqual(false);
-            Max.Channel.getChannel.restore();
+    }
+
+    beforeEach(function() {
+        Max.Cookie.create('magnet-max-auth-token', '1111', 1);
+        Max.setUser({
+            userId: 'test-user-id'
+        });
+        Max.MMXClient.connectionEmitter = null;
+        Max.MMXClient.attempt = 0;
+        Max.Config.reconnectPolicy = {
+            maxAttempts : 3,
+            baseDelay   : 5,
+            maxDelay    : 20,
+            jitter      : false
+        };
+    });
+
+    afterEach(function() {
+        Max.MMXClient.cancelReconnect();
+        Max.Config.reconnectPolicy = policy;
+        Max.Cookie.remove('magnet-max-auth-token');
+        Max.setUser(null);
+        Max.MMXClient.state = Max.ConnectionState.IDLE;
+    });
+
+    it('should retry after a transient failure and register listeners again', function(done) {
+        Max.setConnection({
+            addHandler: function() {},
+            deleteHandler: function() {}
+        });
+        Max.registerListener(new Max.EventListener('test-listener', function() {}));
+        Max.setConnection(null);
+        var connectStub = stubConnect(['connection failed', 'connection failed']);
+        var registerStub = sinon.stub(Max, 'registerListener', function(listener) {
+            expect(listener.id).toEqual('test-listener');
+            expect(connectStub.callCount).toEqual(3);
+            Max.unregisterListener('test-listener');
+            expect(logoutStub.called).toEqual(false);
+            Max.MMXClient.connect.restore();
+            Max.registerListener.restore();
+            Max.User.logout.restore();
             done();
         });
+        var logoutStub = sinon.stub(Max.User, 'logout');
+        Max.MMXClient.reconnect();
+        expect(connectStub.calledOnce).toEqual(true);
     });
 
-    it('should parse an incoming invitation', function (done) {
-        Max.App.hatCredentials = {
-            access_token: 'test-access-token'
-        };
-        var comment = 'hello dude';
-        var fromUid = '402881295313de0d015315c820bc0004';
-        var attachmentMeta = '{"text":"'+comment+'","channelSummary":" ","channelName":"myprivfirstuser","channelIsPublic":"false","channelOwnerId":"4028ba815381b6db01539b6d35760041","channelPublishPermissions":"subscribers","channelCreationDate":"2016-03-21T23:05:39.664Z"}';
-        var channelName = '1456521126999';
-        var channelOwnerUid = '402881295313de0d015315c820bc0004';
-        var msgText = {
-            "event": {
-                "items": {
-                    "item": {
-                        "mmx": {
-                            "mmxmeta": "{\"From\":{\"userId\":\"" + fromUid + "\",\"devId\":\"js-680a5326-ffbb-42e5-82a1-b81122fbfb8a\",\"displayName\":\"web@magnet.com\"}}",
-                            "meta": attachmentMeta,
-                            "payload": {
-                                "_mtype": Max.MessageType.INVITATION,
-                                "_stamp": "2016-03-02T04:54:50Z",
-                                "_chunk": "0/0/0"
-                            },
-                            "_xmlns": "com.magnet:msg:payload"
-                        },
-                        "_id": "3b22786f64a241d3c322fdc24bda98db"
-                    },
-                    "_node": "/gmbil1ewswo/" + channelOwnerUid + "/" + channelName
-                },
-                "_xmlns": "http://jabber.org/protocol/pubsub#event"
-            },
-            "headers": {
-                "header": {
-                    "_name": "SubID",
-                    "__text": "1NMwX0i5PB46C5rMdJ7SmHgR5KeQiN0ycJnu4cHC"
-                },
-                "_xmlns": "http://jabber.org/protocol/shim"
-            },
-            "_xmlns": "jabber:client",
-            "_from": "pubsub.mmx",
-            "_to": "402881295313de0d015315c820bc0004%gmbil1ewswo@mmx",
-            "_id": "/gmbil1ewswo/402881295313de0d015315c820bc0004/1456521126999__402881295313de0d015315c820bc0004%gmbil1ewswo@mmx__53yFQ"
-        };
-        var getChannelStub = sinon.stub(Max.Channel, 'getChannel', function() {
+    it('should clear the session if the credentials are rejected', function(done) {
+        var connectStub = stubConnect(['not authorized']);
+        var clearSessionStub = sinon.stub(Max.User, 'clearSession', function(reason) {
+            expect(reason).toEqual(Max.Error.SESSION_EXPIRED);
+            setTimeout(function() {
+                expect(connectStub.calledOnce).toEqual(true);
+                Max.MMXClient.connect.restore();
+                Max.User.clearSession.restore();
+                done();
+            }, 30);
+        });
+        Max.MMXClient.reconnect();
+    });
+
+    it('should renew the access token if the credentials are rejected', function(done) {
+        var connectStub = stubConnect(['not authorized']);
+        var clearSessionStub = sinon.stub(Max.User, 'clearSession');
+        Max.Cookie.create('magnet-max-refresh-token', 'test-refresh-token', 1);
+        var refreshStub = sinon.stub(Max.User, 'refreshSession', function() {
             var d = new Max.Deferred();
             setTimeout(function() {
-                d.resolve(new Max.Channel({
-                    "isCollection": false,
-                    "description": "",
-                    "isPersistent": true,
-                    "maxItems": -1,
-                    "maxPayloadSize": 2097152,
-                    "creationDate": "2016-02-26T21:27:23.014Z",
-                    "modificationDate": "2016-02-26T21:27:23.015Z",
-                    "publisherType": "subscribers",
-                    "creator": channelOwnerUid,
-                    "subscriptionEnabled": true,
-                    "topicName": channelName,
-                    "privateChannel": true
-                }));
+                d.resolve(Max.getCurrentUser());
+                expect(connectStub.calledOnce).toEqual(true);
+                expect(clearSessionStub.called).toEqual(false);
+                Max.Cookie.remove('magnet-max-refresh-token');
+                Max.MMXClient.connect.restore();
+                Max.User.clearSession.restore();
+                Max.User.refreshSession.restore();
+                done();
             }, 0);
             return d.promise;
         });
-        Max.Message.formatEvent(msgText, null, function(e, msg) {
+        Max.MMXClient.reconnect();
+    });
+
+    it('should clear the session if the access token cannot be renewed', function(done) {
+        stubConnect(['not authorized']);
+        Max.Cookie.create('magnet-max-refresh-token', 'test-refresh-token', 1);
+        var refreshStub = sinon.stub(Max.User, 'refreshSession', function() {
+            var d = new Max.Deferred();
+            setTimeout(function() {
+                d.reject(new Max.MaxError(Max.Error.SESSION_EXPIRED));
+            }, 0);
+            return d.promise;
+        });
+        sinon.stub(Max.User, 'clearSession', function(reason) {
+            expect(reason).toEqual(Max.Error.SESSION_EXPIRED);
+            expect(refreshStub.calledOnce).toEqual(true);
+            Max.Cookie.remove('magnet-max-refresh-token');
+            Max.MMXClient.connect.restore();
+            Max.User.clearSession.restore();
+            Max.User.refreshSession.restore();
+            done();
+        });
+        Max.MMXClient.reconnect();
+    });
+
+    it('should fail after the maximum number of attempts', function(done) {
+        var connectStub = stubConnect(['connection failed', 'connection failed', 'connection failed']);
+        Max.on('connection-state', function(state, info) {
+            if (state !== Max.ConnectionState.FAILED) return;
+            expect(info.reason).toEqual('maximum reconnect attempts reached');
+            expect(connectStub.callCount).toEqual(3);
+            Max.unbind('connection-state');
+            Max.MMXClient.connect.restore();
+            done();
+        });
+        Max.MMXClient.reconnect();
+    });
+
+    it('should wait until the browser is online', function(done) {
+        var offline = true;
+        var offlineStub = sinon.stub(Max.RequestQueue, 'isOffline', function() {
+            return offline;
+        });
+        var connectStub = stubConnect([]);
+        Max.MMXClient.reconnect();
+        expect(connectStub.called).toEqual(false);
+        expect(Max.MMXClient.getState()).toEqual(Max.ConnectionState.DISCONNECTED);
+        offline = false;
+        window.dispatchEvent(new Event('online'));
+        expect(connectStub.calledOnce).toEqual(true);
+        Max.RequestQueue.isOffline.restore();
+        Max.MMXClient.connect.restore();
+        done();
+    });
+
+});
+
+describe('MMXClient transport', function() {
+    var baseUrl, mmxHost;
+
+    beforeEach(function() {
+        baseUrl = Max.Config.baseUrl;
+        mmxHost = Max.Config.mmxHost;
+        Max.setUser({
+            userId: 'test-user-id'
+        });
+        Max.setDevice({});
+        Max.setConnection(null);
+        Max.MMXClient.connectionEmitter = null;
+        Max.Config.mmxHost = 'localhost';
+        Max.Config.baseUrl = 'http://localhost:7777/api';
+    });
+
+    afterEach(function() {
+        Max.Config.baseUrl = baseUrl;
+        Max.Config.mmxHost = mmxHost;
+        Max.Config.xmppTransport = 'auto';
+        Max.Config.websocketEnabled = false;
+        Max.MMXClient.websocketFailed = false;
+        Max.setUser(null);
+        Max.setDevice(null);
+        Max.setConnection(null);
+        Max.MMXClient.connectionEmitter = null;
+    });
+
+    it('should build the service url of each transport', function(done) {
+        expect(Max.MMXClient.getServiceUrl('bosh')).toEqual('http://localhost:7070/http-bind/');
+        expect(Max.MMXClient.getServiceUrl('websocket')).toEqual('ws://localhost:7070/ws/');
+        Max.Config.baseUrl = 'https://sandbox.magnet.com/mobile/api';
+        expect(Max.MMXClient.getServiceUrl('bosh')).toEqual('https://sandbox.magnet.com/http-bind/');
+        expect(Max.MMXClient.getServiceUrl('websocket')).toEqual('wss://sandbox.magnet.com/ws/');
+        done();
+    });
+
+    it('should prefer the configured transport over the server config', function(done) {
+        if (typeof WebSocket === 'undefined') return done();
+        expect(Max.MMXClient.getTransport()).toEqual('bosh');
+        Max.Config.websocketEnabled = true;
+        expect(Max.MMXClient.getTransport()).toEqual('websocket');
+        Max.Config.xmppTransport = 'bosh';
+        expect(Max.MMXClient.getTransport()).toEqual('bosh');
+        Max.Config.websocketEnabled = false;
+        Max.Config.xmppTransport = 'websocket';
+        expect(Max.MMXClient.getTransport()).toEqual('websocket');
+        done();
+    });
+
+    it('should support the SASL mechanism over WebSocket', function(done) {
+        var conn = new Strophe.Connection(Max.MMXClient.getServiceUrl('websocket'));
+        expect(conn._proto instanceof Strophe.Websocket).toEqual(true);
+        expect(conn.mechanisms['X-MMX_BF_OAUTH2']).toEqual(Max.saslBFAuth);
+        done();
+    });
+
+    it('should fall back to BOSH if the WebSocket handshake fails', function(done) {
+        if (typeof WebSocket === 'undefined') return done();
+        var services = [];
+        Max.Config.xmppTransport = 'websocket';
+        var connectStub = sinon.stub(Strophe.Connection.prototype, 'connect', function(jid, token, cb) {
+            services.push(this.service);
+            if (this.service.indexOf('ws') === 0) {
+                cb(Strophe.Status.CONNECTING);
+                cb(Strophe.Status.CONNFAIL, 'The WebSocket connection could not be established or was disconnected.');
+                cb(Strophe.Status.DISCONNECTED);
+            } else {
+                cb(Strophe.Status.CONNECTED);
+            }
+        });
+        var sendStub = sinon.stub(Strophe.Connection.prototype, 'send');
+        expect(Max.MMXClient.getTransport()).toEqual('websocket');
+        Max.MMXClient.connect('test-user-id', 'test-access-token').success(function() {
+            expect(services).toEqual(['ws://localhost:7070/ws/', 'http://localhost:7070/http-bind/']);
+            expect(Max.MMXClient.getTransport()).toEqual('bosh');
+            expect(Max.MMXClient.getState()).toEqual(Max.ConnectionState.CONNECTED);
+            Strophe.Connection.prototype.connect.restore();
+            Strophe.Connection.prototype.send.restore();
+            done();
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            Strophe.Connection.prototype.connect.restore();
+            Strophe.Connection.prototype.send.restore();
+            done();
+        });
+    });
+
+});
+
+describe('MMXClient stream management', function() {
+    var NS = 'urn:xmpp:sm:3';
+
+    function features(supported) {
+        var elem = $build('stream:features');
+        if (supported) elem.c('sm', {xmlns: NS});
+        return elem.tree();
+    }
+
+    function createConnection() {
+        var conn = {
+            jid: 'test-user-id%test-app-id@mmx/device1',
+            sent: [],
+            handlers: [],
+            _queueData: function(elem) {
+                this.sent.push(elem);
+            },
+            send: function(elem) {
+                this._queueData(elem.tree ? elem.tree() : elem);
+            },
+            _addSysHandler: function(fn, ns, name) {
+                this.handlers.push({fn: fn, ns: ns, name: name});
+            },
+            _sasl_auth1_cb: jasmine.createSpy('bind'),
+            _changeConnectStatus: jasmine.createSpy('status')
+        };
+        conn.receive = function(elem) {
+            elem = elem.tree();
+            conn.handlers.slice().forEach(function(handler) {
+                if (handler.ns && handler.ns != elem.getAttribute('xmlns')) return;
+                if (handler.name && handler.name != elem.nodeName) return;
+                if (!handler.fn(elem)) conn.handlers.splice(conn.handlers.indexOf(handler), 1);
+            });
+        };
+        conn.lastSent = function() {
+            return conn.sent[conn.sent.length - 1];
+        };
+        return conn;
+    }
+
+    function enabledConnection() {
+        var conn = createConnection();
+        conn.features = features(true);
+        Max.StreamManagement.attach(conn);
+        Max.StreamManagement.enable(conn);
+        conn.receive($build('enabled', {xmlns: NS, id: 'stream-1', resume: 'true'}));
+        return conn;
+    }
+
+    beforeEach(function() {
+        Max.StreamManagement.reset();
+    });
+
+    afterEach(function() {
+        Max.StreamManagement.reset();
+    });
+
+    it('should enable stream management and acknowledge received stanzas', function(done) {
+        var conn = enabledConnection();
+        expect(conn.sent[0].nodeName).toEqual('enable');
+        expect(conn.sent[0].getAttribute('resume')).toEqual('true');
+        expect(Max.StreamManagement.id).toEqual('stream-1');
+        conn.receive($msg({to: 'test-user-id%test-app-id@mmx'}));
+        conn.receive($msg({to: 'test-user-id%test-app-id@mmx'}));
+        conn.receive($build('r', {xmlns: NS}));
+        expect(conn.lastSent().nodeName).toEqual('a');
+        expect(conn.lastSent().getAttribute('h')).toEqual('2');
+        done();
+    });
+
+    it('should keep sent stanzas until they are acknowledged', function(done) {
+        var conn = enabledConnection();
+        conn.send($msg({id: 'm1'}));
+        conn.send($msg({id: 'm2'}));
+        conn.send($msg({id: 'm3'}));
+        expect(Max.StreamManagement.queue.length).toEqual(3);
+        conn.receive($build('a', {xmlns: NS, h: 2}));
+        expect(Max.StreamManagement.queue.length).toEqual(1);
+        expect(Max.StreamManagement.queue[0].getAttribute('id')).toEqual('m3');
+        done();
+    });
+
+    it('should request a single acknowledgement for the stanzas sent in the same tick', function(done) {
+        var conn = enabledConnection();
+        conn.send($msg({id: 'm1'}));
+        conn.send($msg({id: 'm2'}));
+        conn.send($msg({id: 'm3'}));
+        expect(conn.lastSent().nodeName).toEqual('message');
+        setTimeout(function() {
+            var requests = conn.sent.filter(function(elem) {
+                return elem.nodeName == 'r';
+            });
+            expect(requests.length).toEqual(1);
+            expect(conn.lastSent().nodeName).toEqual('r');
+            conn.send($msg({id: 'm4'}));
+            setTimeout(function() {
+                expect(conn.lastSent().nodeName).toEqual('r');
+                expect(conn.sent.length).toEqual(7);
+                done();
+            }, 0);
+        }, 0);
+    });
+
+    it('should leave the connection unchanged if it does not provide the stream management hooks', function(done) {
+        var conn = createConnection();
+        var queueData = conn._queueData;
+        delete conn._sasl_auth1_cb;
+        conn.features = features(true);
+        expect(Max.StreamManagement.attach(conn)).toEqual(false);
+        expect(conn._queueData).toBe(queueData);
+        expect(conn.handlers.length).toEqual(0);
+        Max.StreamManagement.enable(conn);
+        conn.send($msg({id: 'm1'}));
+        expect(conn.sent.length).toEqual(1);
+        expect(Max.StreamManagement.enabled).toEqual(false);
+        expect(Max.StreamManagement.queue.length).toEqual(0);
+        done();
+    });
+
+    it('should not enable stream management if the server does not support it', function(done) {
+        var conn = createConnection();
+        conn.features = features(false);
+        Max.StreamManagement.attach(conn);
+        Max.StreamManagement.enable(conn);
+        conn.send($msg({id: 'm1'}));
+        expect(conn.sent.length).toEqual(1);
+        expect(Max.StreamManagement.enabled).toEqual(false);
+        expect(Max.StreamManagement.queue.length).toEqual(0);
+        done();
+    });
+
+    it('should resume the session and resend unacknowledged stanzas', function(done) {
+        var conn = enabledConnection();
+        conn.receive($msg({to: 'test-user-id%test-app-id@mmx'}));
+        conn.send($msg({id: 'm1'}));
+        conn.send($msg({id: 'm2'}));
+
+        var conn2 = createConnection();
+        var bind = conn2._sasl_auth1_cb;
+        conn2.jid = 'test-user-id%test-app-id@mmx';
+        Max.StreamManagement.attach(conn2);
+        conn2._sasl_auth1_cb(features(true));
+        expect(bind).not.toHaveBeenCalled();
+        expect(conn2.lastSent().nodeName).toEqual('resume');
+        expect(conn2.lastSent().getAttribute('previd')).toEqual('stream-1');
+        expect(conn2.lastSent().getAttribute('h')).toEqual('1');
+
+        conn2.receive($build('resumed', {xmlns: NS, previd: 'stream-1', h: 1}));
+        expect(conn2.jid).toEqual('test-user-id%test-app-id@mmx/device1');
+        expect(conn2.authenticated).toEqual(true);
+        expect(conn2._changeConnectStatus).toHaveBeenCalledWith(Strophe.Status.CONNECTED, 'resumed');
+        expect(conn2.sent[1].getAttribute('id')).toEqual('m2');
+        expect(Max.StreamManagement.queue.length).toEqual(1);
+        done();
+    });
+
+    it('should bind a new session and resend unacknowledged stanzas if the session cannot be resumed', function(done) {
+        var conn = enabledConnection();
+        conn.send($msg({id: 'm1'}));
+
+        var conn2 = createConnection();
+        var bind = conn2._sasl_auth1_cb;
+        Max.StreamManagement.attach(conn2);
+        conn2.features = features(true);
+        conn2._sasl_auth1_cb(conn2.features);
+        conn2.receive($build('failed', {xmlns: NS}));
+        expect(bind).toHaveBeenCalledWith(conn2.features);
+
+        Max.StreamManagement.enable(conn2);
+        expect(conn2.sent[1].nodeName).toEqual('enable');
+        expect(conn2.sent[2].getAttribute('id')).toEqual('m1');
+        expect(Max.StreamManagement.queue.length).toEqual(1);
+        done();
+    });
+
+    it('should not resume the session after a disconnect', function(done) {
+        enabledConnection();
+        Max.setConnection(null);
+        Max.MMXClient.disconnect();
+        expect(Max.StreamManagement.id).toEqual(null);
+        done();
+    });
+
+});
+
+describe('MMXClient sendIQ', function() {
+    var sendSpy, deleteSpy, handler, iqTimeout;
+
+    function respond(xmlStr) {
+        handler(Max.Utils.getValidXML(xmlStr).documentElement);
+    }
+
+    beforeEach(function() {
+        iqTimeout = Max.Config.iqTimeout;
+        sendSpy = sinon.spy();
+        deleteSpy = sinon.spy();
+        Max.setConnection({
+            addHandler: function(cb) {
+                handler = cb;
+                return 'handler-ref';
+            },
+            deleteHandler: deleteSpy,
+            send: sendSpy,
+            connected: true
+        });
+    });
+
+    afterEach(function() {
+        Max.Config.iqTimeout = iqTimeout;
+        Max.setConnection(null);
+    });
+
+    it('should send the stanza and resolve with the mmx payload', function(done) {
+        var iq = $iq({type: 'get'}).c('mmx', {xmlns: 'com.magnet:pubsub', command: 'getTags'}, '{}');
+        Max.sendIQ(iq).success(function(payload, json) {
+            expect(payload.tags).toEqual(['tag1']);
+            expect(json._type).toEqual('result');
+            expect(deleteSpy.calledWith('handler-ref')).toEqual(true);
+            done();
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+        expect(sendSpy.calledOnce).toEqual(true);
+        expect(sendSpy.args[0][0].getAttribute('id')).toBeTruthy();
+        respond('<iq type="result"><mmx xmlns="com.magnet:pubsub">{"tags":["tag1"]}</mmx></iq>');
+    });
+
+    it('should reject with an error stanza', function(done) {
+        Max.MMXClient.sendIQ($iq({type: 'set', id: 'iq1'})).success(function() {
+            expect('failed-test').toEqual(false);
+            done();
+        }).error(function(e) {
+            expect(e instanceof Max.XMPPError).toEqual(true);
+            expect(e.code).toEqual(Max.Error.FORBIDDEN);
+            expect(e.stanzaId).toEqual('iq1');
+            done();
+        });
+        respond('<iq type="error" id="iq1"><error type="auth" code="403"><forbidden/></error></iq>');
+    });
+
+    it('should reject with an mmx error payload', function(done) {
+        Max.MMXClient.sendIQ($iq({type: 'set', id: 'iq1'})).success(function() {
+            expect('failed-test').toEqual(false);
+            done();
+        }).error(function(e) {
+            expect(e.code).toEqual(Max.Error.NOT_FOUND);
+            expect(e.message).toEqual('topic not found');
+            done();
+        });
+        respond('<iq type="error" id="iq1"><mmx xmlns="com.magnet:pubsub">' +
+            '{"code":404,"message":"topic not found"}</mmx></iq>');
+    });
+
+    it('should time out and remove its handler', function(done) {
+        Max.Config.iqTimeout = 10;
+        Max.MMXClient.sendIQ($iq({type: 'get'})).success(function() {
+            expect('failed-test').toEqual(false);
+            done();
+        }).error(function(e) {
+            expect(e.code).toEqual(Max.Error.REQUEST_TIMEOUT);
+            expect(e.retriable).toEqual(true);
+            expect(deleteSpy.calledWith('handler-ref')).toEqual(true);
+            done();
+        });
+    });
+
+    it('should fail if not connected', function(done) {
+        Max.setConnection(null);
+        Max.MMXClient.sendIQ($iq({type: 'get'})).success(function() {
+            expect('failed-test').toEqual(false);
+            done();
+        }).error(function(e) {
+            expect(e.code).toEqual(Max.Error.NOT_CONNECTED);
+            done();
+        });
+    });
+    it('should settle a response received on a new connection after a reconnect', function(done) {
+        var newHandler;
+        Max.sendIQ($iq({type: 'get', id: 'iq-reconnect'})).success(function(payload, json) {
+            expect(json._id).toEqual('iq-reconnect');
+            expect(deleteSpy.calledWith('handler-ref')).toEqual(true);
+            done();
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+
+        Max.setConnection({
+            addHandler: function(cb) {
+                newHandler = cb;
+            },
+            connected: true
+        });
+        Max.PendingResponses.attach(Max.getConnection());
+        newHandler(Max.Utils.getValidXML('<iq type="result" id="iq-reconnect"/>').documentElement);
+    });
+
+});
+
+describe('MMXClient getBaredJid', function() {
+
+    it('should return a bared Jid', function (done) {
+        Max.App.appId = 'test-app-id';
+        Max.Config.mmxDomain = 'mmx';
+        var uid = 'test-user-id';
+        expect(Max.MMXClient.getBaredJid(uid)).toEqual('test-user-id%test-app-id@mmx');
+        done();
+    });
+
+});
+
+describe('Message', function() {
+
+    it('should instantiate a new Message object', function (done) {
+        var testUserId = 'test-user-id-1';
+        var messageContent = 'test-message';
+        Max.setUser({
+            userId: testUserId
+        });
+        var content = {
+            my: messageContent
+        };
+        var recipients = [{
+            userName: 'userName1',
+            userId: testUserId
+        }, {
+            userName: 'userName2',
+            userId: 'test-user-id-2'
+        }];
+        var msg = new Max.Message(content, recipients);
+        expect(msg.recipients.length).toEqual(2);
+        expect(msg.recipients[0].userId).toEqual(testUserId);
+        expect(msg.messageContent.my).toEqual(messageContent);
+        done();
+    });
+
+    it('should instantiate a new Message object with single recipient', function (done) {
+        var testUserId = 'test-user-id-1';
+        var messageContent = 'test-message';
+        Max.setUser({
+            userId: testUserId
+        });
+        var content = {
+            my: messageContent
+        };
+        var recipient = {
+            userName: 'userName1',
+            userId: testUserId
+        };
+        var msg = new Max.Message(content, recipient);
+        expect(msg.recipients.length).toEqual(1);
+        expect(msg.recipients[0].userId).toEqual(testUserId);
+        expect(msg.messageContent.my).toEqual(messageContent);
+        done();
+    });
+
+});
+
+describe('Message formatEvent', function() {
+
+    it('should parse an incoming message', function (done) {
+        Max.App.hatCredentials = {
+            access_token: 'test-access-token'
+        };
+        var fromUid = '402881295313de0d015315c820bc0004';
+        var attachmentMeta = {
+            _attachments: [{"mimeType":"text/plain","senderId":"test-id","attachmentId":"test-attachment-id"}]
+        };
+        var channelName = '1456521126999';
+        var channelOwnerUid = '402881295313de0d015315c820bc0004';
+        var msgText = {
+            "event": {
+                "items": {
+                    "item": {
+                        "mmx": {
+                            "mmxmeta": "{\"From\":{\"userId\":\""+fromUid+"\",\"devId\":\"js-680a5326-ffbb-42e5-82a1-b81122fbfb8a\",\"displayName\":\"web@magnet.com\"}}",
+                            "meta": JSON.stringify(attachmentMeta),
+                            "payload": {
+                                "_mtype": "unknown",
+                                "_stamp": "2016-03-02T04:54:50Z",
+                                "_chunk": "0/0/0"
+                            },
+                            "_xmlns": "com.magnet:msg:payload"
+                        },
+                        "_id": "3b22786f64a241d3c322fdc24bda98db"
+                    },
+                    "_node": "/gmbil1ewswo/" + channelOwnerUid + "/" + channelName
+                },
+                "_xmlns": "http://jabber.org/protocol/pubsub#event"
+            },
+            "headers": {
+                "header": {
+                    "_name": "SubID",
+                    "__text": "1NMwX0i5PB46C5rMdJ7SmHgR5KeQiN0ycJnu4cHC"
+                },
+                "_xmlns": "http://jabber.org/protocol/shim"
+            },
+            "_xmlns": "jabber:client",
+            "_from": "pubsub.mmx",
+            "_to": "402881295313de0d015315c820bc0004%gmbil1ewswo@mmx",
+            "_id": "/gmbil1ewswo/402881295313de0d015315c820bc0004/1456521126999__402881295313de0d015315c820bc0004%gmbil1ewswo@mmx__53yFQ"
+        };
+        var getChannelStub = sinon.stub(Max.Channel, 'getChannel', function() {
+            var d = new Max.Deferred();
+            setTimeout(function() {
+                d.resolve(new Max.Channel({
+                    "isCollection": false,
+                    "description": "",
+                    "isPersistent": true,
+                    "maxItems": -1,
+                    "maxPayloadSize": 2097152,
+                    "creationDate": "2016-02-26T21:27:23.014Z",
+                    "modificationDate": "2016-02-26T21:27:23.015Z",
+                    "publisherType": "subscribers",
+                    "creator": channelOwnerUid,
+                    "subscriptionEnabled": true,
+                    "topicName": channelName,
+                    "privateChannel": true
+                }));
+            }, 0);
+            return d.promise;
+        });
+        Max.Message.formatEvent(msgText, null, function(e, msg) {
+            expect(msg.receivedMessage).toEqual(true);
+            expect(msg.sender.userId).toEqual(fromUid);
+            expect(msg.attachments).not.toBeUndefined();
+            expect(msg.channel).not.toBeUndefined();
+            expect(msg.channel.name).toEqual(channelName);
+            expect(msg.channel.userId).toEqual(channelOwnerUid);
+            expect(msg.channel.isPublic).toEqual(false);
+            Max.Channel.getChannel.restore();
+            done();
+        });
+    });
+
+    it('should parse an incoming invitation', function (done) {
+        Max.App.hatCredentials = {
+            access_token: 'test-access-token'
+        };
+        var comment = 'hello dude';
+        var fromUid = '402881295313de0d015315c820bc0004';
+        var attachmentMeta = '{"text":"'+comment+'","channelSummary":" ","channelName":"myprivfirstuser","channelIsPublic":"false","channelOwnerId":"4028ba815381b6db01539b6d35760041","channelPublishPermissions":"subscribers","channelCreationDate":"2016-03-21T23:05:39.664Z"}';
+        var channelName = '1456521126999';
+        var channelOwnerUid = '402881295313de0d015315c820bc0004';
+        var msgText = {
+            "event": {
+                "items": {
+                    "item": {
+                        "mmx": {
+                            "mmxmeta": "{\"From\":{\"userId\":\"" + fromUid + "\",\"devId\":\"js-680a5326-ffbb-42e5-82a1-b81122fbfb8a\",\"displayName\":\"web@magnet.com\"}}",
+                            "meta": attachmentMeta,
+                            "payload": {
+                                "_mtype": Max.MessageType.INVITATION,
+                                "_stamp": "2016-03-02T04:54:50Z",
+                                "_chunk": "0/0/0"
+                            },
+                            "_xmlns": "com.magnet:msg:payload"
+                        },
+                        "_id": "3b22786f64a241d3c322fdc24bda98db"
+                    },
+                    "_node": "/gmbil1ewswo/" + channelOwnerUid + "/" + channelName
+                },
+                "_xmlns": "http://jabber.org/protocol/pubsub#event"
+            },
+            "headers": {
+                "header": {
+                    "_name": "SubID",
+                    "__text": "1NMwX0i5PB46C5rMdJ7SmHgR5KeQiN0ycJnu4cHC"
+                },
+                "_xmlns": "http://jabber.org/protocol/shim"
+            },
+            "_xmlns": "jabber:client",
+            "_from": "pubsub.mmx",
+            "_to": "402881295313de0d015315c820bc0004%gmbil1ewswo@mmx",
+            "_id": "/gmbil1ewswo/402881295313de0d015315c820bc0004/1456521126999__402881295313de0d015315c820bc0004%gmbil1ewswo@mmx__53yFQ"
+        };
+        var getChannelStub = sinon.stub(Max.Channel, 'getChannel', function() {
+            var d = new Max.Deferred();
+            setTimeout(function() {
+                d.resolve(new Max.Channel({
+                    "isCollection": false,
+                    "description": "",
+                    "isPersistent": true,
+                    "maxItems": -1,
+                    "maxPayloadSize": 2097152,
+                    "creationDate": "2016-02-26T21:27:23.014Z",
+                    "modificationDate": "2016-02-26T21:27:23.015Z",
+                    "publisherType": "subscribers",
+                    "creator": channelOwnerUid,
+                    "subscriptionEnabled": true,
+                    "topicName": channelName,
+                    "privateChannel": true
+                }));
+            }, 0);
+            return d.promise;
+        });
+        Max.Message.formatEvent(msgText, null, function(e, msg) {
             expect(msg.receivedMessage).toBeUndefined();
             expect(msg.sender.userId).toEqual(fromUid);
             expect(msg.attachments).toBeUndefined();
@@ -735,7 +1407,50 @@ describe('Message send', function() {
         var sendSpy = sinon.spy();
         var connStub = {
             addHandler: function(cb) {
-                msg.msgId = testMsgId;
+                testMsgId = msg.msgId;
+                var xmlStr = "<mmx xmlns='com.magnet:msg:signal'>\
+                    <mmxmeta>{&quot;endack&quot;:{&quot;errorCode&quot;:&quot;NO_ERROR&quot;,&quot;ackForMsgId&quot;:&quot;" + testMsgId + "&quot;,&quot;sender&quot;:\
+                    {&quot;devId&quot;:&quot;js-34410bb7-c1f5-43f8-9620-c2a4ab3607bc&quot;,&quot;\
+                    userId&quot;:&quot;4028ba815381b6db01539b6d35760041&quot;},&quot;badReceivers&quot;:[]}}\
+                    </mmxmeta>\
+                </mmx>";
+                var xml = Max.Utils.getValidXML(xmlStr);
+                cb(xml);
+            },
+            send: sendSpy,
+            connected: true
+        };
+        Max.setConnection(connStub);
+        msg.send().success(function(msgId) {
+            expect(msg.msgId).toEqual(msgId);
+            expect(sendSpy.calledOnce).toEqual(true);
+            done();
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+    });
+
+    it('should send a message with attachment', function(done) {
+        Max.setUser({
+            userId: testUserId
+        });
+        var content = {
+            my: messageContent
+        };
+        var recipients = [{
+            userName: 'userName1',
+            userId: testUserId
+        }];
+        var mockFile = {
+            type: 'text/plain'
+        };
+        var msg = new Max.Message(content, recipients, mockFile);
+        var testMsgId = Max.Utils.getCleanGUID();
+        var sendSpy = sinon.spy();
+        var connStub = {
+            addHandler: function(cb) {
+                testMsgId = msg.msgId;
                 var xmlStr = "<mmx xmlns='com.magnet:msg:signal'>\
                     <mmxmeta>{&quot;endack&quot;:{&quot;errorCode&quot;:&quot;NO_ERROR&quot;,&quot;ackForMsgId&quot;:&quot;" + testMsgId + "&quot;,&quot;sender&quot;:\
                     {&quot;devId&quot;:&quot;js-34410bb7-c1f5-43f8-9620-c2a4ab3607bc&quot;,&quot;\
@@ -748,70 +1463,121 @@ describe('Message send', function() {
             send: sendSpy,
             connected: true
         };
-        Max.setConnection(connStub);
-        msg.send().success(function(msgId) {
-            expect(msg.msgId).toEqual(msgId);
-            expect(sendSpy.calledOnce).toEqual(true);
+        Max.setConnection(connStub);
+        var oUploader = Max.Uploader;
+        Max.Uploader = function(attachments, cb) {
+            Max.App.hatCredentials = {
+                access_token: 'test-token'
+            };
+            this.messageUpload = function() {
+                var self = this;
+                var uploadDef = new Max.Deferred();
+                setTimeout(function() {
+                    uploadDef
+                        .resolve(self.attachmentRefs);
+                }, 5);
+                return uploadDef.promise;
+            };
+            this.attachmentRefs = [{"mimeType":"text/plain","senderId":"test-id","attachmentId":"test-attachment-id"}];
+            cb(null, this);
+        };
+        msg.send().success(function(msgId) {
+            expect(msg.msgId).toEqual(msgId);
+            expect(sendSpy.calledOnce).toEqual(true);
+            Max.Uploader = oUploader;
+            done();
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            Max.Uploader = oUploader;
+            done();
+        });
+    });
+
+    it('should cancel the upload of message attachments', function(done) {
+        Max.setUser({
+            userId: testUserId
+        });
+        var recipients = [{
+            userName: 'userName1',
+            userId: testUserId
+        }];
+        var msg = new Max.Message({my: messageContent}, recipients, {type: 'text/plain'});
+        var sendSpy = sinon.spy();
+        var uploadCall;
+        Max.setConnection({
+            addHandler: function() {},
+            send: sendSpy,
+            connected: true
+        });
+        var oUploader = Max.Uploader;
+        Max.Uploader = function(attachments, cb) {
+            this.messageUpload = function() {
+                uploadCall = new Max.Call();
+                uploadCall.state = Max.CallState.EXECUTING;
+                uploadCall.cancel = sinon.spy();
+                return uploadCall;
+            };
+            cb(null, this);
+        };
+        msg.addAttachments({type: 'text/plain', name: 'test.txt'});
+        var call = msg.send();
+        call.success(function() {
+            expect('success').toEqual('failed-test');
+            Max.Uploader = oUploader;
             done();
         }).error(function(e) {
-            expect(e).toEqual('failed-test');
+            expect(e.code).toEqual(Max.Error.CANCELLED);
+            expect(uploadCall.cancel.calledOnce).toEqual(true);
+            expect(msg.status).toEqual(Max.MessageStatus.FAILED);
+            expect(sendSpy.called).toEqual(false);
+            Max.Uploader = oUploader;
             done();
         });
+        setTimeout(function() {
+            expect(call.cancel()).toEqual(true);
+        }, 5);
     });
 
-    it('should send a message with attachment', function(done) {
+    it('should report upload progress of message attachments', function(done) {
         Max.setUser({
             userId: testUserId
         });
-        var content = {
-            my: messageContent
-        };
         var recipients = [{
             userName: 'userName1',
             userId: testUserId
         }];
-        var mockFile = {
-            type: 'text/plain'
-        };
-        var msg = new Max.Message(content, recipients, mockFile);
-        var testMsgId = Max.Utils.getCleanGUID();
-        var sendSpy = sinon.spy();
+        var msg = new Max.Message({my: messageContent}, recipients, {type: 'text/plain'});
+        var events = [];
         var connStub = {
             addHandler: function(cb) {
-                msg.msgId = testMsgId;
                 var xmlStr = "<mmx xmlns='com.magnet:msg:signal'>\
-                    <mmxmeta>{&quot;endack&quot;:{&quot;errorCode&quot;:&quot;NO_ERROR&quot;,&quot;ackForMsgId&quot;:&quot;" + testMsgId + "&quot;,&quot;sender&quot;:\
-                    {&quot;devId&quot;:&quot;js-34410bb7-c1f5-43f8-9620-c2a4ab3607bc&quot;,&quot;\
-                    userId&quot;:&quot;4028ba815381b6db01539b6d35760041&quot;},&quot;badReceivers&quot;:[]}}\
+                    <mmxmeta>{&quot;endack&quot;:{&quot;errorCode&quot;:&quot;NO_ERROR&quot;,&quot;ackForMsgId&quot;:&quot;" + msg.msgId + "&quot;,&quot;badReceivers&quot;:[]}}\
                     </mmxmeta>\
                 </mmx>";
-                var xml = Max.Utils.getValidXML(xmlStr);
-                cb(xml);
+                cb(Max.Utils.getValidXML(xmlStr));
             },
-            send: sendSpy,
+            send: function() {},
             connected: true
         };
         Max.setConnection(connStub);
         var oUploader = Max.Uploader;
         Max.Uploader = function(attachments, cb) {
-            Max.App.hatCredentials = {
-                access_token: 'test-token'
-            };
             this.messageUpload = function() {
                 var self = this;
                 var uploadDef = new Max.Deferred();
                 setTimeout(function() {
-                    uploadDef
-                        .resolve(self.attachmentRefs);
+                    uploadDef.notify({direction: 'upload', loaded: 5, total: 10});
+                    uploadDef.resolve(self.attachmentRefs);
                 }, 5);
                 return uploadDef.promise;
             };
             this.attachmentRefs = [{"mimeType":"text/plain","senderId":"test-id","attachmentId":"test-attachment-id"}];
             cb(null, this);
         };
-        msg.send().success(function(msgId) {
-            expect(msg.msgId).toEqual(msgId);
-            expect(sendSpy.calledOnce).toEqual(true);
+        msg.send().progress(function(e) {
+            events.push(e);
+        }).success(function() {
+            expect(events).toEqual([{direction: 'upload', loaded: 5, total: 10}]);
             Max.Uploader = oUploader;
             done();
         }).error(function(e) {
@@ -830,7 +1596,7 @@ describe('Message send', function() {
             expect(res).toEqual('failed-test');
             done();
         }).error(function(e) {
-            expect(e).toEqual('no recipients');
+            expect(e.code).toEqual(Max.Error.NO_RECIPIENTS);
             done();
         });
     });
@@ -849,7 +1615,7 @@ describe('Message send', function() {
             expect(res).toEqual('failed-test');
             done();
         }).error(function(e) {
-            expect(e).toEqual('session expired');
+            expect(e.code).toEqual(Max.Error.SESSION_EXPIRED);
             done();
         });
     });
@@ -870,13 +1636,543 @@ describe('Message send', function() {
             expect(res).toEqual('failed-test');
             done();
         }).error(function(e) {
-            expect(e).toEqual('not connected');
+            expect(e.code).toEqual(Max.Error.NOT_CONNECTED);
+            done();
+        });
+    });
+
+});
+
+
+describe('Message status', function() {
+    var testUserId = 'test-user-id-1';
+    var ackTimeout, handler, sendSpy, deleteSpy;
+
+    function ack(msgId, errorCode, badReceivers) {
+        var xmlStr = "<mmx xmlns='com.magnet:msg:signal'><mmxmeta>" +
+            "{&quot;endack&quot;:{&quot;errorCode&quot;:&quot;" + errorCode + "&quot;,&quot;ackForMsgId&quot;:&quot;" +
+            msgId + "&quot;,&quot;badReceivers&quot;:" +
+            JSON.stringify(badReceivers || []).replace(/"/g, '&quot;') + "}}</mmxmeta></mmx>";
+        return handler(Max.Utils.getValidXML(xmlStr));
+    }
+
+    beforeEach(function() {
+        ackTimeout = Max.Config.messageAckTimeout;
+        sendSpy = sinon.spy();
+        deleteSpy = sinon.spy();
+        Max.setUser({
+            userId: testUserId
+        });
+        Max.setDevice({
+            deviceId: 'test-device-id-1'
+        });
+        Max.setConnection({
+            addHandler: function(cb) {
+                handler = cb;
+                return 'handler-ref';
+            },
+            deleteHandler: deleteSpy,
+            send: sendSpy,
+            connected: true
+        });
+    });
+    afterEach(function() {
+        Max.Config.messageAckTimeout = ackTimeout;
+        Max.setUser(null);
+        Max.setConnection(null);
+    });
+
+    it('should emit the status of the message until it is acknowledged', function(done) {
+        var msg = new Max.Message({my: 'test-message'}, testUserId);
+        var statuses = [];
+        msg.on('status', function(status, info) {
+            statuses.push(status);
+            if (status == Max.MessageStatus.SENT) {
+                expect(info.previousStatus).toEqual(Max.MessageStatus.PENDING);
+                ack(msg.msgId, 'NO_ERROR');
+            }
+        });
+        msg.send().success(function(msgId) {
+            expect(msgId).toEqual(msg.msgId);
+            expect(msg.status).toEqual(Max.MessageStatus.ACKED);
+            expect(statuses).toEqual([Max.MessageStatus.PENDING, Max.MessageStatus.SENT, Max.MessageStatus.ACKED]);
+            done();
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+    });
+
+    it('should fail if the server reports an error', function(done) {
+        var msg = new Max.Message({my: 'test-message'}, testUserId);
+        msg.on('status', function(status) {
+            if (status == Max.MessageStatus.SENT) ack(msg.msgId, 'SERVER_ERROR');
+        });
+        msg.send().success(function() {
+            expect('failed-test').toEqual(false);
+            done();
+        }).error(function(e) {
+            expect(e instanceof Max.MaxError).toEqual(true);
+            expect(e.code).toEqual(Max.Error.DELIVERY_FAILED);
+            expect(e.reason).toEqual('SERVER_ERROR');
+            expect(msg.status).toEqual(Max.MessageStatus.FAILED);
+            done();
+        });
+    });
+
+    it('should resolve with a delivery report if some recipients were not delivered', function(done) {
+        var msg = new Max.Message({my: 'test-message'}, [testUserId, 'test-user-id-2', 'test-user-id-3']);
+        msg.on('status', function(status, info) {
+            if (status == Max.MessageStatus.SENT) ack(msg.msgId, 'INVALID_RECEIVER', [{
+                userId: 'test-user-id-2%test-app-id',
+                errorCode: 'USER_DEACTIVATED',
+                errorMsg: 'user is deactivated'
+            }]);
+            if (status == Max.MessageStatus.ACKED) expect(info.reason).toEqual('partial delivery');
+        });
+        msg.send().success(function(msgId, report) {
+            expect(msgId).toEqual(msg.msgId);
+            expect(report).toEqual(msg.deliveryReport);
+            expect(report.isPartial()).toEqual(true);
+            expect(report.delivered).toEqual([testUserId, 'test-user-id-3']);
+            expect(report.failed).toEqual([{
+                userId: 'test-user-id-2',
+                reason: 'USER_DEACTIVATED',
+                message: 'user is deactivated'
+            }]);
+            done();
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+    });
+
+    it('should reject with a delivery report if no recipient was delivered', function(done) {
+        var msg = new Max.Message({my: 'test-message'}, [testUserId]);
+        msg.on('status', function(status) {
+            if (status == Max.MessageStatus.SENT) ack(msg.msgId, 'INVALID_RECEIVER', [{userId: testUserId}]);
+        });
+        msg.send().success(function() {
+            expect('failed-test').toEqual(false);
+            done();
+        }).error(function(e) {
+            var report = e.report;
+            expect(e.code).toEqual(Max.Error.DELIVERY_FAILED);
+            expect(e.reason).toEqual('INVALID_RECEIVER');
+            expect(e.stanzaId).toEqual(msg.msgId);
+            expect(report).toEqual(msg.deliveryReport);
+            expect(report.delivered).toEqual([]);
+            expect(report.failed[0].userId).toEqual(testUserId);
+            expect(report.failed[0].reason).toEqual('INVALID_RECEIVER');
+            expect(msg.status).toEqual(Max.MessageStatus.FAILED);
+            done();
+        });
+    });
+
+    it('should time out and be retried with the same messageID', function(done) {
+        var msg = new Max.Message({my: 'test-message'}, testUserId);
+        var msgId;
+        Max.Config.messageAckTimeout = 10;
+        msg.send().success(function() {
+            expect('failed-test').toEqual(false);
+            done();
+        }).error(function(e) {
+            expect(e.code).toEqual(Max.Error.REQUEST_TIMEOUT);
+            expect(msg.status).toEqual(Max.MessageStatus.TIMED_OUT);
+            expect(deleteSpy.calledWith('handler-ref')).toEqual(true);
+            msgId = msg.msgId;
+
+            msg.on('status', function(status) {
+                if (status == Max.MessageStatus.SENT) ack(msg.msgId, 'NO_ERROR');
+            });
+            msg.send().success(function(id) {
+                expect(id).toEqual(msgId);
+                expect(sendSpy.calledTwice).toEqual(true);
+                expect(sendSpy.args[1][0].getAttribute('id')).toEqual(msgId);
+                done();
+            }).error(function(e) {
+                expect(e).toEqual('failed-test');
+                done();
+            });
+        });
+    });
+
+    it('should not reuse the messageID of a message which was acknowledged', function(done) {
+        var msg = new Max.Message({my: 'test-message'}, testUserId);
+        var msgId;
+        msg.on('status', function(status) {
+            if (status == Max.MessageStatus.SENT) ack(msg.msgId, 'NO_ERROR');
+        });
+        msg.send().success(function(id) {
+            msgId = id;
+            msg.send().success(function(id) {
+                expect(id).not.toEqual(msgId);
+                done();
+            });
+        });
+    });
+    it('should be acknowledged on a new connection after a reconnect', function(done) {
+        var msg = new Max.Message({my: 'test-message'}, testUserId);
+        Max.Config.messageAckTimeout = 50;
+        msg.on('status', function(status) {
+            var newHandler;
+            if (status != Max.MessageStatus.SENT) return;
+
+            Max.setConnection({
+                addHandler: function(cb) {
+                    newHandler = cb;
+                },
+                connected: true
+            });
+            Max.PendingResponses.attach(Max.getConnection());
+            newHandler(Max.Utils.getValidXML("<message type='chat'><mmx xmlns='com.magnet:msg:signal'><mmxmeta>" +
+                "{&quot;endack&quot;:{&quot;errorCode&quot;:&quot;NO_ERROR&quot;,&quot;ackForMsgId&quot;:&quot;" +
+                msg.msgId + "&quot;,&quot;badReceivers&quot;:[]}}</mmxmeta></mmx></message>").documentElement);
+        });
+        msg.send().success(function(msgId) {
+            expect(msgId).toEqual(msg.msgId);
+            expect(deleteSpy.calledWith('handler-ref')).toEqual(true);
+            setTimeout(function() {
+                expect(msg.status).toEqual(Max.MessageStatus.ACKED);
+                done();
+            }, 60);
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+    });
+
+});
+
+describe('Message receipts', function() {
+    var sendSpy, deliveryReceipts;
+
+    function receivedMessage() {
+        var msg = new Max.Message({my: 'test-message'});
+        msg.receivedMessage = true;
+        msg.messageID = 'test-msg-id';
+        msg.sender = new Max.User({userId: 'test-user-id-2'});
+        msg.meta = {from: 'test-user-id-2%test-app-id@mmx/test-device-id-2'};
+        return msg;
+    }
+
+    beforeEach(function() {
+        deliveryReceipts = Max.Config.deliveryReceipts;
+        sendSpy = sinon.spy();
+        Max.setUser({
+            userId: 'test-user-id-1',
+            jid: 'test-user-id-1%test-app-id@mmx/test-device-id-1'
+        });
+        Max.setConnection({
+            addHandler: function(cb) {
+                return cb;
+            },
+            send: sendSpy,
+            connected: true
+        });
+    });
+    afterEach(function() {
+        Max.Config.deliveryReceipts = deliveryReceipts;
+        Max.setUser(null);
+        Max.setConnection(null);
+    });
+
+    it('should send a read receipt to the sender', function(done) {
+        receivedMessage().markRead().success(function(res) {
+            var elem = sendSpy.args[0][0];
+            expect(res).toEqual('ok');
+            expect(elem.getAttribute('to')).toEqual('test-user-id-2%test-app-id@mmx');
+            expect(elem.firstChild.nodeName).toEqual('displayed');
+            expect(elem.firstChild.getAttribute('xmlns')).toEqual('urn:xmpp:chat-markers:0');
+            expect(elem.firstChild.getAttribute('id')).toEqual('test-msg-id');
+            done();
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+    });
+
+    it('should send a delivered receipt to the sender', function(done) {
+        receivedMessage().markDelivered().success(function() {
+            var elem = sendSpy.args[0][0];
+            expect(elem.firstChild.nodeName).toEqual('received');
+            expect(elem.firstChild.getAttribute('xmlns')).toEqual('urn:xmpp:receipts');
+            expect(elem.firstChild.getAttribute('id')).toEqual('test-msg-id');
+            done();
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+    });
+
+    it('should not send a receipt for a message which was not received', function(done) {
+        new Max.Message({my: 'test-message'}, 'test-user-id-2').markRead().success(function() {
+            expect('failed-test').toEqual(false);
+            done();
+        }).error(function(e) {
+            expect(e.code).toEqual(Max.Error.INVALID_MESSAGE_ID);
+            expect(sendSpy.called).toEqual(false);
+            done();
+        });
+    });
+
+    it('should automatically acknowledge a message requesting a receipt', function(done) {
+        var xml = Max.Utils.getValidXML("<message type='chat' id='test-msg-id' " +
+            "from='test-user-id-2%test-app-id@mmx/test-device-id-2'><mmx xmlns='com.magnet:msg:payload'></mmx>" +
+            "<request xmlns='urn:xmpp:receipts'/></message>").documentElement;
+        Max.MessageReceipt.acknowledge(xml);
+        expect(sendSpy.calledOnce).toEqual(true);
+        expect(sendSpy.args[0][0].firstChild.getAttribute('id')).toEqual('test-msg-id');
+        Max.Config.deliveryReceipts = false;
+        Max.MessageReceipt.acknowledge(xml);
+        expect(sendSpy.calledOnce).toEqual(true);
+        done();
+    });
+
+    it('should pass received receipts to the receipt handler of a listener', function(done) {
+        var xml = Max.Utils.getValidXML("<message type='chat' from='test-user-id-2%test-app-id@mmx/test-device-id-2'>" +
+            "<displayed xmlns='urn:xmpp:chat-markers:0' id='test-msg-id'/>" +
+            "<delay xmlns='urn:xmpp:delay' stamp='2016-03-05T20:06:37.938Z'/></message>").documentElement;
+        var listener = new Max.EventListener('test-receipt-listener', {
+            message: function() {
+                expect('failed-test').toEqual(false);
+                done();
+            },
+            receipt: function(receipt) {
+                expect(receipt.type).toEqual(Max.ReceiptType.READ);
+                expect(receipt.messageID).toEqual('test-msg-id');
+                expect(receipt.user.userId).toEqual('test-user-id-2');
+                expect(receipt.timestamp.getFullYear()).toEqual(2016);
+                Max.unregisterListener(listener);
+                done();
+            }
+        });
+        Max.registerListener(listener);
+        Max.getStore()[listener.id](xml);
+    });
+
+});
+
+describe('Message chat states', function() {
+    var sendSpy;
+
+    beforeEach(function() {
+        sendSpy = sinon.spy();
+        Max.setUser({
+            userId: 'test-user-id-1',
+            jid: 'test-user-id-1%test-app-id@mmx/test-device-id-1'
+        });
+        Max.setConnection({
+            addHandler: function(cb) {
+                return cb;
+            },
+            send: sendSpy,
+            connected: true
+        });
+    });
+    afterEach(function() {
+        Max.setUser(null);
+        Max.setConnection(null);
+    });
+
+    it('should send a chat state to each recipient and throttle repeated chat states', function(done) {
+        var recipients = ['test-user-id-1', 'chat-state-user-2', new Max.User({userId: 'chat-state-user-3'})];
+        Max.Message.sendChatState(recipients, Max.ChatState.COMPOSING).success(function(res) {
+            var elem = sendSpy.args[0][0];
+            expect(res).toEqual('ok');
+            expect(sendSpy.calledTwice).toEqual(true);
+            expect(elem.getAttribute('to')).toEqual(Max.MMXClient.getBaredJid('chat-state-user-2'));
+            expect(elem.firstChild.nodeName).toEqual('composing');
+            expect(elem.firstChild.getAttribute('xmlns')).toEqual('http://jabber.org/protocol/chatstates');
+
+            Max.Message.sendChatState(recipients, Max.ChatState.COMPOSING).success(function(res) {
+                expect(res).toEqual('throttled');
+                expect(sendSpy.calledTwice).toEqual(true);
+
+                Max.Message.sendChatState(recipients, Max.ChatState.PAUSED).success(function(res) {
+                    expect(res).toEqual('ok');
+                    expect(sendSpy.callCount).toEqual(4);
+                    done();
+                });
+            });
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+    });
+
+    it('should fail to send an invalid chat state', function(done) {
+        Max.Message.sendChatState('chat-state-user-4', 'typing').success(function() {
+            expect('failed-test').toEqual(false);
+            done();
+        }).error(function(e) {
+            expect(e.code).toEqual(Max.Error.INVALID_CHAT_STATE);
+            expect(sendSpy.called).toEqual(false);
+            done();
+        });
+    });
+
+    it('should pass chat states to the chat state handler of a listener', function(done) {
+        var xml = Max.Utils.getValidXML("<message type='chat' from='test-user-id-2%test-app-id@mmx/test-device-id-2'>" +
+            "<composing xmlns='http://jabber.org/protocol/chatstates'/><thread>test-channel-id</thread></message>")
+            .documentElement;
+        var listener = new Max.EventListener('test-chat-state-listener', {
+            message: function() {
+                expect('failed-test').toEqual(false);
+                done();
+            },
+            chatState: function(event) {
+                expect(event.state).toEqual(Max.ChatState.COMPOSING);
+                expect(event.user.userId).toEqual('test-user-id-2');
+                expect(event.channelId).toEqual('test-channel-id');
+                expect(event.timestamp instanceof Date).toEqual(true);
+                Max.unregisterListener(listener);
+                done();
+            }
+        });
+        Max.registerListener(listener);
+        Max.getStore()[listener.id](xml);
+    });
+
+    it('should not format a chat state as a message', function(done) {
+        var msgText = {
+            _type: 'chat',
+            _from: 'test-user-id-2%test-app-id@mmx/test-device-id-2',
+            paused: {
+                _xmlns: 'http://jabber.org/protocol/chatstates'
+            }
+        };
+        Max.Message.formatEvent(msgText, null, function(e, msg) {
+            expect(msg).toBeUndefined();
             done();
         });
     });
 
 });
 
+describe('Max presence', function() {
+    var sendSpy;
+
+    beforeEach(function() {
+        sendSpy = sinon.spy();
+        Max.setUser({
+            userId: 'test-user-id-1',
+            jid: 'test-user-id-1%test-app-id@mmx/test-device-id-1'
+        });
+        Max.setConnection({
+            addHandler: function(cb) {
+                return cb;
+            },
+            send: sendSpy,
+            connected: true
+        });
+    });
+    afterEach(function() {
+        Max.Presence.reset();
+        Max.setUser(null);
+        Max.setConnection(null);
+    });
+
+    it('should set the presence status and status text of the current user', function(done) {
+        Max.setPresence(Max.PresenceStatus.AWAY, 'In a meeting').success(function(res) {
+            var elem = sendSpy.args[0][0];
+            expect(res).toEqual('ok');
+            expect(elem.nodeName).toEqual('presence');
+            expect(elem.getElementsByTagName('show')[0].textContent).toEqual('away');
+            expect(elem.getElementsByTagName('status')[0].textContent).toEqual('In a meeting');
+
+            Max.setPresence(Max.PresenceStatus.OFFLINE).success(function() {
+                expect(sendSpy.args[1][0].getAttribute('type')).toBeNull();
+                expect(sendSpy.args[1][0].getElementsByTagName('show')[0].textContent).toEqual('xa');
+                done();
+            });
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+    });
+
+    it('should fail to set an invalid presence status', function(done) {
+        Max.setPresence('busy').success(function() {
+            expect('failed-test').toEqual(false);
+            done();
+        }).error(function(e) {
+            expect(e.code).toEqual(Max.Error.INVALID_PRESENCE);
+            expect(sendSpy.called).toEqual(false);
+            done();
+        });
+    });
+
+    it('should send the priority with the presence when receiving is stopped', function() {
+        Max.stop();
+        expect(sendSpy.args[0][0].getElementsByTagName('priority')[0].textContent).toEqual('-128');
+        Max.start();
+        expect(sendSpy.args[1][0].getElementsByTagName('priority')[0].textContent).toEqual('0');
+    });
+
+    it('should pass presence subscription requests to the listeners and send the response', function(done) {
+        var requests = [];
+        var listener = new Max.EventListener('test-presence-request-listener', {
+            presenceRequest: function(request) {
+                requests.push(request);
+            }
+        });
+        Max.registerListener(listener);
+        Max.Presence.receive(Max.Utils.getValidXML("<presence type='subscribe' " +
+            "from='test-user-id-2%test-app-id@mmx'/>").documentElement);
+        Max.unregisterListener(listener);
+
+        expect(sendSpy.called).toEqual(false);
+        expect(requests.length).toEqual(1);
+        expect(requests[0] instanceof Max.PresenceRequest).toEqual(true);
+        expect(requests[0].user.userId).toEqual('test-user-id-2');
+        requests[0].accept().success(function(res) {
+            expect(res).toEqual('ok');
+            expect(sendSpy.args[0][0].getAttribute('type')).toEqual('subscribed');
+            expect(sendSpy.args[0][0].getAttribute('to')).toEqual(Max.MMXClient.getBaredJid('test-user-id-2'));
+            requests[0].decline().success(function() {
+                expect(sendSpy.args[1][0].getAttribute('type')).toEqual('unsubscribed');
+                done();
+            });
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+    });
+
+    it('should pass the most available presence of a user to the presence handler of a listener', function() {
+        var presences = [];
+        var listener = new Max.EventListener('test-presence-listener', {
+            presence: function(presence) {
+                presences.push(presence);
+            }
+        });
+        Max.registerListener(listener);
+
+        Max.Presence.receive(Max.Utils.getValidXML("<presence from='test-user-id-2%test-app-id@mmx/device-1'>" +
+            "<show>dnd</show><status>Busy</status></presence>").documentElement);
+        Max.Presence.receive(Max.Utils.getValidXML("<presence from='test-user-id-2%test-app-id@mmx/device-2'/>")
+            .documentElement);
+        Max.Presence.receive(Max.Utils.getValidXML("<presence type='unavailable' " +
+            "from='test-user-id-2%test-app-id@mmx/device-2'/>").documentElement);
+        Max.Presence.receive(Max.Utils.getValidXML("<presence type='subscribe' " +
+            "from='test-user-id-3%test-app-id@mmx'/>").documentElement);
+        Max.Presence.receive(Max.Utils.getValidXML("<presence from='test-user-id-2%test-app-id@mmx/device-1'>" +
+            "<show>xa</show></presence>").documentElement);
+        Max.unregisterListener(listener);
+
+        expect(presences.length).toEqual(4);
+        expect(presences[0].user.userId).toEqual('test-user-id-2');
+        expect(presences[0].status).toEqual(Max.PresenceStatus.DND);
+        expect(presences[0].statusText).toEqual('Busy');
+        expect(presences[0].lastActive instanceof Date).toEqual(true);
+        expect(presences[1].status).toEqual(Max.PresenceStatus.ONLINE);
+        expect(presences[2].status).toEqual(Max.PresenceStatus.DND);
+        expect(presences[3].status).toEqual(Max.PresenceStatus.OFFLINE);
+        expect(Max.Presence.get('test-user-id-2').status).toEqual(Max.PresenceStatus.OFFLINE);
+    });
+
+});
 
 describe('Message addAttachments', function() {
 
@@ -989,7 +2285,7 @@ describe('Message reply', function() {
             Max.Message.prototype.send.restore();
             done();
         }).error(function(e) {
-            expect(e).toEqual('cannot reply to yourself');
+            expect(e.code).toEqual(Max.Error.REPLY_TO_SELF);
             Max.Message.prototype.send.restore();
             done();
         });
@@ -1015,7 +2311,7 @@ describe('Message reply', function() {
             Max.Message.prototype.send.restore();
             done();
         }).error(function(e) {
-            expect(e).toEqual('invalid reply message content');
+            expect(e.code).toEqual(Max.Error.INVALID_REPLY_CONTENT);
             Max.Message.prototype.send.restore();
             done();
         });
@@ -1080,7 +2376,7 @@ describe('Invite respond', function() {
             Max.Channel.prototype.subscribe.restore();
             done();
         }).error(function(e) {
-            expect(e).toEqual('invalid channel');
+            expect(e.code).toEqual(Max.Error.INVALID_CHANNEL);
             Max.Message.prototype.send.restore();
             Max.Channel.prototype.subscribe.restore();
             done();
@@ -1133,7 +2429,7 @@ describe('Invite respond', function() {
             Max.Channel.prototype.subscribe.restore();
             done();
         }).error(function(e) {
-            expect(e).toEqual('accepted property missing');
+            expect(e.code).toEqual(Max.Error.INVALID_ACCEPTED);
             Max.Message.prototype.send.restore();
             Max.Channel.prototype.subscribe.restore();
             done();
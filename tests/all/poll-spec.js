@@ -41,7 +41,7 @@ describe('Poll get', function() {
             expect(res).toEqual('failed-test');
             done();
         }).error(function(e) {
-            expect(e).toEqual(Max.Error.INVALID_POLL_ID);
+            expect(e.code).toEqual(Max.Error.INVALID_POLL_ID);
             done();
         });
     });
@@ -217,7 +217,7 @@ describe('Poll publish', function() {
             expect(res).toEqual('failed-test');
             done();
         }).error(function(e) {
-            expect(e).toEqual(Max.Error.INVALID_POLL_QUESTION);
+            expect(e.code).toEqual(Max.Error.INVALID_POLL_QUESTION);
             done();
         });
     });
@@ -233,7 +233,7 @@ describe('Poll publish', function() {
             expect(res).toEqual('failed-test');
             done();
         }).error(function(e) {
-            expect(e).toEqual(Max.Error.INVALID_CHANNEL);
+            expect(e.code).toEqual(Max.Error.INVALID_CHANNEL);
             done();
         });
     });
@@ -264,7 +264,7 @@ describe('Poll publish', function() {
             expect(res).toEqual('failed-test');
             done();
         }).error(function(e) {
-            expect(e).toEqual(Max.Error.INVALID_POLL_OPTIONS);
+            expect(e.code).toEqual(Max.Error.INVALID_POLL_OPTIONS);
             done();
         });
     });
@@ -417,7 +417,7 @@ describe('Poll publish', function() {
             expect(res).toEqual('failed-test');
             done();
         }).error(function(e) {
-            expect(e).toEqual(Max.Error.TOO_MANY_POLL_OPTIONS);
+            expect(e.code).toEqual(Max.Error.TOO_MANY_POLL_OPTIONS);
             done();
         });
     });
@@ -441,7 +441,7 @@ describe('Poll publish', function() {
             expect(res).toEqual('failed-test');
             done();
         }).error(function(e) {
-            expect(e).toEqual(Max.Error.POLL_ENDED);
+            expect(e.code).toEqual(Max.Error.POLL_ENDED);
             done();
         });
     });
@@ -619,7 +619,7 @@ describe('Poll delete', function() {
             expect(res).toEqual('failed-test');
             done();
         }).error(function (e) {
-            expect(e).toEqual(Max.Error.FORBIDDEN);
+            expect(e.code).toEqual(Max.Error.FORBIDDEN);
             expect(reqStub.calledOnce).toEqual(false);
             Max.Request.restore();
             done();
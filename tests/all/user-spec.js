@@ -134,7 +134,8 @@ describe('User register', function() {
             expect(res).toEqual('failed-test');
             done();
         }).error(function(e) {
-            expect(e).toEqual(err);
+            expect(e.code).toEqual(Max.Error.CONFLICT);
+            expect(e.message).toEqual(err);
             done();
         });
         setTimeout(function() {
@@ -328,7 +329,7 @@ describe('User loginWithAccessToken', function() {
     it('should return error if token missing', function (done) {
         Max.Cookie.remove('magnet-max-auth-token');
         Max.User.loginWithAccessToken(function(e) {
-            expect(e).toEqual(Max.Error.INVALID_CREDENTIALS);
+            expect(e.code).toEqual(Max.Error.INVALID_CREDENTIALS);
             done();
         });
     });
@@ -378,7 +379,7 @@ describe('User loginWithAccessToken', function() {
             return d.promise;
         });
         Max.User.loginWithAccessToken(function(e) {
-            expect(e).toEqual(err);
+            expect(e.code).toEqual(err);
             Max.User.getUserInfo.restore();
             Max.MMXClient.registerDeviceAndConnect.restore();
             done();
@@ -906,7 +907,7 @@ describe('User setAvatar', function() {
             Max.Uploader = oUploader;
             done();
         }).error(function(e) {
-            expect(e).toEqual(Max.Error.INVALID_PICTURE);
+            expect(e.code).toEqual(Max.Error.INVALID_PICTURE);
             expect(avatarUploaderStub.calledOnce).toEqual(false);
             expect(updateProfileStub.calledOnce).toEqual(false);
             Max.User.updateProfile.restore();
@@ -1010,6 +1011,30 @@ describe('User setAvatar', function() {
         });
     });
 
+    it('should not upload the picture if cancelled before the upload started', function (done) {
+        Max.setUser(new Max.User({
+            userName: userName,
+            userId: userId
+        }));
+        var multipart = {
+            avatarUpload: sinon.spy()
+        };
+        var oUploader = Max.Uploader;
+        Max.Uploader = function(attachments, cb) {
+            cb(null, multipart);
+        };
+        var call = Max.User.setAvatar({type: 'image/png'});
+        call.error(function(e) {
+            expect(e.code).toEqual(Max.Error.CANCELLED);
+            setTimeout(function() {
+                expect(multipart.avatarUpload.called).toEqual(false);
+                Max.Uploader = oUploader;
+                done();
+            }, 5);
+        });
+        expect(call.cancel()).toEqual(true);
+    });
+
 });
 
 describe('User deleteAvatar', function() {
@@ -1249,7 +1274,7 @@ describe('UserPreferences setUsers', function() {
             Max.UserPreferences.enablePrivacyList.restore();
             done();
         }).error(function(e) {
-            expect(e).toEqual(Max.Error.FORBIDDEN);
+            expect(e.code).toEqual(Max.Error.FORBIDDEN);
             Max.UserPreferences.enablePrivacyList.restore();
             done();
         });
@@ -1366,7 +1391,7 @@ describe('UserPreferences getBlockedUsers', function() {
             Max.User.getUsersByUserIds.restore();
             done();
         }).error(function(e) {
-            expect(e).toEqual(Max.Error.FORBIDDEN);
+            expect(e.code).toEqual(Max.Error.FORBIDDEN);
             expect(getUsersByUserIdsStub.calledOnce).toEqual(false);
             Max.User.getUsersByUserIds.restore();
             done();
@@ -1571,7 +1596,7 @@ describe('UserPreferences getBlockedUsers', function() {
             expect(res).toEqual('failed-test');
             done();
         }).error(function(e) {
-            expect(e).toEqual(Max.Error.INVALID_PRIVACY_LIST_NAME);
+            expect(e.code).toEqual(Max.Error.INVALID_PRIVACY_LIST_NAME);
             done();
         });
     });
@@ -1591,7 +1616,7 @@ describe('UserPreferences getBlockedUsers', function() {
             expect(res).toEqual('failed-test');
             done();
         }).error(function(e) {
-            expect(e).toEqual(Max.Error.FORBIDDEN);
+            expect(e.code).toEqual(Max.Error.FORBIDDEN);
             done();
         });
     });
@@ -1655,3 +1680,305 @@ describe('User clearSession', function() {
     });
 
 });
+
+describe('TokenManager', function() {
+    var clock;
+
+    beforeEach(function () {
+        clock = sinon.useFakeTimers(new Date().getTime());
+        Max.Config.tokenRefreshAhead = 60000;
+    });
+
+    afterEach(function () {
+        Max.TokenManager.reset();
+        Max.Cookie.remove('magnet-max-refresh-token');
+        Max.unbind('token-expired');
+        Max.unbind('token-refreshed');
+        clock.restore();
+    });
+
+    it('should renew the access token before it expires', function (done) {
+        var def = new Max.Deferred();
+        var refreshStub = sinon.stub(Max.User, 'refreshSession').returns(def.promise);
+        Max.Cookie.create('magnet-max-refresh-token', 'test-refresh-token', 1);
+        Max.TokenManager.track({
+            access_token: 'test-token',
+            expires_in: 3600
+        });
+        expect(Max.Cookie.get('magnet-max-auth-token')).toEqual('test-token');
+        expect(Max.Cookie.get('magnet-max-auth-token-expiry')).toEqual(String(Max.TokenManager.expiresAt));
+        clock.tick(3600000 - 60001);
+        expect(refreshStub.called).toEqual(false);
+        clock.tick(1);
+        expect(refreshStub.calledOnce).toEqual(true);
+        Max.User.refreshSession.restore();
+        done();
+    });
+
+    it('should keep the MMX connection open after renewing the access token', function (done) {
+        var def = new Max.Deferred();
+        var disconnectStub = sinon.stub(Max.MMXClient, 'disconnect');
+        sinon.stub(Max.User, 'refreshSession').returns(def.promise);
+        Max.setConnection({});
+        Max.Cookie.create('magnet-max-refresh-token', 'test-refresh-token', 1);
+        Max.TokenManager.renew();
+        def.resolve(Max.getCurrentUser());
+        clock.tick(1);
+        expect(disconnectStub.called).toEqual(false);
+        Max.setConnection(null);
+        Max.MMXClient.disconnect.restore();
+        Max.User.refreshSession.restore();
+        done();
+    });
+
+    it('should end the session once the access token expired if it cannot be renewed', function (done) {
+        var clearSessionStub = sinon.stub(Max.User, 'clearSession');
+        var expired = false;
+        Max.on('token-expired', function() {
+            expired = true;
+        });
+        Max.TokenManager.track({
+            access_token: 'test-token',
+            expires_in: 3600
+        });
+        clock.tick(3600000 - 60000);
+        expect(expired).toEqual(false);
+        clock.tick(60000);
+        expect(expired).toEqual(true);
+        expect(clearSessionStub.calledWith(Max.Error.SESSION_EXPIRED)).toEqual(true);
+        Max.User.clearSession.restore();
+        done();
+    });
+
+    it('should end the session if the renewal failed', function (done) {
+        var def = new Max.Deferred();
+        var clearSessionStub = sinon.stub(Max.User, 'clearSession');
+        var refreshStub = sinon.stub(Max.User, 'refreshSession').returns(def.promise);
+        var expired = false;
+        Max.on('token-expired', function() {
+            expired = true;
+        });
+        Max.Cookie.create('magnet-max-refresh-token', 'test-refresh-token', 1);
+        Max.TokenManager.track({
+            access_token: 'test-token',
+            expires_in: 120
+        });
+        clock.tick(60000);
+        expect(refreshStub.calledOnce).toEqual(true);
+        def.reject(Max.Error.INVALID_CREDENTIALS);
+        clock.tick(1);
+        expect(expired).toEqual(true);
+        expect(clearSessionStub.calledWith(Max.Error.SESSION_EXPIRED)).toEqual(true);
+        Max.User.refreshSession.restore();
+        Max.User.clearSession.restore();
+        done();
+    });
+
+    it('should retry the renewal after a network error and keep the session', function (done) {
+        var retryPolicy = Max.Config.retryPolicy;
+        var clearSessionStub = sinon.stub(Max.User, 'clearSession');
+        var defs = [];
+        var refreshStub = sinon.stub(Max.User, 'refreshSession', function() {
+            var def = new Max.Deferred();
+            defs.push(def);
+            return def.promise;
+        });
+        Max.Config.retryPolicy = Max.Utils.mergeObj(Max.Utils.mergeObj({}, retryPolicy), {jitter: false});
+        Max.Cookie.create('magnet-max-refresh-token', 'test-refresh-token', 1);
+        Max.TokenManager.track({
+            access_token: 'test-token',
+            expires_in: 120
+        });
+        clock.tick(60000);
+        expect(refreshStub.calledOnce).toEqual(true);
+        defs[0].reject(new Max.RequestError(Max.Error.NETWORK_ERROR, {status: 0}), {status: 0});
+        clock.tick(1);
+        expect(clearSessionStub.called).toEqual(false);
+        expect(Max.Cookie.get('magnet-max-auth-token')).toEqual('test-token');
+        clock.tick(Max.Config.retryPolicy.baseDelay - 1);
+        expect(refreshStub.calledTwice).toEqual(true);
+        defs[1].resolve();
+        clock.tick(1);
+        expect(clearSessionStub.called).toEqual(false);
+        Max.Config.retryPolicy = retryPolicy;
+        Max.User.refreshSession.restore();
+        Max.User.clearSession.restore();
+        done();
+    });
+
+    it('should end the session once the access token expired if the renewal kept failing', function (done) {
+        var clearSessionStub = sinon.stub(Max.User, 'clearSession');
+        var refreshStub = sinon.stub(Max.User, 'refreshSession', function() {
+            var def = new Max.Deferred();
+            def.reject(new Max.RequestError(Max.Error.SERVER_ERROR, {status: 503}), {status: 503});
+            return def.promise;
+        });
+        Max.Cookie.create('magnet-max-refresh-token', 'test-refresh-token', 1);
+        Max.TokenManager.track({
+            access_token: 'test-token',
+            expires_in: 120
+        });
+        clock.tick(120000 - 1);
+        expect(refreshStub.callCount).toBeGreaterThan(1);
+        expect(clearSessionStub.called).toEqual(false);
+        clock.tick(1);
+        expect(clearSessionStub.calledWith(Max.Error.SESSION_EXPIRED)).toEqual(true);
+        Max.User.refreshSession.restore();
+        Max.User.clearSession.restore();
+        done();
+    });
+
+    it('should not schedule a renewal if the token response has no expiry', function (done) {
+        Max.TokenManager.track({
+            access_token: 'test-token'
+        });
+        expect(Max.TokenManager.expiresAt).toEqual(null);
+        expect(Max.TokenManager.timer).toEqual(null);
+        done();
+    });
+
+    it('should emit token-refreshed after refreshing the access token', function (done) {
+        var refreshedAt;
+        Max.setConnection({});
+        Max.setUser({
+            userId: 'test-user-id',
+            jid: 'test-user-id%test-app-id@mmx/test-device-id'
+        });
+        Max.setDevice({
+            deviceId: 'test-device-id'
+        });
+        Max.Cookie.create('magnet-max-refresh-token', 'test-refresh-token', 1);
+        Max.on('token-refreshed', function(expiresAt) {
+            refreshedAt = expiresAt;
+        });
+        var requestStub = sinon.stub(Max, 'Request', function(req, cb) {
+            cb({
+                access_token: 'new-token',
+                refresh_token: 'new-refresh-token',
+                expires_in: 7200,
+                user: {
+                    userIdentifier: 'test-user-id'
+                }
+            });
+        });
+        var start = new Date().getTime();
+        Max.User.refreshSession().success(function() {
+            expect(refreshedAt.getTime()).toEqual(Max.TokenManager.expiresAt);
+            expect(Max.TokenManager.expiresAt).not.toBeLessThan(start + 7200000);
+            expect(Max.Cookie.get('magnet-max-auth-token')).toEqual('new-token');
+            expect(Max.Cookie.get('magnet-max-refresh-token')).toEqual('new-refresh-token');
+            expect(Max.getCurrentUser().jid).toEqual('test-user-id%test-app-id@mmx/test-device-id');
+            Max.Request.restore();
+            Max.setConnection(null);
+            done();
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            Max.Request.restore();
+            Max.setConnection(null);
+            done();
+        });
+        clock.tick(10);
+    });
+
+});
+
+describe('User getPresence', function() {
+    var iqs, sendSpy;
+
+    beforeEach(function() {
+        iqs = [];
+        sendSpy = sinon.spy();
+        Max.setUser({
+            userId: 'test-user-id-1',
+            jid: 'test-user-id-1%test-app-id@mmx/test-device-id-1'
+        });
+        Max.setConnection({
+            addHandler: function(cb) {
+                iqs.push(cb);
+                return cb;
+            },
+            send: function(elem) {
+                var cb = iqs.shift(), to = elem.getAttribute('to');
+                sendSpy(elem);
+                if (!cb) return;
+                if (to.indexOf('test-user-id-3') === 0)
+                    return cb(null, {_type: 'error', error: {_type: 'cancel', 'item-not-found': ''}});
+                if (to.indexOf('test-user-id-5') === 0)
+                    return cb(null, {_type: 'error', error: {_type: 'auth', forbidden: ''}});
+                cb(null, {_type: 'result', query: {_xmlns: 'jabber:iq:last', _seconds: '120', __text: 'Gone home'}});
+            },
+            connected: true
+        });
+    });
+    afterEach(function() {
+        Max.Presence.reset();
+        Max.setUser(null);
+        Max.setConnection(null);
+    });
+
+    it('should return received presence and the last activity of other users', function(done) {
+        var start = new Date().getTime();
+        Max.Presence.receive(Max.Utils.getValidXML("<presence from='test-user-id-4%test-app-id@mmx/device-1'>" +
+            "<show>away</show></presence>").documentElement);
+
+        Max.User.getPresence(['test-user-id-2', 'test-user-id-3', new Max.User({
+            userId: 'test-user-id-4'
+        })]).success(function(presences) {
+            expect(presences.length).toEqual(3);
+            expect(presences[0].user.userId).toEqual('test-user-id-2');
+            expect(presences[0].status).toEqual(Max.PresenceStatus.OFFLINE);
+            expect(presences[0].statusText).toEqual('Gone home');
+            expect(presences[0].lastActive.getTime()).not.toBeGreaterThan(start - 120000 + 1000);
+            expect(presences[1].status).toEqual(Max.PresenceStatus.OFFLINE);
+            expect(presences[1].lastActive).toEqual(null);
+            expect(presences[2].status).toEqual(Max.PresenceStatus.AWAY);
+            done();
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+    });
+
+    it('should fail if the last activity of a user cannot be retrieved', function(done) {
+        Max.User.getPresence(['test-user-id-2', 'test-user-id-5']).success(function() {
+            expect('failed-test').toEqual(false);
+            done();
+        }).error(function(e) {
+            expect(e.code).toEqual(Max.Error.FORBIDDEN);
+            done();
+        });
+    });
+
+    it('should return the presence of a user', function(done) {
+        new Max.User({userId: 'test-user-id-2'}).getPresence().success(function(presence) {
+            expect(presence.status).toEqual(Max.PresenceStatus.OFFLINE);
+            expect(presence.lastActive instanceof Date).toEqual(true);
+            done();
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+    });
+
+    it('should request presence subscriptions and approve them if auto-approve is enabled', function(done) {
+        Max.Config.presenceAutoApprove = true;
+        Max.User.subscribePresence(['test-user-id-2', new Max.User({userId: 'test-user-id-3'})]).success(function(res) {
+            expect(res).toEqual('ok');
+            expect(sendSpy.calledTwice).toEqual(true);
+            expect(sendSpy.args[0][0].getAttribute('type')).toEqual('subscribe');
+            expect(sendSpy.args[1][0].getAttribute('to')).toEqual(Max.MMXClient.getBaredJid('test-user-id-3'));
+
+            Max.Presence.receive(Max.Utils.getValidXML("<presence type='subscribe' " +
+                "from='test-user-id-2%test-app-id@mmx'/>").documentElement);
+            expect(sendSpy.args[2][0].getAttribute('type')).toEqual('subscribed');
+            expect(sendSpy.args[2][0].getAttribute('to')).toEqual('test-user-id-2%test-app-id@mmx');
+            Max.Config.presenceAutoApprove = false;
+            done();
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            Max.Config.presenceAutoApprove = false;
+            done();
+        });
+    });
+
+});
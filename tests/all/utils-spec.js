@@ -394,6 +394,21 @@ describe('Promise and Defer', function(){
         });
     });
 
+    it('should report progress until the Deferred is resolved', function(done){
+        var deferred = new Max.Deferred();
+        var events = [];
+        deferred.promise.progress(function(e) {
+            events.push(e);
+        }).success(function() {
+            deferred.notify(100);
+            expect(events).toEqual([25, 50]);
+            done();
+        });
+        deferred.notify(25);
+        deferred.notify(50);
+        deferred.resolve('ok');
+    });
+
     it('should reject a Deferred and execute a failure callback', function(done){
         function request(){
             var deferred = new Max.Deferred();
@@ -525,6 +540,237 @@ describe('Promise and Defer', function(){
         });
     });
 
+    it('should reject the chained promise if a callback throws', function(done){
+        var deferred = new Max.Deferred(), err = new Error('boom');
+        deferred.promise.then(function() {
+            throw err;
+        }).then(function(res) {
+            expect(res).toEqual('failed-test');
+            done();
+        }).catch(function(e) {
+            expect(e).toBe(err);
+            done();
+        });
+        deferred.resolve('ok');
+    });
+
+    it('should resolve the chained promise with the value returned by a callback', function(done){
+        var deferred = new Max.Deferred();
+        deferred.promise.then(null, function(e) {
+            expect(e).toEqual('failed-test');
+        }).then(function(a1) {
+            return a1 + 1;
+        }).then(function(a1) {
+            expect(a1).toEqual(2);
+            done();
+        });
+        deferred.resolve(1);
+    });
+
+    it('should pass a rejection through to the next error callback', function(done){
+        var deferred = new Max.Deferred();
+        deferred.promise.then(function(res) {
+            expect(res).toEqual('failed-test');
+        }).then(null, function(a1, a2) {
+            expect(a1).toEqual(400);
+            expect(a2).toEqual('fail');
+            return 'recovered';
+        }).then(function(res) {
+            expect(res).toEqual('recovered');
+            done();
+        });
+        deferred.reject(400, 'fail');
+    });
+
+    it('should adopt the state of native promises and thenables', function(done){
+        if (typeof Promise === 'undefined') return done();
+        var deferred = new Max.Deferred();
+        deferred.promise.then(function() {
+            return Promise.resolve('native');
+        }).then(function(res) {
+            expect(res).toEqual('native');
+            return {
+                then: function(resolve) {
+                    resolve('thenable');
+                    resolve('failed-test');
+                }
+            };
+        }).then(function(res) {
+            expect(res).toEqual('thenable');
+            return Promise.reject('native-error');
+        }).catch(function(e) {
+            expect(e).toEqual('native-error');
+            done();
+        });
+        deferred.resolve();
+    });
+
+    it('should be adopted by native promises', function(done){
+        if (typeof Promise === 'undefined') return done();
+        var deferred = new Max.Deferred();
+        Promise.resolve(deferred.promise).then(function(res) {
+            expect(res).toEqual(200);
+            expect(Object.prototype.toString.call(deferred.promise)).toEqual('[object Promise]');
+            done();
+        });
+        deferred.resolve(200, 'pass');
+    });
+
+    it('should reject if a promise is resolved with itself', function(done){
+        var deferred = new Max.Deferred();
+        var promise = deferred.promise.then(function() {
+            return promise;
+        });
+        promise.catch(function(e) {
+            expect(e instanceof TypeError).toEqual(true);
+            done();
+        });
+        deferred.resolve();
+    });
+
+    it('should ignore a second resolve or reject', function(done){
+        var deferred = new Max.Deferred();
+        deferred.resolve('first');
+        deferred.reject('failed-test');
+        deferred.resolve('failed-test');
+        deferred.promise.then(function(res) {
+            expect(res).toEqual('first');
+            done();
+        });
+    });
+
+    it('should call finally and keep the outcome of the promise', function(done){
+        var deferred = new Max.Deferred(), calls = [];
+        deferred.promise.finally(function() {
+            calls.push(arguments.length);
+            return 'failed-test';
+        }).then(function(a1, a2) {
+            expect(calls).toEqual([0]);
+            expect(a1).toEqual(200);
+            expect(a2).toEqual('pass');
+            return failed.promise.finally(function() {
+                throw 'finally-error';
+            });
+        }).catch(function(e) {
+            expect(e).toEqual('finally-error');
+            done();
+        });
+        var failed = new Max.Deferred();
+        deferred.resolve(200, 'pass');
+        failed.reject('original');
+    });
+
+    it('should resolve all promises in input order', function(done){
+        var d1 = new Max.Deferred(), d2 = new Max.Deferred();
+        Max.Deferred.all([d1.promise, d2.promise, 'value']).then(function(results) {
+            expect(results).toEqual(['first', 'second', 'value']);
+            done();
+        }, function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+        d2.resolve('second', {status: 200});
+        setTimeout(function() {
+            d1.resolve('first');
+        }, 5);
+    });
+
+    it('should reject all as soon as one promise is rejected', function(done){
+        var d1 = new Max.Deferred(), d2 = new Max.Deferred();
+        Max.Deferred.all([d1.promise, d2.promise]).then(function(results) {
+            expect(results).toEqual('failed-test');
+            done();
+        }, function(e, details) {
+            expect(e).toEqual('fail');
+            expect(details).toEqual({status: 400});
+            done();
+        });
+        d2.reject('fail', {status: 400});
+    });
+
+    it('should report the outcome of each promise in input order', function(done){
+        var d1 = new Max.Deferred(), d2 = new Max.Deferred();
+        Max.Deferred.allSettled([d1.promise, d2.promise]).then(function(results) {
+            expect(results).toEqual([
+                {status: 'fulfilled', value: 'ok'},
+                {status: 'rejected', reason: 'fail'}
+            ]);
+            done();
+        });
+        d2.reject('fail');
+        d1.resolve('ok');
+    });
+
+    it('should settle race with the first settled promise', function(done){
+        var d1 = new Max.Deferred(), d2 = new Max.Deferred();
+        Max.Deferred.race([d1.promise, d2.promise]).then(function(res) {
+            expect(res).toEqual('failed-test');
+            done();
+        }, function(e, code) {
+            expect(e).toEqual('fail');
+            expect(code).toEqual(500);
+            done();
+        });
+        d2.reject('fail', 500);
+        d1.resolve('late');
+    });
+
+    it('should resolve any with the first resolved promise', function(done){
+        var d1 = new Max.Deferred(), d2 = new Max.Deferred();
+        Max.Deferred.any([d1.promise, d2.promise]).then(function(res) {
+            expect(res).toEqual('ok');
+            Max.Deferred.any([d1.promise, {
+                then: function(resolve, reject) {
+                    reject('fail2');
+                }
+            }]).then(function(res) {
+                expect(res).toEqual('failed-test');
+                done();
+            }, function(e) {
+                expect(e.code).toEqual(Max.Error.ALL_REJECTED);
+                expect(e.errors).toEqual(['fail1', 'fail2']);
+                done();
+            });
+        });
+        d1.reject('fail1');
+        d2.resolve('ok');
+    });
+
+    it('should map items with limited concurrency in input order', function(done){
+        var pending = 0, maxPending = 0;
+        Max.Deferred.map([30, 10, 20, 0], function(delay, index) {
+            var deferred = new Max.Deferred();
+            maxPending = Math.max(maxPending, ++pending);
+            setTimeout(function() {
+                --pending;
+                deferred.resolve(index + ':' + delay);
+            }, delay);
+            return deferred.promise;
+        }, 2).then(function(results) {
+            expect(results).toEqual(['0:30', '1:10', '2:20', '3:0']);
+            expect(maxPending).toEqual(2);
+            done();
+        });
+    });
+
+    it('should stop mapping once a call fails', function(done){
+        var calls = 0;
+        Max.Deferred.map([1, 2, 3], function(item) {
+            ++calls;
+            if (item == 1) throw 'fail';
+            return item;
+        }, 1).then(function(results) {
+            expect(results).toEqual('failed-test');
+            done();
+        }, function(e) {
+            expect(e).toEqual('fail');
+            setTimeout(function() {
+                expect(calls).toEqual(1);
+                done();
+            }, 5);
+        });
+    });
+
     it('should execute multiple promises and return an array of resolve/reject arguments', function(done){
         function request(){
             var deferred = new Max.Deferred();
@@ -562,6 +808,152 @@ describe('Promise and Defer', function(){
 
 });
 
+describe('Paginator', function(){
+    var items = ['a', 'b', 'c', 'd', 'e'];
+
+    function createFetch(calls, withTotal) {
+        return function(limit, offset) {
+            var def = new Max.Deferred();
+            calls.push([limit, offset]);
+            setTimeout(function() {
+                if (withTotal) def.resolve(items.slice(offset, offset + limit), items.length);
+                else def.resolve(items.slice(offset, offset + limit));
+            }, 0);
+            return def.promise;
+        };
+    }
+
+    it('should return pages until there are no more results', function(done){
+        var calls = [];
+        var paginator = new Max.Paginator(createFetch(calls), {pageSize: 2});
+        paginator.next().success(function(page) {
+            expect(page).toEqual(['a', 'b']);
+            expect(paginator.hasMore).toEqual(true);
+            expect(paginator.totalCount).toEqual(null);
+            paginator.next().success(function(page) {
+                expect(page).toEqual(['c', 'd']);
+                paginator.next().success(function(page) {
+                    expect(page).toEqual(['e']);
+                    expect(paginator.hasMore).toEqual(true);
+                    paginator.next().success(function(page) {
+                        expect(page).toEqual([]);
+                        expect(paginator.hasMore).toEqual(false);
+                        paginator.next().success(function(page) {
+                            expect(page).toEqual([]);
+                            expect(calls).toEqual([[2, 0], [2, 2], [2, 4], [2, 5]]);
+                            done();
+                        });
+                    });
+                });
+            });
+        });
+    });
+
+    it('should use the total count to stop paging', function(done){
+        var calls = [];
+        var paginator = new Max.Paginator(createFetch(calls, true), {pageSize: 5});
+        paginator.next().success(function(page) {
+            expect(page.length).toEqual(5);
+            expect(paginator.totalCount).toEqual(5);
+            expect(paginator.hasMore).toEqual(false);
+            expect(calls.length).toEqual(1);
+            done();
+        });
+    });
+
+    it('should keep paging if the server returns fewer results than requested', function(done){
+        var calls = [];
+        var paginator = new Max.Paginator(function(limit, offset) {
+            calls.push([limit, offset]);
+            return createFetch([])(Math.min(limit, 2), offset);
+        }, {pageSize: 3});
+        paginator.toArray().success(function(results) {
+            expect(results).toEqual(items);
+            expect(calls).toEqual([[3, 0], [3, 2], [3, 4], [3, 5]]);
+            done();
+        });
+    });
+
+    it('should prefetch the following page', function(done){
+        var calls = [];
+        var paginator = new Max.Paginator(createFetch(calls), {pageSize: 2, prefetch: true});
+        paginator.next().success(function(page) {
+            expect(page).toEqual(['a', 'b']);
+            expect(calls).toEqual([[2, 0], [2, 2]]);
+            paginator.next().success(function(page) {
+                expect(page).toEqual(['c', 'd']);
+                expect(calls.length).toEqual(3);
+                done();
+            });
+        });
+    });
+
+    it('should return consecutive pages to back-to-back calls', function(done){
+        var calls = [];
+        var paginator = new Max.Paginator(function(limit, offset) {
+            calls.push([limit, offset]);
+            return createFetch([])(Math.min(limit, 2), offset);
+        }, {pageSize: 3});
+        Max.Deferred.all([paginator.next(), paginator.next(), paginator.next(), paginator.next()]).success(function(pages) {
+            expect(pages).toEqual([['a', 'b'], ['c', 'd'], ['e'], []]);
+            expect(calls).toEqual([[3, 0], [3, 2], [3, 4], [3, 5]]);
+            expect(paginator.hasMore).toEqual(false);
+            done();
+        });
+    });
+
+    it('should collect all results up to a maximum', function(done){
+        var calls = [];
+        new Max.Paginator(createFetch(calls), {pageSize: 2}).toArray().success(function(results) {
+            expect(results).toEqual(items);
+            new Max.Paginator(createFetch(calls), {pageSize: 2}).toArray({max: 3}).success(function(results) {
+                expect(results).toEqual(['a', 'b', 'c']);
+                done();
+            });
+        });
+    });
+
+    it('should rewind the offset if a page request fails', function(done){
+        var fail = true;
+        var paginator = new Max.Paginator(function(limit, offset) {
+            var def = new Max.Deferred();
+            setTimeout(function() {
+                if (fail) return def.reject('failed');
+                def.resolve(items.slice(offset, offset + limit));
+            }, 0);
+            return def.promise;
+        }, {pageSize: 2});
+        paginator.next().error(function(e) {
+            expect(e).toEqual('failed');
+            expect(paginator.offset).toEqual(0);
+            fail = false;
+            paginator.next().success(function(page) {
+                expect(page).toEqual(['a', 'b']);
+                done();
+            });
+        });
+    });
+
+    it('should iterate results one at a time', function(done){
+        var results = [];
+        var paginator = new Max.Paginator(createFetch([]), {pageSize: 2});
+        var iterator = typeof Symbol !== 'undefined' && Symbol.asyncIterator
+            ? paginator[Symbol.asyncIterator]() : paginator.iterator();
+        function step() {
+            iterator.next().then(function(res) {
+                if (res.done) {
+                    expect(results).toEqual(items);
+                    return done();
+                }
+                results.push(res.value);
+                step();
+            });
+        }
+        step();
+    });
+
+});
+
 describe('Events', function(){
 
     it('should add event functions to an object', function(done){
@@ -616,6 +1008,104 @@ describe('Events', function(){
         done();
     });
 
+    it('should call handlers in the order they were bound', function(done){
+        var obj = {}, calls = [];
+        Max.Events.create(obj);
+        obj.on('foobar', function(a1) {
+            calls.push('first:' + a1);
+        });
+        obj.on('*', function(eventId, a1) {
+            calls.push('wildcard:' + eventId + ':' + a1);
+        });
+        obj.on('foobar', function(a1) {
+            calls.push('second:' + a1);
+        });
+        obj.invoke('foobar', 'x');
+        expect(calls).toEqual(['first:x', 'wildcard:foobar:x', 'second:x']);
+        done();
+    });
+
+    it('should call a handler bound with once a single time', function(done){
+        var obj = {}, calls = 0;
+        Max.Events.create(obj);
+        obj.once('foobar', function() {
+            ++calls;
+        });
+        obj.invoke('foobar');
+        obj.invoke('foobar');
+        expect(calls).toEqual(1);
+        expect(obj._events.foobar).toBeUndefined();
+        done();
+    });
+
+    it('should unbind a specific handler', function(done){
+        var obj = {}, calls = [];
+        function handler1() {
+            calls.push(1);
+        }
+        Max.Events.create(obj);
+        obj.on('foobar', handler1);
+        obj.on('foobar', function() {
+            calls.push(2);
+        });
+        obj.off('foobar', handler1);
+        obj.invoke('foobar');
+        expect(calls).toEqual([2]);
+        done();
+    });
+
+    it('should unbind all handlers of a namespace', function(done){
+        var obj = {}, calls = [];
+        Max.Events.create(obj);
+        obj.on('foo.myapp', function() {
+            calls.push('foo.myapp');
+        });
+        obj.on('bar.myapp', function() {
+            calls.push('bar.myapp');
+        });
+        obj.on('foo', function() {
+            calls.push('foo');
+        });
+        obj.invoke(['foo', 'bar']);
+        expect(calls).toEqual(['foo.myapp', 'foo', 'bar.myapp']);
+        calls = [];
+        obj.unbind('.myapp');
+        obj.invoke(['foo', 'bar']);
+        expect(calls).toEqual(['foo']);
+        done();
+    });
+
+    it('should match wildcard patterns', function(done){
+        var obj = {}, calls = [];
+        Max.Events.create(obj);
+        obj.on('token-*', function(eventId) {
+            calls.push(eventId);
+        });
+        obj.invoke('token-expired');
+        obj.invoke('token-refreshed');
+        obj.invoke('authenticated');
+        expect(calls).toEqual(['token-expired', 'token-refreshed']);
+        done();
+    });
+
+    it('should isolate and log errors thrown by handlers', function(done){
+        var obj = {}, called = false;
+        var logStub = sinon.stub(Max.Log, 'severe');
+        Max.Events.create(obj);
+        obj.on('foobar', function() {
+            throw new Error('handler failure');
+        });
+        obj.on('foobar', function() {
+            called = true;
+        });
+        obj.invoke('foobar');
+        expect(called).toEqual(true);
+        expect(logStub.calledOnce).toEqual(true);
+        expect(logStub.args[0][0]).toContain('handler failure');
+        Max.Log.severe.restore();
+        done();
+    });
+
     it('should return false attempting to set an invalid object', function(done){
         var invalidObj = {on:'foo'};
         expect(Max.Events.create(invalidObj)).toEqual(false);
@@ -2180,7 +2670,7 @@ describe('Request', function(){
             Max.App.initialized = true;
             done();
         }, function(e, details) {
-            expect(e).toEqual('sdk not ready');
+            expect(e.code).toEqual(Max.Error.NOT_READY);
             Max.App.initialized = true;
             done();
         });
@@ -2255,4 +2745,1471 @@ describe('Request', function(){
         }, 5);
     });
 
+    it('should retry an idempotent request which failed with a retriable status', function(done) {
+        var request = {
+            method: 'GET',
+            url: 'http://www.foo.com',
+            retry: {
+                baseDelay: 1,
+                maxDelay: 1
+            }
+        };
+        var call = Max.Request(request, function (res, details) {
+            expect(details.status).toEqual(200);
+            expect(call.attempts).toEqual(2);
+            expect(requests.length).toEqual(2);
+            done();
+        }, function (e, details) {
+            expect(e).toEqual('failed-test');
+            done();
+        }).promise;
+        setTimeout(function() {
+            expect(requests.length).toEqual(1);
+            requests[0].respond(503);
+            setTimeout(function() {
+                expect(requests.length).toEqual(2);
+                requests[1].respond(200);
+            }, 20);
+        }, 5);
+    });
+
+    it('should stop retrying after the maximum number of attempts', function(done) {
+        var request = {
+            method: 'GET',
+            url: 'http://www.foo.com',
+            retry: {
+                maxAttempts: 2,
+                baseDelay: 1,
+                maxDelay: 1
+            }
+        };
+        var call = Max.Request(request, function (res, details) {
+            expect(res).toEqual('failed-test');
+            done();
+        }, function (e, details) {
+            expect(details.status).toEqual(500);
+            expect(call.attempts).toEqual(2);
+            expect(call.state).toEqual(Max.CallState.FAILED);
+            done();
+        }).promise;
+        setTimeout(function() {
+            requests[0].respond(500);
+            setTimeout(function() {
+                requests[1].respond(500);
+            }, 20);
+        }, 5);
+    });
+
+    it('should not retry a non-idempotent request', function(done) {
+        var request = {
+            method: 'POST',
+            url: 'http://www.foo.com',
+            data: 'testdata',
+            retry: {
+                baseDelay: 1,
+                maxDelay: 1
+            }
+        };
+        Max.Request(request, function (res, details) {
+            expect(res).toEqual('failed-test');
+            done();
+        }, function (e, details) {
+            expect(details.status).toEqual(503);
+            setTimeout(function() {
+                expect(requests.length).toEqual(1);
+                done();
+            }, 20);
+        });
+        setTimeout(function() {
+            requests[0].respond(503);
+        }, 5);
+    });
+
+    it('should retry a POST request marked as idempotent', function(done) {
+        var request = {
+            method: 'POST',
+            url: 'http://www.foo.com',
+            data: 'testdata',
+            idempotent: true,
+            retry: {
+                baseDelay: 1,
+                maxDelay: 1
+            }
+        };
+        Max.Request(request, function (res, details) {
+            expect(details.status).toEqual(200);
+            expect(requests.length).toEqual(2);
+            done();
+        }, function (e, details) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+        setTimeout(function() {
+            requests[0].respond(502);
+            setTimeout(function() {
+                requests[1].respond(200);
+            }, 20);
+        }, 5);
+    });
+
+    it('should not retry if retries are disabled for the request', function(done) {
+        var request = {
+            method: 'GET',
+            url: 'http://www.foo.com',
+            retry: false
+        };
+        Max.Request(request, function (res, details) {
+            expect(res).toEqual('failed-test');
+            done();
+        }, function (e, details) {
+            expect(details.status).toEqual(503);
+            expect(requests.length).toEqual(1);
+            done();
+        });
+        setTimeout(function() {
+            requests[0].respond(503);
+        }, 5);
+    });
+
+    it('should cancel a request in progress and reject with a cancellation error', function(done) {
+        var request = {
+            method: 'GET',
+            url: 'http://www.foo.com'
+        };
+        var call = Max.Request(request, function (res, details) {
+            expect(res).toEqual('failed-test');
+            done();
+        }, function (e, details) {
+            expect(e.code).toEqual(Max.Error.CANCELLED);
+            expect(call.state).toEqual(Max.CallState.CANCELLED);
+            expect(requests[0].aborted).toEqual(true);
+            done();
+        }).promise;
+        setTimeout(function() {
+            expect(requests.length).toEqual(1);
+            expect(call.cancel()).toEqual(true);
+        }, 5);
+    });
+
+    it('should not send a request cancelled before it started', function(done) {
+        var request = {
+            method: 'GET',
+            url: 'http://www.foo.com'
+        };
+        var def = Max.Request(request, null, function (e) {
+            expect(e.code).toEqual(Max.Error.CANCELLED);
+            setTimeout(function() {
+                expect(requests.length).toEqual(0);
+                done();
+            }, 5);
+        });
+        def.promise.cancel();
+    });
+
+    it('should not cancel a completed call', function(done) {
+        var request = {
+            method: 'GET',
+            url: 'http://www.foo.com'
+        };
+        var call = Max.Request(request, function (res, details) {
+            expect(call.cancel()).toEqual(false);
+            expect(call.state).toEqual(Max.CallState.SUCCESS);
+            done();
+        }, function (e, details) {
+            expect(e).toEqual('failed-test');
+            done();
+        }).promise;
+        setTimeout(function() {
+            requests[0].respond(200);
+        }, 5);
+    });
+
+    it('should cancel the request of an operation created with Max.Call.create', function(done) {
+        var def = new Max.Deferred();
+        var call = Max.Call.create(def);
+        call.request = Max.Request({
+            method: 'GET',
+            url: 'http://www.foo.com'
+        }, function(res) {
+            def.resolve(res);
+        }, function(e) {
+            expect(e.code).toEqual(Max.Error.CANCELLED);
+        }).promise;
+        call.success(function(res) {
+            expect(res).toEqual('failed-test');
+            done();
+        }).error(function(e) {
+            expect(e.code).toEqual(Max.Error.CANCELLED);
+            expect(call.state).toEqual(Max.CallState.CANCELLED);
+            expect(call.request.state).toEqual(Max.CallState.CANCELLED);
+            expect(requests[0].aborted).toEqual(true);
+            done();
+        });
+        setTimeout(function() {
+            expect(call.cancel()).toEqual(true);
+        }, 5);
+    });
+
+    it('should not cancel an operation once it is committed', function(done) {
+        var def = new Max.Deferred();
+        var call = Max.Call.create(def);
+        call.request = Max.Request({
+            method: 'GET',
+            url: 'http://www.foo.com'
+        }, function() {
+            call.commit();
+            expect(call.cancel()).toEqual(false);
+            setTimeout(function() {
+                def.resolve('ok');
+            }, 5);
+        }).promise;
+        call.success(function(res) {
+            expect(res).toEqual('ok');
+            setTimeout(function() {
+                expect(call.state).toEqual(Max.CallState.SUCCESS);
+                expect(call.cancel()).toEqual(false);
+                done();
+            }, 0);
+        }).error(function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+        setTimeout(function() {
+            requests[0].respond(200);
+        }, 5);
+    });
+
+});
+
+describe('RequestQueue', function(){
+    var xhr, requests;
+
+    beforeEach(function() {
+        Max.App.initialized = true;
+        Max.setUser({
+            userId: 'test-queue-user'
+        });
+        xhr = sinon.useFakeXMLHttpRequest();
+        requests = [];
+        xhr.onCreate = function (xhr) {
+            requests.push(xhr);
+        };
+    });
+
+    afterEach(function() {
+        xhr.restore();
+        Max.Storage.clearTable(Max.RequestQueue.store);
+    });
+
+    it('should only queue mutating requests in reliable mode', function(done){
+        expect(Max.RequestQueue.isReliable({method: 'POST', reliable: true})).toEqual(true);
+        expect(Max.RequestQueue.isReliable({method: 'GET', reliable: true})).toEqual(false);
+        expect(Max.RequestQueue.isReliable({method: 'PUT'})).toEqual(false);
+        Max.Config.reliableRequests = true;
+        expect(Max.RequestQueue.isReliable({method: 'PUT'})).toEqual(true);
+        expect(Max.RequestQueue.isReliable({method: 'PUT', reliable: false})).toEqual(false);
+        expect(Max.RequestQueue.isReliable({method: 'POST', isBinary: true})).toEqual(false);
+        Max.Config.reliableRequests = false;
+        done();
+    });
+
+    it('should queue a reliable request made while offline and replay it once online', function(done){
+        var offlineStub = sinon.stub(Max.RequestQueue, 'isOffline').returns(true);
+        var call = Max.Request({
+            method: 'PUT',
+            url: 'http://www.foo.com/profile',
+            data: {firstName: 'foo'},
+            reliable: true
+        }, function(res, details) {
+            expect(details.status).toEqual(200);
+            expect(call.state).toEqual(Max.CallState.SUCCESS);
+            Max.Storage.get(Max.RequestQueue.store, {userId: 'test-queue-user'}, function(records) {
+                expect(records.length).toEqual(0);
+                done();
+            });
+        }, function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        }).promise;
+        setTimeout(function() {
+            expect(requests.length).toEqual(0);
+            expect(call.state).toEqual(Max.CallState.QUEUED);
+            offlineStub.restore();
+            Max.RequestQueue.flush();
+            setTimeout(function() {
+                expect(requests.length).toEqual(1);
+                expect(requests[0].method).toEqual('PUT');
+                expect(requests[0].requestBody).toEqual('{"firstName":"foo"}');
+                requests[0].respond(200);
+            }, 5);
+        }, 5);
+    });
+
+    it('should queue a reliable request which failed with a network error', function(done){
+        var call = Max.Request({
+            method: 'POST',
+            url: 'http://www.foo.com/vote',
+            data: {choice: 1},
+            reliable: true
+        }, function(res) {
+            expect(res).toEqual('failed-test');
+            done();
+        }, function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        }).promise;
+        setTimeout(function() {
+            requests[0].respond(0);
+            setTimeout(function() {
+                expect(call.state).toEqual(Max.CallState.QUEUED);
+                Max.Storage.get(Max.RequestQueue.store, {userId: 'test-queue-user'}, function(records) {
+                    expect(records.length).toEqual(1);
+                    expect(records[0].method).toEqual('POST');
+                    done();
+                });
+            }, 5);
+        }, 5);
+    });
+
+    it('should replay queued requests in order and keep requests which still cannot reach the server', function(done){
+        var offlineStub = sinon.stub(Max.RequestQueue, 'isOffline').returns(true);
+        Max.Request({
+            method: 'POST',
+            url: 'http://www.foo.com/first',
+            reliable: true
+        });
+        Max.Request({
+            method: 'POST',
+            url: 'http://www.foo.com/second',
+            reliable: true
+        });
+        setTimeout(function() {
+            offlineStub.restore();
+            Max.RequestQueue.flush();
+            setTimeout(function() {
+                expect(requests.length).toEqual(1);
+                expect(requests[0].url).toEqual('http://www.foo.com/first');
+                requests[0].respond(200);
+                setTimeout(function() {
+                    expect(requests.length).toEqual(2);
+                    expect(requests[1].url).toEqual('http://www.foo.com/second');
+                    requests[1].respond(0);
+                    setTimeout(function() {
+                        expect(Max.RequestQueue.flushing).toEqual(false);
+                        Max.Storage.get(Max.RequestQueue.store, {userId: 'test-queue-user'}, function(records) {
+                            expect(records.length).toEqual(1);
+                            expect(records[0].url).toEqual('http://www.foo.com/second');
+                            done();
+                        });
+                    }, 5);
+                }, 5);
+            }, 5);
+        }, 5);
+    });
+
+    it('should remove a cancelled request from the queue', function(done){
+        var offlineStub = sinon.stub(Max.RequestQueue, 'isOffline').returns(true);
+        var call = Max.Request({
+            method: 'DELETE',
+            url: 'http://www.foo.com/item',
+            reliable: true
+        }, null, function(e) {
+            expect(e.code).toEqual(Max.Error.CANCELLED);
+            offlineStub.restore();
+            Max.Storage.get(Max.RequestQueue.store, {userId: 'test-queue-user'}, function(records) {
+                expect(records.length).toEqual(0);
+                done();
+            });
+        }).promise;
+        setTimeout(function() {
+            expect(call.state).toEqual(Max.CallState.QUEUED);
+            call.cancel();
+        }, 5);
+    });
+    it('should persist queued requests in localStorage', function(done){
+        var offlineStub = sinon.stub(Max.RequestQueue, 'isOffline').returns(true);
+        var call = Max.Request({
+            method: 'POST',
+            url: 'http://www.foo.com/votes',
+            data: {option: 1},
+            reliable: true
+        }).promise;
+        setTimeout(function() {
+            var records = JSON.parse(window.localStorage.getItem(Max.RequestQueue.store));
+            expect(call.state).toEqual(Max.CallState.QUEUED);
+            expect(records.length).toEqual(1);
+            expect(records[0].userId).toEqual('test-queue-user');
+            expect(records[0].data).toEqual('{"option":1}');
+            offlineStub.restore();
+            done();
+        }, 5);
+    });
+
+});
+
+describe('ResponseCache', function(){
+    var xhr, requests;
+
+    beforeEach(function() {
+        Max.App.initialized = true;
+        Max.setUser({
+            userId: 'test-cache-user'
+        });
+        Max.Config.responseCache.rules = [{pattern: /\/users\/ids/, ttl: 60000}];
+        xhr = sinon.useFakeXMLHttpRequest();
+        requests = [];
+        xhr.onCreate = function (xhr) {
+            requests.push(xhr);
+        };
+    });
+
+    afterEach(function() {
+        xhr.restore();
+        Max.Config.responseCache.rules = [];
+        Max.ResponseCache.clear();
+    });
+
+    it('should only cache GET requests matching a rule', function(done){
+        expect(Max.ResponseCache.getRule({method: 'GET', url: 'http://foo.com/users/ids'})).toEqual({ttl: 60000});
+        expect(Max.ResponseCache.getRule({method: 'GET', url: 'http://foo.com/userinfo'})).toEqual(null);
+        expect(Max.ResponseCache.getRule({method: 'POST', url: 'http://foo.com/users/ids'})).toEqual(null);
+        expect(Max.ResponseCache.getRule({method: 'GET', url: 'http://foo.com/users/ids', cache: false})).toEqual(null);
+        expect(Max.ResponseCache.getRule({method: 'GET', url: 'http://foo.com/userinfo', cache: {ttl: 10}})).toEqual({ttl: 10});
+        done();
+    });
+
+    it('should serve a fresh response from cache', function(done){
+        Max.Request({
+            method: 'GET',
+            url: 'http://foo.com/users/ids'
+        }, function(res) {
+            expect(res.name).toEqual('foo');
+            var call = Max.Request({
+                method: 'GET',
+                url: 'http://foo.com/users/ids'
+            }, function(res, details) {
+                expect(res.name).toEqual('foo');
+                expect(details.fromCache).toEqual(true);
+                expect(requests.length).toEqual(1);
+                expect(call.isResultFromCache).toEqual(true);
+                expect(call.cachedTime instanceof Date).toEqual(true);
+                expect(call.state).toEqual(Max.CallState.SUCCESS);
+                done();
+            }, function(e) {
+                expect(e).toEqual('failed-test');
+                done();
+            }).promise;
+        }, function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+        setTimeout(function() {
+            requests[0].respond(200, {'Content-Type': 'application/json'}, JSON.stringify({name: 'foo'}));
+        }, 5);
+    });
+
+    it('should revalidate an expired response using its ETag', function(done){
+        Max.Config.responseCache.rules = [{pattern: '/users/ids', ttl: 0}];
+        Max.Request({
+            method: 'GET',
+            url: 'http://foo.com/users/ids'
+        }, function() {
+            var call = Max.Request({
+                method: 'GET',
+                url: 'http://foo.com/users/ids'
+            }, function(res, details) {
+                expect(res.name).toEqual('foo');
+                expect(details.status).toEqual(304);
+                expect(call.isResultFromCache).toEqual(true);
+                expect(requests[1].requestHeaders['If-None-Match']).toEqual('"v1"');
+                done();
+            }, function(e) {
+                expect(e).toEqual('failed-test');
+                done();
+            }).promise;
+            setTimeout(function() {
+                requests[1].respond(304, {}, '');
+            }, 5);
+        }, function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+        setTimeout(function() {
+            requests[0].respond(200, {'Content-Type': 'application/json', 'ETag': '"v1"'}, JSON.stringify({name: 'foo'}));
+        }, 5);
+    });
+
+    it('should bypass the cache if disabled on the request', function(done){
+        Max.Request({
+            method: 'GET',
+            url: 'http://foo.com/users/ids'
+        }, function() {
+            var call = Max.Request({
+                method: 'GET',
+                url: 'http://foo.com/users/ids',
+                cache: false
+            }, function(res) {
+                expect(res.name).toEqual('bar');
+                expect(call.isResultFromCache).toBeFalsy();
+                expect(requests.length).toEqual(2);
+                done();
+            }, function(e) {
+                expect(e).toEqual('failed-test');
+                done();
+            }).promise;
+            setTimeout(function() {
+                requests[1].respond(200, {'Content-Type': 'application/json'}, JSON.stringify({name: 'bar'}));
+            }, 5);
+        }, function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+        setTimeout(function() {
+            requests[0].respond(200, {'Content-Type': 'application/json'}, JSON.stringify({name: 'foo'}));
+        }, 5);
+    });
+
+});
+
+describe('Transport interceptors', function(){
+    var xhr, requests, ids;
+
+    beforeEach(function() {
+        Max.App.initialized = true;
+        ids = [];
+        xhr = sinon.useFakeXMLHttpRequest();
+        requests = [];
+        xhr.onCreate = function (xhr) {
+            requests.push(xhr);
+        };
+    });
+
+    afterEach(function() {
+        xhr.restore();
+        for (var i=0;i<ids.length;++i)
+            Max.Transport.eject(ids[i]);
+        Max.Transport.Headers = {};
+    });
+
+    it('should rewrite request metadata and add default headers', function(done){
+        Max.Transport.Headers['X-Default'] = 'default';
+        ids.push(Max.Transport.use({
+            request: function(metadata) {
+                metadata.url = metadata.url.replace('www.foo.com', 'tenant.foo.com');
+                metadata.headers['X-Trace-Id'] = 'trace-1';
+                metadata.data.tenant = 'a';
+                return metadata;
+            }
+        }));
+        Max.Request({
+            method: 'POST',
+            url: 'http://www.foo.com/profile',
+            data: {firstName: 'foo'}
+        }, function() {
+            done();
+        }, function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+        setTimeout(function() {
+            expect(requests[0].url).toEqual('http://tenant.foo.com/profile');
+            expect(requests[0].requestHeaders['X-Trace-Id']).toEqual('trace-1');
+            expect(requests[0].requestHeaders['X-Default']).toEqual('default');
+            expect(requests[0].requestBody).toEqual('{"firstName":"foo","tenant":"a"}');
+            requests[0].respond(200);
+        }, 5);
+    });
+
+    it('should run interceptors in order of registration and transform the response', function(done){
+        ids.push(Max.Transport.use({
+            response: function(res) {
+                res.steps.push('first');
+                return res;
+            }
+        }));
+        ids.push(Max.Transport.use({
+            response: function(res, details) {
+                var d = new Max.Deferred();
+                setTimeout(function() {
+                    res.steps.push('second');
+                    res.status = details.status;
+                    d.resolve(res);
+                }, 0);
+                return d.promise;
+            }
+        }));
+        Max.Request({
+            method: 'GET',
+            url: 'http://www.foo.com/profile'
+        }, function(res) {
+            expect(res.steps).toEqual(['first', 'second']);
+            expect(res.status).toEqual(200);
+            done();
+        }, function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+        setTimeout(function() {
+            requests[0].respond(200, {'Content-Type': 'application/json'}, JSON.stringify({steps: []}));
+        }, 5);
+    });
+
+    it('should fail the request if an interceptor throws', function(done){
+        ids.push(Max.Transport.use({
+            request: function() {
+                throw 'missing-tenant';
+            }
+        }));
+        ids.push(Max.Transport.use({
+            error: function(e, details) {
+                expect(details.intercepted).toEqual(true);
+                return 'error: '+e;
+            }
+        }));
+        Max.Request({
+            method: 'GET',
+            url: 'http://www.foo.com/profile'
+        }, function(res) {
+            expect(res).toEqual('failed-test');
+            done();
+        }, function(e) {
+            expect(e.code).toEqual(Max.Error.REQUEST_FAILED);
+            expect(e.message).toEqual('error: missing-tenant');
+            expect(requests.length).toEqual(0);
+            done();
+        });
+    });
+
+    it('should reject a successful response', function(done){
+        ids.push(Max.Transport.use({
+            response: function(res) {
+                if (res.error) throw res.error;
+            }
+        }));
+        Max.Request({
+            method: 'GET',
+            url: 'http://www.foo.com/profile'
+        }, function(res) {
+            expect(res).toEqual('failed-test');
+            done();
+        }, function(e, details) {
+            expect(e.code).toEqual(Max.Error.REQUEST_FAILED);
+            expect(e.message).toEqual('invalid-tenant');
+            expect(details.status).toEqual(200);
+            done();
+        });
+        setTimeout(function() {
+            requests[0].respond(200, {'Content-Type': 'application/json'}, JSON.stringify({error: 'invalid-tenant'}));
+        }, 5);
+    });
+
+    it('should remove an interceptor', function(done){
+        var id = Max.Transport.use({request: function() {}});
+        expect(Max.Transport.eject(id)).toEqual(true);
+        expect(Max.Transport.eject(id)).toEqual(false);
+        done();
+    });
+
+});
+
+describe('Transport dispatch', function(){
+
+    afterEach(function() {
+        Max.Utils.isNode = false;
+    });
+
+    it('should select the Node.js transport when running in Node.js', function(done){
+        var nodeStub = sinon.stub(Max.Transport, 'requestNode');
+        var xhrStub = sinon.stub(Max.Transport, 'requestXHR');
+        Max.Utils.isNode = true;
+        Max.Transport.dispatch({}, {method: 'GET', _path: 'http://foo.com'}, {});
+        expect(nodeStub.calledOnce).toEqual(true);
+        expect(xhrStub.called).toEqual(false);
+        nodeStub.restore();
+        xhrStub.restore();
+        done();
+    });
+
+    it('should select the XMLHttpRequest transport in the browser', function(done){
+        var nodeStub = sinon.stub(Max.Transport, 'requestNode');
+        var xhrStub = sinon.stub(Max.Transport, 'requestXHR');
+        Max.Transport.dispatch({}, {method: 'GET', _path: 'http://foo.com', isBinary: true}, {});
+        expect(nodeStub.called).toEqual(false);
+        expect(xhrStub.calledOnce).toEqual(true);
+        nodeStub.restore();
+        xhrStub.restore();
+        done();
+    });
+
+});
+
+describe('Transport requestFetch', function(){
+    var originalFetch;
+
+    function createResponse(status, headers, body) {
+        return {
+            status     : status,
+            statusText : 'OK',
+            headers    : {
+                get : function(key) {
+                    return headers[key] || null;
+                },
+                forEach : function(fn) {
+                    for (var key in headers) fn(headers[key], key.toLowerCase());
+                }
+            },
+            body : {
+                getReader : function() {
+                    var chunks = [new Uint8Array([1, 2]), new Uint8Array([3])];
+                    return {
+                        read : function() {
+                            return Promise.resolve(chunks.length ? {done: false, value: chunks.shift()} : {done: true});
+                        }
+                    };
+                }
+            },
+            text : function() {
+                return Promise.resolve(body);
+            }
+        };
+    }
+
+    beforeEach(function() {
+        originalFetch = window.fetch;
+    });
+
+    afterEach(function() {
+        window.fetch = originalFetch;
+    });
+
+    it('should send a request and parse a json response', function(done){
+        if (typeof Promise === 'undefined') return done();
+        var options = {call: new Max.Call()};
+        window.fetch = function(url, init) {
+            expect(url).toEqual('http://foo.com/profile');
+            expect(init.method).toEqual('POST');
+            expect(init.body).toEqual('{"firstName":"foo"}');
+            expect(init.headers['Content-Type']).toEqual('application/json');
+            expect(init.headers['X-Trace-Id']).toEqual('trace-1');
+            return Promise.resolve(createResponse(200, {'Content-Type': 'application/json', 'ETag': '"v1"'}, JSON.stringify({name: 'foo'})));
+        };
+        Max.Transport.requestFetch({firstName: 'foo'}, {
+            method: 'POST',
+            _path: 'http://foo.com/profile',
+            contentType: 'application/json',
+            headers: {'X-Trace-Id': 'trace-1'}
+        }, options, function(res, details) {
+            expect(res.name).toEqual('foo');
+            expect(details.status).toEqual(200);
+            expect(details.contentType).toEqual('application/json');
+            expect(details.info.xhr.etag).toEqual('"v1"');
+            done();
+        }, function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+    });
+
+    it('should stream a binary response', function(done){
+        if (typeof Promise === 'undefined') return done();
+        window.fetch = function() {
+            return Promise.resolve(createResponse(200, {'Content-Type': 'image/png'}));
+        };
+        Max.Transport.requestFetch(undefined, {
+            method: 'GET',
+            _path: 'http://foo.com/file',
+            returnType: 'binary'
+        }, {call: new Max.Call()}, function(res) {
+            expect(res.mimeType).toEqual('image/png');
+            expect(Array.prototype.slice.call(res.val)).toEqual([1, 2, 3]);
+            done();
+        }, function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+    });
+
+    it('should fail on an error status', function(done){
+        if (typeof Promise === 'undefined') return done();
+        window.fetch = function() {
+            return Promise.resolve(createResponse(404, {'Content-Type': 'text/plain'}, 'not found'));
+        };
+        Max.Transport.requestFetch(undefined, {
+            method: 'GET',
+            _path: 'http://foo.com/profile'
+        }, {call: new Max.Call()}, function(res) {
+            expect(res).toEqual('failed-test');
+            done();
+        }, function(e, details) {
+            expect(e).toEqual('not found');
+            expect(details.status).toEqual(404);
+            done();
+        });
+    });
+
+    it('should fail with status 0 on a network error', function(done){
+        if (typeof Promise === 'undefined') return done();
+        window.fetch = function() {
+            return Promise.reject(new TypeError('Failed to fetch'));
+        };
+        Max.Transport.requestFetch(undefined, {
+            method: 'GET',
+            _path: 'http://foo.com/profile'
+        }, {call: new Max.Call()}, function(res) {
+            expect(res).toEqual('failed-test');
+            done();
+        }, function(e, details) {
+            expect(e).toEqual('Failed to fetch');
+            expect(details.status).toEqual(0);
+            done();
+        });
+    });
+
+    it('should abort the fetch when the call is cancelled', function(done){
+        if (typeof Promise === 'undefined' || typeof AbortController === 'undefined') return done();
+        var call = new Max.Call();
+        window.fetch = function(url, init) {
+            return new Promise(function(resolve, reject) {
+                init.signal.addEventListener('abort', function() {
+                    expect(call.transportHandle.signal.aborted).toEqual(true);
+                    done();
+                });
+            });
+        };
+        Max.Transport.requestFetch(undefined, {
+            method: 'GET',
+            _path: 'http://foo.com/profile'
+        }, {call: call});
+        call.cancel();
+    });
+
+});
+
+describe('Transport requestNode', function(){
+    var originalRequire, originalBuffer, modules, requests;
+
+    // minimal stand-ins for the Node.js modules used by the transport
+    function FakeBuffer(str) {
+        this.str = str;
+        this.length = str.length;
+    }
+    FakeBuffer.prototype.toString = function() {
+        return this.str;
+    };
+    FakeBuffer.isBuffer = function(obj) {
+        return obj instanceof FakeBuffer;
+    };
+    FakeBuffer.from = function(str) {
+        return new FakeBuffer(str);
+    };
+    FakeBuffer.concat = function(list) {
+        return new FakeBuffer(list.map(function(buf) {
+            return buf.str;
+        }).join(''));
+    };
+
+    function createEmitter() {
+        var handlers = {};
+        return {
+            on : function(event, fn) {
+                handlers[event] = fn;
+                return this;
+            },
+            emit : function(event, arg) {
+                if (handlers[event]) handlers[event](arg);
+            }
+        };
+    }
+
+    function createClient(protocol) {
+        return {
+            request : function(opts, cb) {
+                var req = createEmitter();
+                req.protocol = protocol;
+                req.opts = opts;
+                req.aborted = false;
+                req.setTimeout = function(ms, fn) {
+                    req.timeout = ms;
+                    req.onTimeout = fn;
+                };
+                req.abort = function() {
+                    req.aborted = true;
+                };
+                req.end = function(body) {
+                    req.body = body;
+                };
+                req.respond = function(status, headers, body) {
+                    var res = createEmitter();
+                    res.statusCode = status;
+                    res.statusMessage = 'OK';
+                    res.headers = headers;
+                    cb(res);
+                    if (body) res.emit('data', new FakeBuffer(body));
+                    res.emit('end');
+                };
+                requests.push(req);
+                return req;
+            }
+        };
+    }
+
+    beforeEach(function() {
+        originalRequire = window.require;
+        originalBuffer = window.Buffer;
+        requests = [];
+        modules = {
+            http  : createClient('http'),
+            https : createClient('https'),
+            url   : {
+                parse : function(path) {
+                    var a = document.createElement('a');
+                    a.href = path;
+                    return {
+                        protocol : a.protocol,
+                        hostname : a.hostname,
+                        port     : a.port,
+                        path     : a.pathname + a.search
+                    };
+                }
+            }
+        };
+        window.require = function(name) {
+            return modules[name];
+        };
+        window.Buffer = FakeBuffer;
+    });
+
+    afterEach(function() {
+        window.require = originalRequire;
+        window.Buffer = originalBuffer;
+        Max.Utils.isNode = false;
+    });
+
+    it('should send a request and parse a json response', function(done){
+        Max.Transport.requestNode({firstName: 'foo'}, {
+            method: 'POST',
+            _path: 'http://foo.com:8443/profile?a=1',
+            contentType: 'application/json',
+            headers: {'X-Trace-Id': 'trace-1'}
+        }, {call: new Max.Call()}, function(res, details) {
+            expect(res.name).toEqual('foo');
+            expect(details.status).toEqual(200);
+            expect(details.contentType).toEqual('application/json');
+            expect(details.info.xhr.etag).toEqual('"v1"');
+            done();
+        }, function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+        var req = requests[0];
+        expect(req.protocol).toEqual('http');
+        expect(req.opts.method).toEqual('POST');
+        expect(req.opts.hostname).toEqual('foo.com');
+        expect(req.opts.port).toEqual('8443');
+        expect(req.opts.path).toEqual('/profile?a=1');
+        expect(req.opts.headers['Content-Type']).toEqual('application/json');
+        expect(req.opts.headers['Content-Length']).toEqual(19);
+        expect(req.opts.headers['X-Trace-Id']).toEqual('trace-1');
+        expect(req.body.toString()).toEqual('{"firstName":"foo"}');
+        req.respond(200, {'content-type': 'application/json', 'etag': '"v1"'}, JSON.stringify({result: {name: 'foo'}}));
+    });
+
+    it('should use the https module for https urls', function(done){
+        Max.Transport.requestNode(undefined, {
+            method: 'GET',
+            _path: 'https://foo.com/profile'
+        }, {call: new Max.Call()}, function(res) {
+            expect(res).toEqual('ok');
+            done();
+        }, function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+        expect(requests[0].protocol).toEqual('https');
+        expect(requests[0].opts.headers['Content-Length']).toBeUndefined();
+        requests[0].respond(200, {'content-type': 'text/plain'}, 'ok');
+    });
+
+    it('should fail on an error status', function(done){
+        Max.Transport.requestNode(undefined, {
+            method: 'GET',
+            _path: 'http://foo.com/profile'
+        }, {call: new Max.Call()}, function(res) {
+            expect(res).toEqual('failed-test');
+            done();
+        }, function(e, details) {
+            expect(e).toEqual('not found');
+            expect(details.status).toEqual(404);
+            done();
+        });
+        requests[0].respond(404, {'content-type': 'text/plain'}, 'not found');
+    });
+
+    it('should return a binary response', function(done){
+        Max.Transport.requestNode(undefined, {
+            method: 'GET',
+            _path: 'http://foo.com/file',
+            returnType: 'binary'
+        }, {call: new Max.Call()}, function(res) {
+            expect(res.mimeType).toEqual('image/png');
+            expect(FakeBuffer.isBuffer(res.val)).toEqual(true);
+            expect(res.val.toString()).toEqual('{"a":1}');
+            done();
+        }, function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        });
+        requests[0].respond(200, {'content-type': 'image/png'}, '{"a":1}');
+    });
+
+    it('should fail and abort the request on timeout', function(done){
+        var failCount = 0;
+        Max.Transport.requestNode(undefined, {
+            method: 'GET',
+            _path: 'http://foo.com/profile',
+            timeout: 5000
+        }, {call: new Max.Call()}, function(res) {
+            expect(res).toEqual('failed-test');
+        }, function(e, details) {
+            ++failCount;
+            expect(e).toEqual('request-timeout');
+            expect(details.status).toEqual(0);
+        });
+        var req = requests[0];
+        expect(req.timeout).toEqual(5000);
+        req.onTimeout();
+        expect(req.aborted).toEqual(true);
+        req.emit('error', new Error('socket hang up'));
+        expect(failCount).toEqual(1);
+        done();
+    });
+
+    it('should fail with status 0 on a network error', function(done){
+        Max.Transport.requestNode(undefined, {
+            method: 'GET',
+            _path: 'http://foo.com/profile'
+        }, {call: new Max.Call()}, function(res) {
+            expect(res).toEqual('failed-test');
+            done();
+        }, function(e, details) {
+            expect(e).toEqual('connect ECONNREFUSED');
+            expect(details.status).toEqual(0);
+            done();
+        });
+        requests[0].emit('error', new Error('connect ECONNREFUSED'));
+    });
+
+    it('should abort the request when the call is cancelled', function(done){
+        var call = new Max.Call();
+        Max.Transport.requestNode(undefined, {
+            method: 'GET',
+            _path: 'http://foo.com/profile'
+        }, {call: call});
+        expect(call.transportHandle).toEqual(requests[0]);
+        call.cancel();
+        expect(requests[0].aborted).toEqual(true);
+        done();
+    });
+
+    it('should reject a request timed out by req.setTimeout with REQUEST_TIMEOUT', function(done){
+        Max.Utils.isNode = true;
+        Max.Request({
+            method: 'GET',
+            url: 'http://foo.com/profile',
+            timeout: 5000,
+            retry: false,
+            bypassReady: true
+        }, function(res) {
+            expect(res).toEqual('failed-test');
+            done();
+        }, function(e, details) {
+            expect(e.code).toEqual(Max.Error.REQUEST_TIMEOUT);
+            expect(details.status).toEqual(0);
+            expect(requests[0].timeout).toEqual(5000);
+            setTimeout(function() {
+                expect(requests[0].aborted).toEqual(true);
+                done();
+            }, 0);
+        });
+        setTimeout(function() {
+            expect(requests.length).toEqual(1);
+            requests[0].onTimeout();
+        }, 5);
+    });
+
+    it('should abort the request with req.abort when a Max.Request call is cancelled', function(done){
+        var failCount = 0;
+        Max.Utils.isNode = true;
+        var call = Max.Request({
+            method: 'GET',
+            url: 'http://foo.com/profile',
+            bypassReady: true
+        }, function(res) {
+            expect(res).toEqual('failed-test');
+        }, function(e) {
+            ++failCount;
+            expect(e.code).toEqual(Max.Error.CANCELLED);
+        }).promise;
+        setTimeout(function() {
+            expect(call.transportHandle).toEqual(requests[0]);
+            expect(call.cancel()).toEqual(true);
+            expect(requests[0].aborted).toEqual(true);
+            expect(call.state).toEqual(Max.CallState.CANCELLED);
+            // Node.js emits an error on the aborted request, which must not fail the call a second time
+            requests[0].emit('error', new Error('socket hang up'));
+            expect(failCount).toEqual(1);
+            done();
+        }, 5);
+    });
+
+});
+
+describe('Request session refresh', function(){
+    var xhr, requests, clearSessionStub;
+
+    function findRequest(url) {
+        for (var i=0;i<requests.length;++i)
+            if (requests[i].url.indexOf(url) != -1 && !requests[i].status) return requests[i];
+    }
+
+    beforeEach(function() {
+        Max.App.initialized = true;
+        Max.setConnection({});
+        Max.setDevice({
+            deviceId: 'test-device-id'
+        });
+        Max.App.hatCredentials = {
+            access_token: 'old-token'
+        };
+        Max.Cookie.create('magnet-max-refresh-token', 'test-refresh-token', 1);
+        clearSessionStub = sinon.stub(Max.User, 'clearSession');
+        xhr = sinon.useFakeXMLHttpRequest();
+        requests = [];
+        xhr.onCreate = function (xhr) {
+            requests.push(xhr);
+        };
+    });
+
+    afterEach(function() {
+        xhr.restore();
+        clearSessionStub.restore();
+        Max.setConnection(null);
+        Max.Cookie.remove('magnet-max-refresh-token');
+    });
+
+    it('should refresh the token once and replay concurrent requests with the new token', function(done){
+        var completed = 0;
+        function success(res, details) {
+            expect(details.status).toEqual(200);
+            if (++completed < 3) return;
+            var newTokenRequests = requests.filter(function(req) {
+                return req.url.indexOf('/user/newtoken') != -1;
+            });
+            expect(newTokenRequests.length).toEqual(1);
+            expect(clearSessionStub.called).toEqual(false);
+            done();
+        }
+        function error(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        }
+        Max.Request({method: 'GET', url: 'http://www.foo.com/a'}, success, error);
+        Max.Request({method: 'GET', url: 'http://www.foo.com/b'}, success, error);
+        setTimeout(function() {
+            expect(requests[0].requestHeaders['Authorization']).toEqual('Bearer old-token');
+            requests[0].respond(401);
+            requests[1].respond(401);
+            Max.Request({method: 'GET', url: 'http://www.foo.com/c'}, success, error);
+            setTimeout(function() {
+                expect(requests.length).toEqual(3);
+                expect(Max.User.isRefreshingSession()).toEqual(true);
+                expect(Max.App.hatCredentials.access_token).toEqual('old-token');
+                expect(findRequest('/user/newtoken').requestHeaders['Authorization']).toBeUndefined();
+                findRequest('/user/newtoken').respond(200, {'Content-Type': 'application/json'}, JSON.stringify({
+                    access_token: 'new-token',
+                    user: {userIdentifier: 'test-user-id'}
+                }));
+                setTimeout(function() {
+                    expect(requests.length).toEqual(6);
+                    for (var i=3;i<6;++i) {
+                        expect(requests[i].requestHeaders['Authorization']).toEqual('Bearer new-token');
+                        requests[i].respond(200);
+                    }
+                }, 5);
+            }, 5);
+        }, 5);
+    });
+
+    it('should reject all waiting requests once and clear the session if the refresh failed', function(done){
+        var failed = 0;
+        function success(res) {
+            expect(res).toEqual('failed-test');
+            done();
+        }
+        function error(e, details) {
+            expect(e.code).toEqual(Max.Error.SESSION_EXPIRED);
+            expect(details.status).toEqual(401);
+            if (++failed < 2) return;
+            expect(clearSessionStub.calledOnce).toEqual(true);
+            expect(clearSessionStub.calledWith(Max.Error.SESSION_EXPIRED)).toEqual(true);
+            done();
+        }
+        Max.Request({method: 'GET', url: 'http://www.foo.com/a'}, success, error);
+        Max.Request({method: 'GET', url: 'http://www.foo.com/b'}, success, error);
+        setTimeout(function() {
+            requests[0].respond(401);
+            requests[1].respond(401);
+            (function respondToRefresh() {
+                if (requests.length < 3) return setTimeout(respondToRefresh, 5);
+                expect(requests.length).toEqual(3);
+                requests[2].respond(401);
+            })();
+        }, 5);
+    });
+
+    it('should keep the session if the refresh failed for a reason other than a rejected refresh token', function(done){
+        var failed = 0;
+        Max.Cookie.create('magnet-max-auth-token', 'old-token', 1);
+        function success(res) {
+            expect(res).toEqual('failed-test');
+            done();
+        }
+        function error(e, details) {
+            expect(e.code).not.toEqual(Max.Error.SESSION_EXPIRED);
+            expect(e.status).toEqual(503);
+            if (++failed < 2) return;
+            expect(clearSessionStub.called).toEqual(false);
+            expect(Max.App.hatCredentials.access_token).toEqual('old-token');
+            expect(Max.Cookie.get('magnet-max-auth-token')).toEqual('old-token');
+            Max.Cookie.remove('magnet-max-auth-token');
+            done();
+        }
+        Max.Request({method: 'GET', url: 'http://www.foo.com/a'}, success, error);
+        Max.Request({method: 'GET', url: 'http://www.foo.com/b'}, success, error);
+        setTimeout(function() {
+            requests[0].respond(401);
+            requests[1].respond(401);
+            (function respondToRefresh() {
+                if (requests.length < 3) return setTimeout(respondToRefresh, 5);
+                requests[2].respond(503);
+            })();
+        }, 5);
+    });
+
+});
+
+describe('Request progress', function(){
+    var xhr, requests;
+
+    beforeEach(function() {
+        Max.App.initialized = true;
+        xhr = sinon.useFakeXMLHttpRequest();
+        requests = [];
+        xhr.onCreate = function (xhr) {
+            requests.push(xhr);
+        };
+    });
+
+    afterEach(function() {
+        xhr.restore();
+    });
+
+    it('should report upload progress of a binary request', function(done){
+        var events = [];
+        Max.Request({
+            method: 'POST',
+            url: 'http://www.foo.com/file',
+            data: 'multipart-body',
+            isBinary: true
+        }, function() {
+            expect(events).toEqual([{direction: 'upload', loaded: 5, total: 10}, {direction: 'upload', loaded: 10, total: 10}]);
+            done();
+        }, function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        }).promise.progress(function(e) {
+            events.push(e);
+        });
+        setTimeout(function() {
+            requests[0].uploadProgress({loaded: 5, total: 10, lengthComputable: true});
+            requests[0].uploadProgress({loaded: 10, total: 10, lengthComputable: true});
+            requests[0].respond(200);
+        }, 5);
+    });
+
+    it('should report download progress of a binary response', function(done){
+        var events = [];
+        xhr.onCreate = function (xhr) {
+            xhr.overrideMimeType = function() {};
+            requests.push(xhr);
+        };
+        Max.Request({
+            method: 'GET',
+            url: 'http://www.foo.com/file',
+            returnType: 'binary'
+        }, function() {
+            expect(events).toEqual([{direction: 'download', loaded: 4, total: null}]);
+            done();
+        }, function(e) {
+            expect(e).toEqual('failed-test');
+            done();
+        }).promise.progress(function(e) {
+            events.push(e);
+        });
+        setTimeout(function() {
+            requests[0].downloadProgress({loaded: 4, total: 0, lengthComputable: false});
+            requests[0].respond(200, {'Content-Type': 'image/png'}, 'data');
+        }, 5);
+    });
+
+});
+
+describe('MaxError', function(){
+
+    it('should compare equal to its code', function(done){
+        var e = new Max.MaxError(Max.Error.SESSION_EXPIRED);
+        expect(e instanceof Error).toEqual(true);
+        expect(e.code).toEqual(Max.Error.SESSION_EXPIRED);
+        expect(e.message).toEqual(Max.Error.SESSION_EXPIRED);
+        expect(e == Max.Error.SESSION_EXPIRED).toEqual(true);
+        expect(e.retriable).toEqual(false);
+        expect(new Max.MaxError(Max.Error.NOT_CONNECTED).retriable).toEqual(true);
+        done();
+    });
+
+    it('should wrap errors of other types', function(done){
+        var e = new Max.MaxError(Max.Error.FORBIDDEN);
+        expect(Max.MaxError.wrap(e)).toBe(e);
+        expect(Max.MaxError.wrap('invalid picture').code).toEqual('invalid picture');
+        e = Max.MaxError.wrap({message: 'boom'});
+        expect(e.code).toEqual(Max.Error.REQUEST_FAILED);
+        expect(e.message).toEqual('boom');
+        expect(e.cause).toEqual({message: 'boom'});
+        done();
+    });
+
+    it('should create a request error from an HTTP response', function(done){
+        var e = Max.RequestError.fromResponse({message: 'no such user'}, {
+            status: 404,
+            info: {xhr: {'x-request-id': 'abc'}}
+        }, 'fallback-id');
+        expect(e instanceof Max.MaxError).toEqual(true);
+        expect(e.name).toEqual('RequestError');
+        expect(e.code).toEqual(Max.Error.NOT_FOUND);
+        expect(e.message).toEqual('no such user');
+        expect(e.status).toEqual(404);
+        expect(e.requestId).toEqual('abc');
+        expect(e.retriable).toEqual(false);
+        expect(Max.RequestError.fromResponse('', {status: 503}, 'id1').requestId).toEqual('id1');
+        expect(Max.RequestError.fromResponse('', {status: 503}).retriable).toEqual(true);
+        expect(Max.RequestError.fromResponse('', {status: 413}).code).toEqual(Max.Error.PAYLOAD_TOO_LARGE);
+        expect(Max.RequestError.fromResponse('', {status: 0}).code).toEqual(Max.Error.NETWORK_ERROR);
+        expect(Max.RequestError.fromResponse('request-timeout', {status: 0}).code).toEqual(Max.Error.REQUEST_TIMEOUT);
+        e = Max.RequestError.fromResponse('invalid-tenant', {status: 0, intercepted: true});
+        expect(e.code).toEqual(Max.Error.REQUEST_FAILED);
+        expect(e.retriable).toEqual(false);
+        done();
+    });
+
+    it('should create an XMPP error from an error stanza', function(done){
+        var e = Max.XMPPError.fromStanza({_type: 'auth', _code: '403', forbidden: ''}, 'iq1');
+        expect(e.name).toEqual('XMPPError');
+        expect(e.code).toEqual(Max.Error.FORBIDDEN);
+        expect(e.status).toEqual(403);
+        expect(e.stanzaId).toEqual('iq1');
+        expect(e.retriable).toEqual(false);
+        e = Max.XMPPError.fromStanza({_type: 'wait', _code: '500'}, 'iq2');
+        expect(e.code).toEqual(Max.Error.SERVER_ERROR);
+        expect(e.retriable).toEqual(true);
+        e = Max.XMPPError.fromPayload({code: 404, message: 'channel not found'}, 'iq3');
+        expect(e.code).toEqual(Max.Error.NOT_FOUND);
+        expect(e.message).toEqual('channel not found');
+        done();
+    });
+
+});
+
+describe('Request errors', function(){
+    var xhr, requests;
+
+    beforeEach(function() {
+        Max.App.initialized = true;
+        xhr = sinon.useFakeXMLHttpRequest();
+        requests = [];
+        xhr.onCreate = function (xhr) {
+            requests.push(xhr);
+        };
+    });
+
+    afterEach(function() {
+        xhr.restore();
+    });
+
+    it('should distinguish a payload too large from a network error', function(done){
+        var codes = [];
+        function send() {
+            Max.Request({
+                method: 'POST',
+                url: 'http://www.foo.com/file',
+                data: 'testdata'
+            }, function(res) {
+                expect(res).toEqual('failed-test');
+                done();
+            }, function(e, details) {
+                expect(e.requestId).toBeDefined();
+                codes.push(e.code);
+                if (codes.length < 2) return;
+                expect(codes).toEqual([Max.Error.PAYLOAD_TOO_LARGE, Max.Error.NETWORK_ERROR]);
+                done();
+            });
+        }
+        send();
+        send();
+        setTimeout(function() {
+            expect(requests.length).toEqual(2);
+            requests[0].respond(413, {'Content-Type': 'text/plain'}, '');
+            requests[1].respond(0, {'Content-Type': 'text/plain'}, '');
+        }, 5);
+    });
+
+    it('should reject with a timeout error', function(done){
+        var call = Max.Request({
+            method: 'POST',
+            url: 'http://www.foo.com/file',
+            data: 'testdata'
+        }, function(res) {
+            expect(res).toEqual('failed-test');
+            done();
+        }, function(e) {
+            expect(e.code).toEqual(Max.Error.REQUEST_TIMEOUT);
+            expect(e.retriable).toEqual(true);
+            expect(e.requestId).toEqual(call.promise.callId);
+            done();
+        });
+        setTimeout(function() {
+            requests[0].ontimeout();
+        }, 5);
+    });
+
+});
+
+describe('Utils getBackoffDelay', function(){
+
+    it('should double the delay on each attempt up to the maximum delay', function(done){
+        expect(Max.Utils.getBackoffDelay(1, 100, 1000)).toEqual(100);
+        expect(Max.Utils.getBackoffDelay(2, 100, 1000)).toEqual(200);
+        expect(Max.Utils.getBackoffDelay(3, 100, 1000)).toEqual(400);
+        expect(Max.Utils.getBackoffDelay(6, 100, 1000)).toEqual(1000);
+        done();
+    });
+
+    it('should randomize the delay between half and all of the backoff if jitter is enabled', function(done){
+        for (var i=0;i<20;++i) {
+            var delay = Max.Utils.getBackoffDelay(3, 100, 1000, true);
+            expect(delay).not.toBeLessThan(200);
+            expect(delay).not.toBeGreaterThan(400);
+        }
+        done();
+    });
+
 });